@@ -3,6 +3,9 @@
 // ============================================================
 
 function renderAltitude() {
+    if (awaitCurrentPositions(renderAltitude)) return;
+    renderBreakdownLegend();
+
     const container = document.getElementById('alt-chart');
     container.innerHTML = '';
 
@@ -24,9 +27,10 @@ function renderAltitude() {
     const minAlt = isLEO ? 150 : 150;
     const numBins = isLEO ? 50 : 80;
 
-    const altitudes = State.satellites
-        .map(d => d.alt)
-        .filter(d => d >= minAlt && d <= maxAlt);
+    const objects = filteredSatellites().filter(d => {
+        const alt = getSatAltitude(d);
+        return alt !== null && alt >= minAlt && alt <= maxAlt;
+    });
 
     // --- Scales ---
     const x = d3.scaleLinear()
@@ -34,14 +38,26 @@ function renderAltitude() {
         .range([0, width]);
 
     const bins = d3.bin()
+        .value(d => getSatAltitude(d))
         .domain(x.domain())
         .thresholds(x.ticks(numBins))
-        (altitudes);
+        (objects);
+
+    // Selected objects per bin, drawn over the dimmed totals
+    const selActive = isSelectionActive();
+    const selBins = selActive ? bins.map(b => b.filter(isSelected)) : null;
+
+    // "Color by": category counts per bin, stacked in legend order
+    const stacked = isBreakdownActive();
+    const share = stacked && State.stackMode === 'share';
+    const binCounts = stacked ? bins.map(countByCategory) : null;
 
-    const yMax = d3.max(bins, d => d.length);
+    const yMax = share ? 1
+        : stacked ? d3.max(binCounts, visibleTotal)
+        : d3.max(bins, d => d.length);
 
     // Use log scale for full range to handle GEO spike
-    const useLog = !isLEO && yMax > 100;
+    const useLog = !isLEO && !share && yMax > 100;
     const y = useLog
         ? d3.scaleSymlog().domain([0, yMax]).range([height, 0]).constant(10)
         : d3.scaleLinear().domain([0, yMax]).range([height, 0]);
@@ -51,33 +67,66 @@ function renderAltitude() {
         .attr('class', 'chart-title')
         .attr('x', width / 2)
         .attr('y', -margin.top / 2 + 5)
-        .text(isLEO ? 'Altitude Distribution — LEO Focus (150–2,000 km)' : 'Altitude Distribution — Full Range');
+        .text(`${ALT_METRIC_LABELS[State.altMetric]} Distribution — ` +
+            (isLEO ? 'LEO Focus (150–2,000 km)' : 'Full Range') +
+            (stacked ? ` by ${BREAKDOWN_FIELDS[State.colorBy].label}` : ''));
 
     // --- Bars ---
-    svg.selectAll('.bar-alt')
-        .data(bins)
-        .enter().append('rect')
-        .attr('class', 'bar-alt')
-        .attr('x', d => x(d.x0) + 1)
-        .attr('y', d => y(d.length))
-        .attr('width', d => Math.max(0, x(d.x1) - x(d.x0) - 1))
-        .attr('height', d => height - y(d.length))
-        .on('mouseover', function (event, d) {
-            d3.select(this).style('fill', '#7ec4ff');
-            showTooltip(
-                `<strong>Altitude Range</strong>\n${Math.round(d.x0)}–${Math.round(d.x1)} km\n\n<strong>Object Count:</strong> ${d.length}`,
-                event.pageX, event.pageY
-            );
-        })
-        .on('mousemove', (event) => {
-            const tt = document.getElementById('tooltip');
-            tt.style.left = (event.pageX + 15) + 'px';
-            tt.style.top = (event.pageY - 10) + 'px';
-        })
-        .on('mouseout', function () {
-            d3.select(this).style('fill', null);
-            hideTooltip();
-        });
+    const barX = i => x(bins[i].x0) + 1;
+    const barW = i => Math.max(0, x(bins[i].x1) - x(bins[i].x0) - 1);
+    let bars;
+
+    if (stacked) {
+        // One rect per bin × category; a selection is stacked over the
+        // dimmed bins in the same colours
+        const segments = (countsPerBin, base) => countsPerBin.flatMap((counts, i) =>
+            stackCategoryCounts(counts, base[i]).map(s => ({ ...s, bin: i })));
+
+        bars = svg.selectAll('.bar-segment')
+            .data(segments(binCounts, binCounts))
+            .enter().append('rect')
+            .attr('class', 'bar-segment')
+            .classed('dimmed', selActive)
+            .attr('x', d => barX(d.bin))
+            .attr('y', d => y(d.y1))
+            .attr('width', d => barW(d.bin))
+            .attr('height', d => y(d.y0) - y(d.y1))
+            .attr('fill', d => getCategoryColor(d.category));
+
+        if (selActive) {
+            svg.selectAll('.bar-segment-selected')
+                .data(segments(selBins.map(countByCategory), binCounts))
+                .enter().append('rect')
+                .attr('class', 'bar-segment')
+                .attr('x', d => barX(d.bin))
+                .attr('y', d => y(d.y1))
+                .attr('width', d => barW(d.bin))
+                .attr('height', d => y(d.y0) - y(d.y1))
+                .attr('fill', d => getCategoryColor(d.category));
+        }
+    } else {
+        bars = svg.selectAll('.bar-alt')
+            .data(bins)
+            .enter().append('rect')
+            .attr('class', 'bar-alt')
+            .classed('dimmed', selActive)
+            .attr('x', (d, i) => barX(i))
+            .attr('y', d => y(d.length))
+            .attr('width', (d, i) => barW(i))
+            .attr('height', d => height - y(d.length));
+
+        if (selActive) {
+            svg.selectAll('.bar-selected')
+                .data(selBins)
+                .enter().append('rect')
+                .attr('class', 'bar-selected')
+                .attr('x', (d, i) => barX(i))
+                .attr('y', d => y(d.length))
+                .attr('width', (d, i) => barW(i))
+                .attr('height', d => height - y(d.length));
+        }
+    }
+    const barIndex = stacked ? (d => d.bin) : ((d, j) => j);
 
     // --- Axes ---
     const xAxis = svg.append('g')
@@ -90,6 +139,7 @@ function renderAltitude() {
 
     const yAxisGen = useLog
         ? d3.axisLeft(y).ticks(8).tickFormat(d3.format('.0f'))
+        : share ? d3.axisLeft(y).ticks(5).tickFormat(d3.format('.0%'))
         : d3.axisLeft(y).ticks(8);
 
     svg.append('g')
@@ -101,14 +151,14 @@ function renderAltitude() {
         .attr('class', 'axis-label')
         .attr('x', width / 2)
         .attr('y', height + margin.bottom * 0.7)
-        .text('Altitude (km)');
+        .text(ALT_METRIC_LABELS[State.altMetric] + ' (km)');
 
     svg.append('text')
         .attr('class', 'axis-label')
         .attr('transform', 'rotate(-90)')
         .attr('y', -margin.left + 20)
         .attr('x', -height / 2)
-        .text(useLog ? 'Object Count (symlog scale)' : 'Object Count');
+        .text(share ? 'Share of Objects' : useLog ? 'Object Count (symlog scale)' : 'Object Count');
 
     // --- Reference Lines ---
     if (isLEO) {
@@ -132,6 +182,43 @@ function renderAltitude() {
         .attr('font-size', '0.72rem')
         .text('⚠ Y-axis uses symmetric log scale — bar heights do not represent linear count differences');
     }
+
+    // --- Brush: drag to select an altitude range in every view ---
+    // It sits over the bars, so tooltips are looked up from the pointer.
+    const brush = d3.brushX()
+        .extent([[0, 0], [width, height]])
+        .on('end', (event) => {
+            if (!event.sourceEvent) return; // the programmatic move below
+            setSelection('alt', event.selection ? event.selection.map(x.invert) : null);
+        });
+
+    const brushG = svg.append('g')
+        .attr('class', 'brush')
+        .call(brush);
+
+    if (State.selection.alt) {
+        const [x0, x1] = State.selection.alt.map(v => Math.max(0, Math.min(width, x(v))));
+        if (x1 > x0) brushG.call(brush.move, [x0, x1]);
+    }
+
+    brushG
+        .on('mousemove.tip', (event) => {
+            const alt = x.invert(d3.pointer(event)[0]);
+            const i = bins.findIndex(b => alt >= b.x0 && alt < b.x1);
+            bars.classed('hover', (d, j) => barIndex(d, j) === i);
+            if (i < 0) { hideTooltip(); return; }
+            const d = bins[i];
+            showTooltip(
+                `<strong>Altitude Range</strong>\n${Math.round(d.x0)}–${Math.round(d.x1)} km\n\n<strong>Object Count:</strong> ${d.length}` +
+                (selActive ? `\n<strong>Selected:</strong> ${selBins[i].length}` : '') +
+                (stacked ? '\n\n' + breakdownTooltip(binCounts[i]) : ''),
+                event.pageX, event.pageY
+            );
+        })
+        .on('mouseleave.tip', () => {
+            bars.classed('hover', false);
+            hideTooltip();
+        });
 }
 
 // --- Helper: add a vertical reference line ---
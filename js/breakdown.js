@@ -0,0 +1,184 @@
+// ============================================================
+//  BREAKDOWN.JS — "Color by" stacking for the altitude and timeline charts
+// ============================================================
+//  Both charts stack their bars by one categorical field. Categories are
+//  the field's most common values in the filtered catalog (the rest fold
+//  into OTHER) so each keeps the same colour in both charts. The legend
+//  hides and shows categories; "100%" mode divides every bar by its
+//  visible total.
+
+// `color` (optional): the field's own colour per category instead of the palette
+const BREAKDOWN_FIELDS = {
+    type: { label: 'Object type', value: s => s.type },
+    country: { label: 'Country', value: s => s.country },
+    rcs: { label: 'RCS size', value: s => s.rcs },
+    group: { label: 'Group', value: s => groupCategory(s), color: c => groupCategoryColor(c) }
+};
+
+const BREAKDOWN_OTHER = 'OTHER';
+
+let breakdownCache = null;   // { field, filters, catalog, categories }
+
+function isBreakdownActive() {
+    return !!BREAKDOWN_FIELDS[State.colorBy];
+}
+
+// Top categories of the current field, most common first, plus OTHER
+// when the field has more values than the palette has colours
+function breakdownCategories() {
+    const c = breakdownCache;
+    if (c && c.field === State.colorBy && c.filters === filterVersion && c.catalog === State.satellites) {
+        return c.categories;
+    }
+
+    const field = BREAKDOWN_FIELDS[State.colorBy];
+    const counts = d3.rollups(filteredSatellites(), v => v.length, field.value)
+        .sort((a, b) => b[1] - a[1]);
+    const categories = counts.length > CATEGORY_PALETTE.length && !field.color
+        ? counts.slice(0, CATEGORY_PALETTE.length).map(d => d[0]).concat(BREAKDOWN_OTHER)
+        : counts.map(d => d[0]);
+
+    breakdownCache = { field: State.colorBy, filters: filterVersion, catalog: State.satellites, categories };
+    return categories;
+}
+
+function visibleCategories() {
+    return breakdownCategories().filter(c => !State.hiddenCategories.includes(c));
+}
+
+function getCategoryColor(category) {
+    const field = BREAKDOWN_FIELDS[State.colorBy];
+    if (field.color) return field.color(category);
+    const i = breakdownCategories().indexOf(category);
+    return i >= 0 && i < CATEGORY_PALETTE.length ? CATEGORY_PALETTE[i] : CATEGORY_OTHER_COLOR;
+}
+
+function categoryOf(sat) {
+    const value = BREAKDOWN_FIELDS[State.colorBy].value(sat);
+    const categories = breakdownCategories();
+    return categories.includes(value) && value !== BREAKDOWN_OTHER ? value : BREAKDOWN_OTHER;
+}
+
+// category → count for a list of objects
+function countByCategory(sats) {
+    return d3.rollup(sats, v => v.length, categoryOf);
+}
+
+// Sum of category counts, e.g. for a running (cumulative) total
+function addCategoryCounts(a, b) {
+    const sum = new Map(a);
+    b.forEach((n, k) => sum.set(k, (sum.get(k) || 0) + n));
+    return sum;
+}
+
+// Stack one bar's counts bottom-up in legend order, skipping hidden
+// categories: [{ category, count, y0, y1 }]. In 100% mode values are
+// fractions of `base` (default: the bar's own visible total), so a
+// selection can be stacked against the whole bar it sits in.
+function stackCategoryCounts(counts, base = counts) {
+    const categories = visibleCategories();
+    const total = d3.sum(categories, c => base.get(c) || 0);
+    const k = State.stackMode === 'share' ? (total ? 1 / total : 0) : 1;
+
+    let y = 0;
+    return categories.map(category => {
+        const count = counts.get(category) || 0;
+        const segment = { category, count, y0: y * k, y1: (y + count) * k };
+        y += count;
+        return segment;
+    });
+}
+
+// Visible total of a bar, for count-mode y scales
+function visibleTotal(counts) {
+    return d3.sum(visibleCategories(), c => counts.get(c) || 0);
+}
+
+// Tooltip lines for one bar: visible categories with count and share
+function breakdownTooltip(counts) {
+    const total = visibleTotal(counts);
+    return visibleCategories()
+        .filter(c => counts.get(c))
+        .map(c => `${c}: ${counts.get(c)} (${(counts.get(c) / total * 100).toFixed(0)}%)`)
+        .join('\n');
+}
+
+// ============================================================
+//  LEGEND + CONTROLS
+// ============================================================
+function renderBreakdownLegend() {
+    const active = isBreakdownActive();
+    document.querySelectorAll('.stack-btn').forEach(b => { b.disabled = !active; });
+
+    const legends = d3.selectAll('.breakdown-legend').style('display', active ? null : 'none');
+    if (!active) return;
+
+    const items = legends.selectAll('.legend-item')
+        .data(breakdownCategories(), d => d)
+        .join(enter => {
+            const item = enter.append('div').attr('class', 'legend-item breakdown-item');
+            item.append('span').attr('class', 'dot');
+            item.append('span').attr('class', 'breakdown-label');
+            item.on('click', (event, d) => {
+                State.hiddenCategories = State.hiddenCategories.includes(d)
+                    ? State.hiddenCategories.filter(c => c !== d)
+                    : State.hiddenCategories.concat(d);
+                renderCurrentViz();
+            });
+            return item;
+        })
+        .order();
+
+    items.classed('hidden', d => State.hiddenCategories.includes(d))
+        .attr('title', d => (State.hiddenCategories.includes(d) ? 'Show ' : 'Hide ') + d);
+    items.select('.dot').style('background', d => getCategoryColor(d));
+    items.select('.breakdown-label').text(d => d);
+}
+
+function setColorBy(field) {
+    State.colorBy = Object.hasOwn(BREAKDOWN_FIELDS, field) ? field : 'none';
+    State.hiddenCategories = [];
+    document.querySelectorAll('.color-by-select').forEach(s => { s.value = State.colorBy; });
+}
+
+function setStackMode(mode) {
+    State.stackMode = mode === 'share' ? 'share' : 'count';
+    setActiveButton('.stack-btn', 'stack', State.stackMode);
+}
+
+function attachBreakdownListeners() {
+    document.querySelectorAll('.color-by-select').forEach(sel => {
+        sel.addEventListener('change', () => {
+            setColorBy(sel.value);
+            renderCurrentViz();
+        });
+    });
+
+    document.querySelectorAll('.stack-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            setStackMode(btn.dataset.stack);
+            renderCurrentViz();
+        });
+    });
+}
+
+// ============================================================
+//  URL FIELDS
+// ============================================================
+URL_FIELDS.push(
+    {
+        key: 'color',
+        get: () => State.colorBy,
+        set: v => setColorBy(v)
+    },
+    {
+        key: 'stack',
+        get: () => State.stackMode,
+        set: v => setStackMode(v)
+    },
+    {
+        key: 'hide',
+        get: () => State.hiddenCategories.join(','),
+        set: v => { State.hiddenCategories = v ? v.split(',') : []; }
+    }
+);
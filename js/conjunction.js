@@ -0,0 +1,487 @@
+// ============================================================
+//  CONJUNCTION.JS — Close-Approach Screening (Viz 5)
+// ============================================================
+//  Screening runs in three stages:
+//    1. Apogee/perigee filter — radial shells that never overlap can't meet
+//    2. Orbit-path filter     — the two orbits must pass within range of
+//                               each other at their mutual nodes
+//    3. Time stepping         — coarse steps flag candidate passes, which a
+//                               golden-section search refines to the TCA
+//  Stepping yields to the browser between batches so the UI stays live.
+
+const CONJ_MU = 398600.5;          // km³/s², same constant satellite.js uses
+const CONJ_RE = 6378.137;          // km
+const CONJ_J2 = 0.00108262998905;
+const CONJ_MAX_REL_VEL = 16;       // km/s — upper bound for two Earth orbiters
+const CONJ_BATCH_MS = 30;          // Work per slice before yielding
+
+let conjRun = null;                // { cancelled } for the screening in progress
+let conjResults = [];
+let conjSort = { key: 'miss', asc: true };
+
+// ============================================================
+//  MEAN ORBIT GEOMETRY
+// ============================================================
+// Mean elements from the satrec plus J2 secular rates (rad/s), enough to
+// place the orbit plane and line of apsides at any time in the window.
+function conjMeanOrbit(sat) {
+    const rec = sat.rec;
+    const n = rec.no / 60;                                   // rad/s
+    const a = Math.cbrt(CONJ_MU / (n * n));
+    const e = rec.ecco;
+    const p = a * (1 - e * e);
+    const cosI = Math.cos(rec.inclo);
+    const k = n * CONJ_J2 * (CONJ_RE / p) ** 2;
+
+    return {
+        a, e, p,
+        inc: rec.inclo,
+        raan: rec.nodeo,
+        argp: rec.argpo,
+        raanDot: -1.5 * k * cosI,
+        argpDot: 0.75 * k * (5 * cosI * cosI - 1),
+        epoch: (rec.jdsatepoch - 2440587.5) * 86400000,       // ms since 1970
+        rp: a * (1 - e),
+        ra: a * (1 + e)
+    };
+}
+
+// --- Stage 1: do the radial shells [rp, ra] come within `pad` km? ---
+function passesApsisFilter(oa, ob, pad) {
+    return Math.max(oa.rp, ob.rp) - Math.min(oa.ra, ob.ra) <= pad;
+}
+
+// --- Stage 2: orbit radii at the mutual line of nodes ---
+// Evaluated at several instants across the window because J2 swings the
+// planes and apsides; a pair passes if any instant brings the paths close.
+function passesPathFilter(oa, ob, pad, startMs, windowMs) {
+    const samples = Math.max(2, Math.ceil(windowMs / 43200000)); // every 12 h
+    for (let s = 0; s <= samples; s++) {
+        const t = startMs + (windowMs * s) / samples;
+        if (pathsCrossWithin(oa, ob, pad, t)) return true;
+    }
+    return false;
+}
+
+function pathsCrossWithin(oa, ob, pad, timeMs) {
+    const ea = orbitFrameAt(oa, timeMs);
+    const eb = orbitFrameAt(ob, timeMs);
+
+    // Line of nodes between the two planes
+    const d = cross(ea.h, eb.h);
+    const dLen = Math.hypot(d[0], d[1], d[2]);
+    if (dLen < 1e-4) return true; // coplanar — the filter can't tell
+
+    for (const sign of [1, -1]) {
+        const dir = [sign * d[0] / dLen, sign * d[1] / dLen, sign * d[2] / dLen];
+        if (Math.abs(radiusAlong(oa, ea, dir) - radiusAlong(ob, eb, dir)) <= pad) return true;
+    }
+    return false;
+}
+
+function orbitFrameAt(o, timeMs) {
+    const dt = (timeMs - o.epoch) / 1000;
+    const raan = o.raan + o.raanDot * dt;
+    const sinI = Math.sin(o.inc);
+    return {
+        argp: o.argp + o.argpDot * dt,
+        h: [sinI * Math.sin(raan), -sinI * Math.cos(raan), Math.cos(o.inc)],  // plane normal
+        node: [Math.cos(raan), Math.sin(raan), 0]                              // ascending node
+    };
+}
+
+// Orbit radius where the orbit passes through direction `dir`
+function radiusAlong(o, frame, dir) {
+    const q = cross(frame.h, frame.node);
+    const u = Math.atan2(dot(dir, q), dot(dir, frame.node)); // argument of latitude
+    return o.p / (1 + o.e * Math.cos(u - frame.argp));
+}
+
+function cross(a, b) {
+    return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+// ============================================================
+//  STAGE 3: TIME STEPPING + TCA REFINEMENT
+// ============================================================
+function conjStateAt(sat, timeMs) {
+    const pv = satellite.propagate(sat.rec, new Date(timeMs));
+    return pv.position ? pv : null;
+}
+
+function conjSeparation(satA, satB, timeMs) {
+    const a = conjStateAt(satA, timeMs);
+    const b = conjStateAt(satB, timeMs);
+    if (!a || !b) return Infinity;
+    return Math.hypot(
+        a.position.x - b.position.x,
+        a.position.y - b.position.y,
+        a.position.z - b.position.z
+    );
+}
+
+// Golden-section search for the minimum separation inside [lo, hi]
+function refineEncounter(satA, satB, lo, hi) {
+    const g = (Math.sqrt(5) - 1) / 2;
+    let c = hi - g * (hi - lo);
+    let d = lo + g * (hi - lo);
+    let fc = conjSeparation(satA, satB, c);
+    let fd = conjSeparation(satA, satB, d);
+
+    while (hi - lo > 10) { // 10 ms
+        if (fc < fd) {
+            hi = d; d = c; fd = fc;
+            c = hi - g * (hi - lo);
+            fc = conjSeparation(satA, satB, c);
+        } else {
+            lo = c; c = d; fc = fd;
+            d = lo + g * (hi - lo);
+            fd = conjSeparation(satA, satB, d);
+        }
+    }
+
+    const tca = (lo + hi) / 2;
+    const a = conjStateAt(satA, tca);
+    const b = conjStateAt(satB, tca);
+    if (!a || !b) return null;
+
+    return {
+        tca,
+        miss: Math.hypot(
+            a.position.x - b.position.x,
+            a.position.y - b.position.y,
+            a.position.z - b.position.z
+        ),
+        relVel: Math.hypot(
+            a.velocity.x - b.velocity.x,
+            a.velocity.y - b.velocity.y,
+            a.velocity.z - b.velocity.z
+        )
+    };
+}
+
+// ============================================================
+//  SCREENING DRIVER
+// ============================================================
+// Stops the screening in progress; its promise resolves with null
+function cancelConjunctionScreen() {
+    if (conjRun) conjRun.cancelled = true;
+    conjRun = null;
+}
+
+// opts: { primary (sat) | regime, thresholdKm, windowDays, stepSec, start (Date) }
+// Resolves with [{ a, b, tca (Date), miss, relVel }].
+function screenConjunctions(opts, onProgress) {
+    cancelConjunctionScreen();
+    const run = { cancelled: false };
+    conjRun = run;
+
+    const startMs = opts.start.getTime();
+    const windowMs = opts.windowDays * 86400000;
+    const stepMs = opts.stepSec * 1000;
+    const steps = Math.ceil(windowMs / stepMs);
+    const thr = opts.thresholdKm;
+    const pad = thr + 25; // slack for mean vs. osculating radius (J2 short-period terms)
+
+    // --- Object set and prefilters ---
+    const objects = opts.primary
+        ? State.satellites
+        : State.satellites.filter(s => s.regime === opts.regime);
+    const orbits = new Map(objects.map(s => [s, conjMeanOrbit(s)]));
+
+    let members;             // Objects propagated every step
+    let candidates = null;   // Primary mode: secondaries that survived
+    let pairOk = null;       // All-pairs mode: lazily cached pair prefilter
+
+    if (opts.primary) {
+        const op = orbits.get(opts.primary);
+        candidates = objects.filter(s => s !== opts.primary &&
+            passesApsisFilter(op, orbits.get(s), pad) &&
+            passesPathFilter(op, orbits.get(s), pad, startMs, windowMs));
+        members = [opts.primary, ...candidates];
+    } else {
+        members = objects;
+        const cache = new Map();
+        pairOk = (i, j) => {
+            const key = i < j ? i * 100000 + j : j * 100000 + i;
+            let ok = cache.get(key);
+            if (ok === undefined) {
+                const oa = orbits.get(members[i]);
+                const ob = orbits.get(members[j]);
+                ok = passesApsisFilter(oa, ob, pad) &&
+                    passesPathFilter(oa, ob, pad, startMs, windowMs);
+                cache.set(key, ok);
+            }
+            return ok;
+        };
+    }
+
+    const n = members.length;
+    const state = new Float64Array(n * 6); // x y z vx vy vz per member
+    const valid = new Uint8Array(n);
+    // Pairs are keyed by member position, not sat.index: the catalog can be
+    // reindexed (live refresh, removed breakups) while the screen runs
+    const found = new Map();               // "i:j" → encounters for that pair
+
+    function recordCandidate(i, j, t) {
+        const hit = refineEncounter(members[i], members[j], t - stepMs, t + stepMs);
+        if (!hit || hit.miss > thr) return;
+        // A minimum on the bracket edge is just a slow drift, not a pass;
+        // the real minimum (if any) is caught from a neighbouring step.
+        if (hit.tca - (t - stepMs) < 1000 || (t + stepMs) - hit.tca < 1000) return;
+
+        const key = i + ':' + j;
+        const list = found.get(key) || [];
+        // The same pass can be flagged from two adjacent steps
+        const dup = list.find(h => Math.abs(h.tca - hit.tca) < 2 * stepMs);
+        if (dup) {
+            if (hit.miss < dup.miss) Object.assign(dup, hit);
+        } else {
+            list.push(hit);
+            found.set(key, list);
+        }
+    }
+
+    function nearEnough(i, j, t) {
+        const o = i * 6, p = j * 6;
+        const d = Math.hypot(state[o] - state[p], state[o + 1] - state[p + 1], state[o + 2] - state[p + 2]);
+        const v = Math.hypot(state[o + 3] - state[p + 3], state[o + 4] - state[p + 4], state[o + 5] - state[p + 5]);
+        // Both objects move ~linearly over one step; allow for the half-step
+        // either side of this sample, with a little curvature margin.
+        if (d - v * stepMs / 1000 * 0.6 <= thr) recordCandidate(i, j, t);
+    }
+
+    function stepOnce(k) {
+        const t = startMs + k * stepMs;
+        const date = new Date(t);
+
+        for (let i = 0; i < n; i++) {
+            valid[i] = 0;
+            try {
+                const pv = satellite.propagate(members[i].rec, date);
+                if (!pv.position) continue;
+                const o = i * 6;
+                state[o] = pv.position.x; state[o + 1] = pv.position.y; state[o + 2] = pv.position.z;
+                state[o + 3] = pv.velocity.x; state[o + 4] = pv.velocity.y; state[o + 5] = pv.velocity.z;
+                valid[i] = 1;
+            } catch (e) { /* decayed or bad element set */ }
+        }
+
+        if (candidates) {
+            if (!valid[0]) return;
+            for (let j = 1; j < n; j++) if (valid[j]) nearEnough(0, j, t);
+            return;
+        }
+
+        // All pairs: hash into cells no smaller than the reach of one step,
+        // then only compare neighbours.
+        const cell = Math.max(12, thr + CONJ_MAX_REL_VEL * stepMs / 1000 * 0.6);
+        const grid = new Map();
+        const cellKey = (x, y, z) => (x + 4096) * 67108864 + (y + 4096) * 8192 + (z + 4096);
+
+        for (let i = 0; i < n; i++) {
+            if (!valid[i]) continue;
+            const o = i * 6;
+            const cx = Math.floor(state[o] / cell);
+            const cy = Math.floor(state[o + 1] / cell);
+            const cz = Math.floor(state[o + 2] / cell);
+
+            for (let dx = -1; dx <= 1; dx++) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dz = -1; dz <= 1; dz++) {
+                        const bucket = grid.get(cellKey(cx + dx, cy + dy, cz + dz));
+                        if (!bucket) continue;
+                        for (const j of bucket) {
+                            if (pairOk(i, j)) nearEnough(j, i, t);
+                        }
+                    }
+                }
+            }
+
+            const own = cellKey(cx, cy, cz);
+            if (!grid.has(own)) grid.set(own, []);
+            grid.get(own).push(i);
+        }
+    }
+
+    return new Promise(resolve => {
+        let k = 0;
+
+        function slice() {
+            if (run.cancelled) { resolve(null); return; }
+
+            const sliceEnd = performance.now() + CONJ_BATCH_MS;
+            while (k <= steps && performance.now() < sliceEnd) stepOnce(k++);
+
+            if (onProgress) onProgress(Math.min(1, k / (steps + 1)), members.length);
+
+            if (k <= steps) {
+                setTimeout(slice, 0);
+                return;
+            }
+
+            conjRun = null;
+            const results = [];
+            found.forEach((list, key) => {
+                const [ia, ib] = key.split(':').map(Number);
+                list.forEach(h => results.push({
+                    a: members[ia],
+                    b: members[ib],
+                    tca: new Date(h.tca),
+                    miss: h.miss,
+                    relVel: h.relVel
+                }));
+            });
+            resolve(results);
+        }
+
+        setTimeout(slice, 0);
+    });
+}
+
+// ============================================================
+//  PANEL
+// ============================================================
+function renderConjunctionPanel() {
+    const primaryEl = document.getElementById('conj-primary');
+    primaryEl.textContent = State.searchTarget || 'None — pick one with the Live Tracker search';
+    primaryEl.classList.toggle('muted', !State.searchTarget);
+
+    document.getElementById('conj-regime-group').style.display =
+        State.conjMode === 'pairs' ? 'block' : 'none';
+
+    renderConjunctionTable();
+}
+
+function renderConjunctionTable() {
+    const container = document.getElementById('conj-table');
+
+    if (conjResults.length === 0) {
+        container.innerHTML = `<p class="table-empty">${conjRun ? 'Screening…' : 'No conjunctions to show. Run a screening to populate this table.'}</p>`;
+        return;
+    }
+
+    const columns = [
+        { key: 'a', label: 'Primary', value: r => r.a.name },
+        { key: 'b', label: 'Secondary', value: r => r.b.name },
+        { key: 'tca', label: 'TCA (UTC)', value: r => r.tca.getTime(),
+            format: r => r.tca.toISOString().replace('T', ' ').slice(0, 19) },
+        { key: 'miss', label: 'Miss (km)', value: r => r.miss, format: r => r.miss.toFixed(3) },
+        { key: 'relVel', label: 'Rel. vel (km/s)', value: r => r.relVel, format: r => r.relVel.toFixed(2) }
+    ];
+
+    const col = columns.find(c => c.key === conjSort.key);
+    const rows = conjResults.slice().sort((x, y) => {
+        const vx = col.value(x), vy = col.value(y);
+        const cmp = vx < vy ? -1 : vx > vy ? 1 : 0;
+        return conjSort.asc ? cmp : -cmp;
+    });
+
+    const table = d3.select(container).html('').append('table').attr('class', 'data-table');
+
+    table.append('thead').append('tr')
+        .selectAll('th')
+        .data(columns)
+        .enter().append('th')
+        .classed('sorted', c => c.key === conjSort.key)
+        .text(c => c.label + (c.key === conjSort.key ? (conjSort.asc ? ' ▲' : ' ▼') : ''))
+        .on('click', (event, c) => {
+            conjSort = { key: c.key, asc: c.key === conjSort.key ? !conjSort.asc : true };
+            renderConjunctionTable();
+        });
+
+    table.append('tbody')
+        .selectAll('tr')
+        .data(rows)
+        .enter().append('tr')
+        .on('click', (event, r) => jumpToConjunction(r))
+        .selectAll('td')
+        .data(r => columns.map(c => (c.format ? c.format(r) : c.value(r))))
+        .enter().append('td')
+        .text(d => d);
+}
+
+// Move the sim clock to the TCA and frame both objects on the globe
+function jumpToConjunction(r) {
+    State.timeWarp = 1;
+    State.timeDirection = 1;
+    State.searchTarget = r.a.name;
+    document.getElementById('sat-search').value = r.a.name;
+    State.conjunctionPair = [r.a, r.b];
+
+    // Center the globe on the primary's subpoint at TCA
+    const pv = conjStateAt(r.a, r.tca.getTime());
+    if (pv) {
+        const gd = satellite.eciToGeodetic(pv.position, satellite.gstime(r.tca));
+        globeDragRotation = [-satellite.degreesLong(gd.longitude), -satellite.degreesLat(gd.latitude)];
+    }
+
+    setSimTime(r.tca);
+    switchViz('globe');
+}
+
+function attachConjunctionListeners() {
+    document.querySelectorAll('.conj-mode-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            document.querySelectorAll('.conj-mode-btn').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            State.conjMode = btn.dataset.mode;
+            renderConjunctionPanel();
+        });
+    });
+
+    const runBtn = document.getElementById('conj-run');
+    const cancelBtn = document.getElementById('conj-cancel');
+    const status = document.getElementById('conj-status');
+
+    runBtn.addEventListener('click', () => {
+        const primary = State.conjMode === 'primary'
+            ? State.satellites.find(s => s.name === State.searchTarget)
+            : null;
+
+        if (State.conjMode === 'primary' && !primary) {
+            status.textContent = 'Select a primary object first.';
+            return;
+        }
+
+        const opts = {
+            primary,
+            regime: document.getElementById('conj-regime').value,
+            thresholdKm: parseFloat(document.getElementById('conj-threshold').value) || 10,
+            windowDays: parseFloat(document.getElementById('conj-window').value) || 1,
+            stepSec: parseFloat(document.getElementById('conj-step').value) || 60,
+            start: new Date(State.simTime.getTime())
+        };
+
+        conjResults = [];
+        runBtn.disabled = true;
+        cancelBtn.disabled = false;
+        renderConjunctionTable();
+
+        screenConjunctions(opts, (frac, nObjects) => {
+            status.textContent = `Screening ${nObjects.toLocaleString()} objects… ${Math.round(frac * 100)}%`;
+        }).then(results => {
+            runBtn.disabled = false;
+            cancelBtn.disabled = true;
+            if (!results) {
+                status.textContent = 'Screening cancelled.';
+                renderConjunctionTable();
+                return;
+            }
+            conjResults = results;
+            status.textContent = `${results.length} conjunction${results.length === 1 ? '' : 's'} within ${opts.thresholdKm} km ` +
+                `over ${opts.windowDays} day${opts.windowDays === 1 ? '' : 's'}.`;
+            renderConjunctionTable();
+        });
+    });
+
+    cancelBtn.addEventListener('click', cancelConjunctionScreen);
+
+    document.getElementById('conj-clear-highlight').addEventListener('click', () => {
+        State.conjunctionPair = null;
+    });
+}
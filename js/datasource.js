@@ -0,0 +1,293 @@
+// ============================================================
+//  DATASOURCE.JS — Catalog loading: TLE, OMM JSON/XML, CSV
+// ============================================================
+//  Every format is normalized to rows with CelesTrak-style columns
+//  (OBJECT_NAME, OBJECT_ID, NORAD_CAT_ID, TLE_LINE1, TLE_LINE2,
+//  INCLINATION, EPOCH, LAUNCH_DATE, COUNTRY_CODE, OBJECT_TYPE, RCS_SIZE),
+//  which is what processData consumes.
+
+const DEFAULT_CATALOG_URL = 'data/space_debris.csv';
+
+// Cache Storage bucket for the last catalog loaded from a file (the service
+// worker leaves it alone when it clears its own caches)
+const LAST_CATALOG_CACHE = 'orbital-graveyard-catalog';
+const LAST_CATALOG_KEY = 'last-catalog';
+
+const CATALOG_FORMATS = {
+    tle: { label: 'TLE text', parse: parseTLEText },
+    json: { label: 'OMM JSON', parse: parseOMMJson },
+    xml: { label: 'OMM XML', parse: parseOMMXml },
+    csv: { label: 'CSV', parse: parseCatalogCSV }
+};
+
+// ============================================================
+//  FORMAT DETECTION
+// ============================================================
+function detectCatalogFormat(text, filename) {
+    const ext = (filename || '').split('.').pop().toLowerCase();
+    if (ext === 'tle' || ext === '3le' || ext === '2le') return 'tle';
+    if (ext === 'json') return 'json';
+    if (ext === 'xml') return 'xml';
+    if (ext === 'csv') return 'csv';
+
+    // Fall back to sniffing the content
+    const head = text.trimStart();
+    if (head.startsWith('[') || head.startsWith('{')) return 'json';
+    if (head.startsWith('<')) return 'xml';
+
+    const lines = head.split(/\r?\n/, 6);
+    if (lines.some(l => /^1 [0-9A-Z ]{5}/.test(l)) && lines.some(l => /^2 [0-9A-Z ]{5}/.test(l))) {
+        return 'tle';
+    }
+    return 'csv';
+}
+
+function parseCatalog(text, filename) {
+    const format = detectCatalogFormat(text, filename);
+    const rows = CATALOG_FORMATS[format].parse(text);
+    if (rows.length === 0) {
+        throw new Error(`No catalog records found (read as ${CATALOG_FORMATS[format].label})`);
+    }
+    return { format, rows };
+}
+
+// ============================================================
+//  PARSERS
+// ============================================================
+
+// --- Raw 2-line or 3-line TLE text ---
+function parseTLEText(text) {
+    const lines = text.split(/\r?\n/).map(l => l.trimEnd()).filter(l => l.trim());
+    const rows = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        if (!lines[i].startsWith('1 ') || !lines[i + 1] || !lines[i + 1].startsWith('2 ')) continue;
+
+        const l1 = lines[i];
+        const l2 = lines[i + 1];
+        const prev = i > 0 ? lines[i - 1] : '';
+        // 3LE name lines are optionally prefixed with "0 "
+        const name = prev && !/^[12] /.test(prev) ? prev.replace(/^0 /, '').trim() : null;
+
+        rows.push(rowFromTLE(name, l1, l2));
+        i++; // consume line 2
+    }
+    return rows;
+}
+
+function rowFromTLE(name, l1, l2) {
+    const epoch = parseTLEEpoch(l1);
+    return {
+        OBJECT_NAME: name || `NORAD ${l1.substring(2, 7).trim()}`,
+        OBJECT_ID: parseIntlDesignator(l1),
+        NORAD_CAT_ID: l1.substring(2, 7).trim(),
+        TLE_LINE1: l1,
+        TLE_LINE2: l2,
+        INCLINATION: l2.substring(8, 16).trim(),
+        EPOCH: epoch ? epoch.toISOString() : null
+    };
+}
+
+// --- OMM JSON (CelesTrak / Space-Track GP format), array or single object ---
+function parseOMMJson(text) {
+    const data = JSON.parse(text);
+    const records = Array.isArray(data) ? data : [data];
+    return records.map(rowFromOMM);
+}
+
+// --- CCSDS OMM XML (NDM container or bare <omm> elements) ---
+function parseOMMXml(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length) {
+        throw new Error('Malformed OMM XML');
+    }
+
+    return Array.from(doc.getElementsByTagName('omm')).map(omm => {
+        const record = {};
+        omm.querySelectorAll('*').forEach(el => {
+            if (el.children.length) return; // only leaf values
+            // <USER_DEFINED parameter="COUNTRY_CODE">US</USER_DEFINED>
+            const key = el.tagName === 'USER_DEFINED'
+                ? el.getAttribute('parameter')
+                : el.tagName;
+            if (key) record[key] = el.textContent.trim();
+        });
+        return rowFromOMM(record);
+    });
+}
+
+// --- CSV with either TLE columns or OMM element columns ---
+function parseCatalogCSV(text) {
+    const rows = d3.csvParse(text);
+    if (rows.columns.includes('TLE_LINE1')) return rows;
+    if (rows.columns.includes('MEAN_MOTION')) return rows.map(rowFromOMM);
+    throw new Error('CSV needs TLE_LINE1/TLE_LINE2 or OMM mean-element columns');
+}
+
+// --- One OMM record → catalog row. Records with TLE lines keep them ---
+function rowFromOMM(rec) {
+    let l1 = rec.TLE_LINE1;
+    let l2 = rec.TLE_LINE2;
+
+    let error = null;
+    if (!l1 || !l2) {
+        try {
+            [l1, l2] = formatTLE(rec);
+        } catch (e) {
+            // Leave the lines empty; processData rejects the row with this reason
+            l1 = l2 = null;
+            error = e.message;
+        }
+    }
+
+    return {
+        ...rec,
+        OBJECT_NAME: rec.OBJECT_NAME || `NORAD ${rec.NORAD_CAT_ID}`,
+        TLE_LINE1: l1,
+        TLE_LINE2: l2,
+        TLE_ERROR: error
+    };
+}
+
+// ============================================================
+//  LOADING
+// ============================================================
+// `init` is passed on to fetch()
+function loadCatalogFromURL(url, init) {
+    return d3.text(url, init).then(text => parseCatalog(text, url));
+}
+
+function loadCatalogFromFile(file) {
+    return file.text().then(text => ({ ...parseCatalog(text, file.name), text }));
+}
+
+// ============================================================
+//  OFFLINE COPY
+// ============================================================
+// Keep the raw text of a loaded file so it can stand in for the bundled
+// catalog when that can't be fetched. Best effort: Cache Storage needs a
+// secure context.
+function storeLastCatalog(filename, text) {
+    if (!window.caches) return Promise.resolve();
+    return caches.open(LAST_CATALOG_CACHE)
+        .then(cache => cache.put(LAST_CATALOG_KEY, new Response(text, {
+            headers: { 'X-Catalog-Name': encodeURIComponent(filename) }
+        })))
+        .catch(err => console.warn('Could not keep an offline copy of the catalog:', err));
+}
+
+// Resolves to { format, rows, filename } or null
+function loadLastCatalog() {
+    if (!window.caches) return Promise.resolve(null);
+    return caches.open(LAST_CATALOG_CACHE)
+        .then(cache => cache.match(LAST_CATALOG_KEY))
+        .then(res => {
+            if (!res) return null;
+            const filename = decodeURIComponent(res.headers.get('X-Catalog-Name') || 'catalog');
+            return res.text().then(text => ({ ...parseCatalog(text, filename), filename }));
+        });
+}
+
+// The bundled catalog (cached by the service worker), else the last file
+// loaded. Resolves to { rows, label }.
+function loadStartupCatalog() {
+    const name = DEFAULT_CATALOG_URL.split('/').pop();
+    return loadCatalogFromURL(DEFAULT_CATALOG_URL)
+        .then(({ rows }) => ({ rows, label: name }))
+        .catch(err => loadLastCatalog().then(saved => {
+            if (!saved) throw err;
+            console.warn(`${name} unavailable, using the last loaded catalog:`, err);
+            return { rows: saved.rows, label: `${saved.filename} (offline copy)` };
+        }));
+}
+
+// Replace the loaded catalog and redraw the active view
+function applyCatalog(rows, label) {
+    State.satellites = [];
+    State.rejected = processData(rows);
+    setCatalogStatus(catalogStatusText(label));
+    catalogChanged();
+}
+
+// After State.satellites is replaced or edited: re-key propagation, drop
+// references to objects that are gone and redraw
+function catalogChanged() {
+    initPropagation(State.satellites);
+    // A screening holds on to the old catalog's objects
+    cancelConjunctionScreen();
+
+    if (State.searchTarget && !State.satellites.some(s => s.name === State.searchTarget)) {
+        State.searchTarget = null;
+        document.getElementById('sat-search').value = '';
+    }
+    if (State.conjunctionPair && State.conjunctionPair.some(s => !State.satellites.includes(s))) {
+        State.conjunctionPair = null;
+    }
+    if (detailSat && !State.satellites.includes(detailSat)) closeSatDetail();
+    pruneFragmentation();
+
+    // Facet counts and the selection size depend on the catalog
+    renderFilterPanel();
+    renderSelectionBar();
+    renderCurrentViz();
+}
+
+// "<label> · N objects", plus how many records were rejected
+function catalogStatusText(label) {
+    const rejected = State.rejected.length;
+    return `${label} · ${State.satellites.length.toLocaleString()} objects` +
+        (rejected ? ` · ${rejected.toLocaleString()} rejected` : '');
+}
+
+function setCatalogStatus(text, isError) {
+    const el = document.getElementById('catalog-status');
+    el.textContent = text;
+    el.classList.toggle('error', !!isError);
+}
+
+function loadDroppedCatalog(file) {
+    const loader = document.getElementById('loader');
+    loader.style.display = 'block';
+
+    loadCatalogFromFile(file).then(({ format, rows, text }) => {
+        applyCatalog(rows, `${file.name} (${CATALOG_FORMATS[format].label})`);
+        storeLastCatalog(file.name, text);
+    }).catch(err => {
+        console.error('Catalog load error:', err);
+        setCatalogStatus(`Could not load ${file.name}: ${err.message}`, true);
+    }).finally(() => {
+        loader.style.display = 'none';
+    });
+}
+
+// ============================================================
+//  FILE PICKER + DRAG & DROP
+// ============================================================
+function attachDataSourceListeners() {
+    const picker = document.getElementById('catalog-file');
+    document.getElementById('catalog-btn').addEventListener('click', () => picker.click());
+    picker.addEventListener('change', () => {
+        if (picker.files.length) loadDroppedCatalog(picker.files[0]);
+        picker.value = ''; // allow re-loading the same file
+    });
+
+    const overlay = document.getElementById('drop-overlay');
+    let dragDepth = 0;
+
+    document.body.addEventListener('dragenter', (e) => {
+        if (!e.dataTransfer.types.includes('Files')) return;
+        dragDepth++;
+        overlay.style.display = 'flex';
+    });
+    document.body.addEventListener('dragleave', () => {
+        dragDepth = Math.max(0, dragDepth - 1);
+        if (dragDepth === 0) overlay.style.display = 'none';
+    });
+    document.body.addEventListener('dragover', (e) => e.preventDefault());
+    document.body.addEventListener('drop', (e) => {
+        e.preventDefault();
+        dragDepth = 0;
+        overlay.style.display = 'none';
+        if (e.dataTransfer.files.length) loadDroppedCatalog(e.dataTransfer.files[0]);
+    });
+}
@@ -0,0 +1,371 @@
+// ============================================================
+//  DENSITY.JS — Spatial density and collision risk per altitude shell
+// ============================================================
+//  Shell-averaged model in the style of the ESA MASTER / NASA ORDEM flux
+//  tables, from the filtered catalog:
+//    - each object's time at altitude comes from its mean-element ellipse
+//      (Kepler's equation between perigee and apogee), not one snapshot
+//    - spatial density per shell = Σ time fractions / shell volume (km⁻³)
+//    - flux on a circular-orbit spacecraft = Σ ρ · v_rel · σ, where v_rel
+//      is averaged over the relative node angle and σ is the combined
+//      cross-section of the spacecraft and the object's RCS-based size
+//    - annual collision probability = 1 − exp(−flux · 1 yr)
+//  Latitude structure within a shell is ignored, and RCS size classes are
+//  only a rough stand-in for physical size.
+
+const DENSITY_RE_KM = 6378.137;
+const DENSITY_MU = 398600.4418;            // km³/s²
+const DENSITY_YEAR_S = 365.25 * 86400;
+const DENSITY_NODE_SAMPLES = 24;           // relative RAAN samples for v_rel
+
+// [min altitude, max altitude, shell thickness] km per altitude range option
+const DENSITY_SHELLS = { leo: [150, 2000, 10], full: [150, 45000, 200] };
+
+// Cross-sectional area (m²) by RCS class, then by object type when the
+// catalog has no RCS. CelesTrak's classes are < 0.1, 0.1–1 and > 1 m².
+const DENSITY_RCS_AREA = { SMALL: 0.05, MEDIUM: 0.5, LARGE: 4 };
+const DENSITY_TYPE_AREA = { DEBRIS: 0.05, PAYLOAD: 2, 'ROCKET BODY': 8 };
+const DENSITY_DEFAULT_AREA = 0.5;
+
+const DENSITY_CLASSES = [
+    { key: 'SMALL', label: 'Small RCS', color: '#648FFF' },
+    { key: 'MEDIUM', label: 'Medium RCS', color: '#FFB000' },
+    { key: 'LARGE', label: 'Large RCS', color: '#DC267F' },
+    { key: 'UNKNOWN', label: 'Unknown RCS', color: '#6B7A90' }
+];
+
+let densityCache = null;   // { key, model }
+
+// ============================================================
+//  MODEL
+// ============================================================
+function objectArea(sat) {
+    return DENSITY_RCS_AREA[sat.rcs] || DENSITY_TYPE_AREA[sat.type] || DENSITY_DEFAULT_AREA;
+}
+
+function densityClass(sat) {
+    return DENSITY_RCS_AREA[sat.rcs] ? sat.rcs : 'UNKNOWN';
+}
+
+// Fraction of the orbit spent below radius R (km) for perigee/apogee radii
+// rp, ra: (E − e·sin E) / π with r(E) = a(1 − e·cos E)
+function timeBelowRadius(R, rp, ra) {
+    if (R <= rp) return 0;
+    if (R >= ra) return 1;
+    const a = (rp + ra) / 2;
+    const e = (ra - rp) / (ra + rp);
+    const E = Math.acos(Math.max(-1, Math.min(1, (1 - R / a) / e)));
+    return (E - e * Math.sin(E)) / Math.PI;
+}
+
+// cos of the angle between the two orbit planes, one per relative node
+// angle sample
+function planeAngleCosines(incA, incB) {
+    const a = incA * Math.PI / 180;
+    const b = incB * Math.PI / 180;
+    return d3.range(DENSITY_NODE_SAMPLES).map(k => {
+        const dOmega = (k + 0.5) * 2 * Math.PI / DENSITY_NODE_SAMPLES;
+        return Math.cos(a) * Math.cos(b) + Math.sin(a) * Math.sin(b) * Math.cos(dOmega);
+    });
+}
+
+// Shells with density by size class, and per shell the expected collision
+// rate for the spacecraft flying a circular orbit in that shell
+function computeDensityModel(sats, range, spacecraft) {
+    const [minAlt, maxAlt, step] = DENSITY_SHELLS[range];
+    const n = Math.round((maxAlt - minAlt) / step);
+    const scRadius = Math.sqrt(spacecraft.area / Math.PI);   // m
+
+    const shells = d3.range(n).map(i => {
+        const lo = minAlt + i * step;
+        const r1 = DENSITY_RE_KM + lo;
+        const r2 = r1 + step;
+        const mid = (r1 + r2) / 2;
+        const byClass = {};
+        DENSITY_CLASSES.forEach(c => { byClass[c.key] = 0; });
+        return {
+            lo,
+            hi: lo + step,
+            volume: 4 / 3 * Math.PI * (r2 * r2 * r2 - r1 * r1 * r1),
+            vCircular: Math.sqrt(DENSITY_MU / mid),
+            mid,
+            objects: 0,          // Σ time fractions
+            byClass,
+            rate: 0              // collisions/s for the spacecraft here
+        };
+    });
+
+    const cosCache = new Map();   // rounded inclination → plane angle cosines
+    sats.forEach(sat => {
+        const rp = DENSITY_RE_KM + sat.perigee;
+        const ra = DENSITY_RE_KM + Math.max(sat.apogee, sat.perigee);
+        if (ra < DENSITY_RE_KM + minAlt || rp > DENSITY_RE_KM + maxAlt) return;
+
+        const a = (rp + ra) / 2;
+        const sigma = Math.PI * Math.pow((scRadius + Math.sqrt(objectArea(sat) / Math.PI)) / 1000, 2);   // km²
+        const cls = densityClass(sat);
+        const incKey = Math.round(sat.inclination * 2) / 2;
+        if (!cosCache.has(incKey)) cosCache.set(incKey, planeAngleCosines(incKey, spacecraft.inc));
+        const cosines = cosCache.get(incKey);
+
+        const first = Math.max(0, Math.floor((rp - DENSITY_RE_KM - minAlt) / step));
+        const last = Math.min(n - 1, Math.floor((ra - DENSITY_RE_KM - minAlt) / step));
+        let below = timeBelowRadius(DENSITY_RE_KM + shells[first].lo, rp, ra);
+        for (let i = first; i <= last; i++) {
+            const shell = shells[i];
+            const belowHi = ra - rp < 1e-3 ? 1 : timeBelowRadius(DENSITY_RE_KM + shell.hi, rp, ra);
+            const f = belowHi - below;
+            below = belowHi;
+            if (f <= 0) continue;
+
+            shell.objects += f;
+            shell.byClass[cls] += f;
+
+            // Mean relative speed: circular spacecraft vs. the object's
+            // vis-viva speed at this radius
+            const v1 = shell.vCircular;
+            const v2 = Math.sqrt(Math.max(0, DENSITY_MU * (2 / shell.mid - 1 / a)));
+            const v12 = v1 * v1 + v2 * v2;
+            let vRel = 0;
+            for (let k = 0; k < cosines.length; k++) {
+                vRel += Math.sqrt(Math.max(0, v12 - 2 * v1 * v2 * cosines[k]));
+            }
+            vRel /= cosines.length;
+
+            shell.rate += f / shell.volume * vRel * sigma;
+        }
+    });
+
+    shells.forEach(s => {
+        s.density = s.objects / s.volume;
+        s.collisionsPerYear = s.rate * DENSITY_YEAR_S;
+        s.probability = 1 - Math.exp(-s.collisionsPerYear);
+    });
+    return { shells, step, minAlt, maxAlt };
+}
+
+// Cached per filtered catalog, range and spacecraft
+function densityModel() {
+    const sc = State.spacecraft;
+    const key = [filterVersion, State.altRange, sc.area, sc.inc].join('|');
+    if (!densityCache || densityCache.key !== key || densityCache.catalog !== State.satellites) {
+        densityCache = {
+            key,
+            catalog: State.satellites,
+            model: computeDensityModel(filteredSatellites(), State.altRange, sc)
+        };
+    }
+    return densityCache.model;
+}
+
+function spacecraftShell(model) {
+    const i = Math.floor((State.spacecraft.alt - model.minAlt) / model.step);
+    return model.shells[i] || null;
+}
+
+// ============================================================
+//  CHART
+// ============================================================
+function renderDensity() {
+    const container = document.getElementById('density-chart');
+    container.innerHTML = '';
+
+    const W = container.clientWidth;
+    const H = container.clientHeight;
+    const margin = { top: 30, right: W * 0.09, bottom: 44, left: W * 0.09 };
+    const width = W - margin.left - margin.right;
+    const height = H - margin.top - margin.bottom;
+    if (width <= 0 || height <= 0) return;
+
+    const model = densityModel();
+    const shells = model.shells;
+    renderSpacecraftRisk(model);
+
+    const svg = d3.select(container).append('svg')
+        .attr('width', W)
+        .attr('height', H)
+        .append('g')
+        .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    const x = d3.scaleLinear().domain([model.minAlt, model.maxAlt]).range([0, width]);
+    const densities = shells.map(s => s.density).filter(d => d > 0);
+    const probabilities = shells.map(s => s.probability).filter(p => p > 0);
+    const maxDensity = d3.max(densities) || 1e-8;
+    const y = d3.scaleLog()
+        .domain([Math.max(d3.min(densities) || maxDensity / 10, maxDensity * 1e-6), maxDensity])
+        .nice().clamp(true)
+        .range([height, 0]);
+    const maxP = d3.max(probabilities) || 1e-6;
+    const yP = d3.scaleLog()
+        .domain([Math.max(d3.min(probabilities) || maxP / 10, maxP * 1e-6), maxP])
+        .nice().clamp(true)
+        .range([height, 0]);
+
+    svg.append('text')
+        .attr('class', 'chart-title')
+        .attr('x', width / 2)
+        .attr('y', -12)
+        .text(`Spatial Density and Annual Collision Probability per ${model.step} km Shell`);
+
+    // Density per size class, then the total on top
+    const line = accessor => d3.line()
+        .defined(s => accessor(s) > 0)
+        .x(s => x(s.lo + model.step / 2))
+        .y(s => y(accessor(s)));
+
+    DENSITY_CLASSES.forEach(c => {
+        svg.append('path')
+            .datum(shells)
+            .attr('class', 'density-line')
+            .attr('stroke', c.color)
+            .attr('d', line(s => s.byClass[c.key] / s.volume));
+    });
+    svg.append('path')
+        .datum(shells)
+        .attr('class', 'density-line total')
+        .attr('d', line(s => s.density));
+
+    // Risk curve for the spacecraft, right axis
+    svg.append('path')
+        .datum(shells)
+        .attr('class', 'density-risk')
+        .attr('d', d3.line()
+            .defined(s => s.probability > 0)
+            .x(s => x(s.lo + model.step / 2))
+            .y(s => yP(s.probability)));
+
+    // Spacecraft altitude
+    const sc = State.spacecraft;
+    if (sc.alt >= model.minAlt && sc.alt <= model.maxAlt) {
+        svg.append('line')
+            .attr('class', 'density-sc-line')
+            .attr('x1', x(sc.alt)).attr('x2', x(sc.alt))
+            .attr('y1', 0).attr('y2', height);
+        svg.append('text')
+            .attr('class', 'density-sc-label')
+            .attr('x', x(sc.alt) + 5)
+            .attr('y', 12)
+            .text(`Spacecraft ${sc.alt.toLocaleString()} km`);
+    }
+
+    // Axes
+    svg.append('g')
+        .attr('class', 'axis')
+        .attr('transform', `translate(0,${height})`)
+        .call(d3.axisBottom(x).ticks(10));
+
+    svg.append('g')
+        .attr('class', 'axis')
+        .call(d3.axisLeft(y).ticks(5, '.0e'));
+
+    svg.append('g')
+        .attr('class', 'axis')
+        .attr('transform', `translate(${width},0)`)
+        .call(d3.axisRight(yP).ticks(5, '.0e'));
+
+    svg.append('text')
+        .attr('class', 'axis-label')
+        .attr('x', width / 2)
+        .attr('y', height + 36)
+        .text('Altitude (km)');
+
+    svg.append('text')
+        .attr('class', 'axis-label')
+        .attr('transform', 'rotate(-90)')
+        .attr('y', -margin.left + 16)
+        .attr('x', -height / 2)
+        .text('Objects / km³');
+
+    svg.append('text')
+        .attr('class', 'axis-label')
+        .attr('transform', 'rotate(90)')
+        .attr('y', -width - margin.right + 16)
+        .attr('x', height / 2)
+        .text('P(collision) / yr');
+
+    // Legend, top right
+    const legend = svg.append('g').attr('transform', `translate(${width - 130},4)`);
+    DENSITY_CLASSES.concat(
+        { label: 'All objects', color: '#e0e0e0' },
+        { label: 'Spacecraft risk', color: '#FE6100', dash: true }
+    ).forEach((c, i) => {
+        const g = legend.append('g').attr('transform', `translate(0,${i * 13})`);
+        g.append('line')
+            .attr('x1', 0).attr('x2', 16)
+            .attr('stroke', c.color)
+            .attr('stroke-width', 2)
+            .attr('stroke-dasharray', c.dash ? '4 3' : null);
+        g.append('text')
+            .attr('class', 'density-legend-text')
+            .attr('x', 22)
+            .attr('y', 4)
+            .text(c.label);
+    });
+
+    // Hover: nearest shell
+    const fmt = d3.format('.2e');
+    svg.append('rect')
+        .attr('width', width)
+        .attr('height', height)
+        .attr('fill', 'transparent')
+        .on('mousemove', (event) => {
+            const alt = x.invert(d3.pointer(event)[0]);
+            const s = shells[Math.min(shells.length - 1, Math.max(0, Math.floor((alt - model.minAlt) / model.step)))];
+            showTooltip(
+                `<strong>${s.lo.toLocaleString()}–${s.hi.toLocaleString()} km</strong>\n` +
+                `Objects (time-averaged): ${s.objects.toFixed(1)}\n` +
+                `Density: ${fmt(s.density)} /km³\n` +
+                DENSITY_CLASSES.map(c => `  ${c.label}: ${fmt(s.byClass[c.key] / s.volume)}`).join('\n') +
+                `\n\nSpacecraft here: ${fmt(s.collisionsPerYear)} collisions/yr\n` +
+                `P(collision) per year: ${fmt(s.probability)}`,
+                event.pageX, event.pageY
+            );
+        })
+        .on('mouseout', hideTooltip);
+}
+
+// Flux and probability at the spacecraft's own altitude, in the controls
+function renderSpacecraftRisk(model) {
+    const out = document.getElementById('density-result');
+    const shell = spacecraftShell(model);
+    if (!shell) {
+        out.textContent = `Altitude outside the ${model.minAlt.toLocaleString()}–${model.maxAlt.toLocaleString()} km range shown.`;
+        return;
+    }
+    const fmt = d3.format('.2e');
+    const fluxPerM2 = shell.collisionsPerYear / State.spacecraft.area;
+    out.innerHTML =
+        `Density: ${fmt(shell.density)} objects/km³<br>` +
+        `Flux: ${fmt(fluxPerM2)} /m²/yr<br>` +
+        `Expected collisions: ${fmt(shell.collisionsPerYear)} /yr<br>` +
+        `<strong>P(collision) in 1 yr: ${fmt(shell.probability)}</strong>` +
+        ` (1 in ${shell.probability > 0 ? Math.round(1 / shell.probability).toLocaleString() : '∞'})`;
+}
+
+function attachDensityListeners() {
+    [['density-area', 'area'], ['density-alt', 'alt'], ['density-inc', 'inc']].forEach(([id, field]) => {
+        document.getElementById(id).addEventListener('change', (e) => {
+            const v = parseFloat(e.target.value);
+            if (!(v >= 0) || (field === 'inc' && v > 180)) {
+                e.target.value = State.spacecraft[field];
+                return;
+            }
+            State.spacecraft[field] = v;
+            if (State.currentViz === 'altitude') renderDensity();
+        });
+    });
+}
+
+// sc=<area>,<alt>,<inc>
+URL_FIELDS.push({
+    key: 'sc',
+    get: () => ['area', 'alt', 'inc'].map(k => State.spacecraft[k]).join(','),
+    set: v => {
+        const [area, alt, inc] = v.split(',').map(Number);
+        if (!(area >= 0 && alt >= 0 && inc >= 0 && inc <= 180)) return;
+        State.spacecraft = { area, alt, inc };
+        document.getElementById('density-area').value = area;
+        document.getElementById('density-alt').value = alt;
+        document.getElementById('density-inc').value = inc;
+    }
+});
@@ -0,0 +1,242 @@
+// ============================================================
+//  DETAILS.JS — Catalog metadata panel for a clicked object
+// ============================================================
+//  Clicking an object on the globe or 2D map opens this panel. The
+//  catalog and mean-element sections are fixed; the live state (position,
+//  velocity, sunlight) and the mini ground track follow the sim clock
+//  while the panel is open.
+
+const DETAIL_REFRESH_MS = 500;
+const DETAIL_MAP_W = 248;
+const DETAIL_MAP_H = 124;
+const DETAIL_MAX_SIBLINGS = 100;   // big debris clouds share one designator
+
+let detailSat = null;
+let detailTimer = null;
+let detailMapProjection = null;
+
+// ============================================================
+//  DATA
+// ============================================================
+// Same launch = same international designator minus the piece letters
+function launchSiblings(sat) {
+    if (!sat.intlDes) return [];
+    const prefix = sat.intlDes.slice(0, 8);
+    return State.satellites
+        .filter(s => s !== sat && s.intlDes && s.intlDes.slice(0, 8) === prefix)
+        .sort((a, b) => a.intlDes.localeCompare(b.intlDes));
+}
+
+// Position, speed and illumination at sim time, straight from SGP4
+function detailState(sat, date) {
+    try {
+        const pv = satellite.propagate(sat.rec, date);
+        if (!pv.position) return null;
+        const gd = satellite.eciToGeodetic(pv.position, satellite.gstime(date));
+        const v = pv.velocity;
+        return {
+            lat: satellite.degreesLat(gd.latitude),
+            lon: satellite.degreesLong(gd.longitude),
+            alt: gd.height,
+            speed: Math.hypot(v.x, v.y, v.z),
+            illum: illumination(pv.position, sunPositionECI(date))
+        };
+    } catch (e) {
+        return null;
+    }
+}
+
+// ============================================================
+//  PANEL
+// ============================================================
+function openSatDetail(sat) {
+    detailSat = sat;
+    document.getElementById('globe').classList.add('detail-open');
+    renderSatDetail();
+
+    clearInterval(detailTimer);
+    detailTimer = setInterval(() => {
+        if (State.currentViz === 'globe') updateSatDetailLive();
+    }, DETAIL_REFRESH_MS);
+}
+
+function closeSatDetail() {
+    detailSat = null;
+    clearInterval(detailTimer);
+    detailTimer = null;
+    document.getElementById('globe').classList.remove('detail-open');
+}
+
+// [[label, value]] as .detail-row elements. Values are text (catalog fields
+// come from dropped files and remote feeds, so never markup), or
+// { text, id, className } for a span the live refresh can reach.
+function renderDetailRows(container, rows) {
+    const row = d3.select(container).html('')
+        .selectAll('.detail-row')
+        .data(rows)
+        .enter().append('div')
+        .attr('class', 'detail-row');
+    row.append('span').text(d => d[0]);
+    row.append('span').each(function ([, value]) {
+        if (value !== null && typeof value === 'object') {
+            d3.select(this).append('span')
+                .attr('id', value.id || null)
+                .attr('class', value.className || null)
+                .text(value.text || '');
+        } else {
+            d3.select(this).text(value);
+        }
+    });
+}
+
+function renderSatDetail() {
+    const sat = detailSat;
+    const rec = sat.rec;
+    const deg = rad => (rad * 180 / Math.PI).toFixed(4) + '°';
+    const epoch = new Date((rec.jdsatepoch - 2440587.5) * 86400000);
+    const revPerDay = rec.no * 1440 / (2 * Math.PI);
+
+    document.getElementById('detail-name').textContent = sat.name;
+    document.getElementById('detail-sub').textContent =
+        `${sat.type} · ${sat.country} · ${sat.regime.toUpperCase()}` + (sat.simulated ? ' · SIMULATED' : '');
+
+    renderDetailRows(document.getElementById('detail-catalog'), [
+        ['NORAD ID', sat.norad],
+        ['Intl designator', sat.intlDes || '—'],
+        ['Launch year', sat.year || '—'],
+        ['RCS size', sat.rcs],
+        ['Epoch (UTC)', epoch.toISOString().slice(0, 19).replace('T', ' ')],
+        ['Epoch age', { id: 'detail-epoch-age' }]
+    ]);
+
+    renderDetailRows(document.getElementById('detail-elements'), [
+        ['Inclination', deg(rec.inclo)],
+        ['RAAN', deg(rec.nodeo)],
+        ['Eccentricity', rec.ecco.toFixed(7)],
+        ['Arg. of perigee', deg(rec.argpo)],
+        ['Mean anomaly', deg(rec.mo)],
+        ['Mean motion', revPerDay.toFixed(8) + ' rev/day'],
+        ['BSTAR', rec.bstar.toExponential(4) + ' /ER'],
+        ['ṅ/2', (rec.ndot * 1440 * 1440 / (2 * Math.PI)).toExponential(4) + ' rev/day²'],
+        ['n̈/6', (rec.nddot * 1440 * 1440 * 1440 / (2 * Math.PI)).toExponential(4) + ' rev/day³'],
+        ['Period', sat.period.toFixed(2) + ' min'],
+        ['Perigee / apogee', `${Math.round(sat.perigee).toLocaleString()} / ${Math.round(sat.apogee).toLocaleString()} km`]
+    ]);
+
+    renderDetailSiblings(sat);
+    renderDetailMap();
+    updateSatDetailLive();
+}
+
+function renderDetailSiblings(sat) {
+    const siblings = launchSiblings(sat);
+    const prefix = sat.intlDes ? sat.intlDes.slice(0, 8) : '';
+    document.getElementById('detail-siblings-title').textContent =
+        `Same launch${prefix ? ` (${prefix})` : ''} — ${siblings.length}`;
+
+    const list = d3.select('#detail-siblings');
+    list.selectAll('*').remove();
+    list.selectAll('.detail-sibling')
+        .data(siblings.slice(0, DETAIL_MAX_SIBLINGS))
+        .enter().append('div')
+        .attr('class', 'detail-sibling')
+        .text(s => `${s.intlDes}  ${s.name}`)
+        .attr('title', 'Show on the tracker')
+        .on('click', (event, s) => {
+            showOnTracker(s);
+            openSatDetail(s);
+        });
+
+    if (siblings.length > DETAIL_MAX_SIBLINGS) {
+        list.append('div')
+            .attr('class', 'status-text')
+            .text(`…and ${(siblings.length - DETAIL_MAX_SIBLINGS).toLocaleString()} more`);
+    }
+}
+
+// Equirectangular thumbnail: land once, then the track and dot on refresh
+function renderDetailMap() {
+    const container = document.getElementById('detail-map');
+    container.innerHTML = '';
+
+    detailMapProjection = d3.geoEquirectangular()
+        .scale(DETAIL_MAP_W / (2 * Math.PI))
+        .translate([DETAIL_MAP_W / 2, DETAIL_MAP_H / 2]);
+    const path = d3.geoPath(detailMapProjection);
+
+    const svg = d3.select(container).append('svg')
+        .attr('width', DETAIL_MAP_W)
+        .attr('height', DETAIL_MAP_H);
+
+    svg.append('rect')
+        .attr('width', DETAIL_MAP_W)
+        .attr('height', DETAIL_MAP_H)
+        .attr('fill', '#0b1026');
+
+    if (worldLand) {
+        svg.append('path')
+            .datum(worldLand)
+            .attr('d', path)
+            .attr('fill', '#1c3018');
+    }
+
+    svg.append('g').attr('class', 'detail-track');
+    svg.append('circle')
+        .attr('class', 'detail-dot')
+        .attr('r', 3.5);
+}
+
+function updateSatDetailLive() {
+    if (!detailSat) return;
+    const sat = detailSat;
+    const date = State.simTime;
+    const st = detailState(sat, date);
+
+    const ageDays = (date.getTime() - (sat.rec.jdsatepoch - 2440587.5) * 86400000) / 86400000;
+    const ageEl = document.getElementById('detail-epoch-age');
+    ageEl.textContent = `${Math.abs(ageDays).toFixed(2)} d ${ageDays >= 0 ? 'before' : 'after'} sim time` +
+        (isStale(sat) ? ' · stale' : '');
+    ageEl.classList.toggle('stale', isStale(sat));
+
+    const live = document.getElementById('detail-live');
+    if (st) {
+        renderDetailRows(live, [
+            ['Latitude', st.lat.toFixed(3) + '°'],
+            ['Longitude', st.lon.toFixed(3) + '°'],
+            ['Altitude', st.alt.toFixed(1) + ' km'],
+            ['Velocity', st.speed.toFixed(3) + ' km/s'],
+            ['Illumination', { text: ILLUM_LABELS[st.illum], className: `detail-illum-${st.illum}` }]
+        ]);
+    } else {
+        live.innerHTML = '<div class="status-text">SGP4 has no solution at the sim time (decayed?)</div>';
+    }
+
+    // Half a revolution back and one ahead, coloured like the main track
+    const container = d3.select('#detail-map');
+    const path = d3.geoPath(detailMapProjection);
+    const track = computeGroundTrack(sat, date, 0.5, 1);
+    container.select('.detail-track')
+        .selectAll('path')
+        .data(splitTrackRuns(track.points))
+        .join('path')
+        .attr('d', run => path({ type: 'LineString', coordinates: run.points.map(p => [p.lon, p.lat]) }))
+        .attr('fill', 'none')
+        .attr('stroke', run => trackRunStyle(run).color)
+        .attr('stroke-opacity', run => trackRunStyle(run).alpha)
+        .attr('stroke-dasharray', run => trackRunStyle(run).dash.join(','))
+        .attr('stroke-width', 1.2);
+
+    const xy = st ? detailMapProjection([st.lon, st.lat]) : null;
+    container.select('.detail-dot')
+        .style('display', xy ? null : 'none')
+        .attr('cx', xy ? xy[0] : 0)
+        .attr('cy', xy ? xy[1] : 0)
+        .attr('fill', getRegimeColor(sat.regime));
+}
+
+function attachDetailListeners() {
+    document.getElementById('detail-close').addEventListener('click', closeSatDetail);
+    document.getElementById('detail-track-btn').addEventListener('click', () => {
+        if (detailSat) showOnTracker(detailSat);
+    });
+}
@@ -0,0 +1,240 @@
+// ============================================================
+//  EXPORT.JS — Chart snapshots and object lists, saved client-side
+// ============================================================
+//  Charts are exported from whatever the current view has drawn: the D3
+//  SVGs as standalone files (computed styles copied onto every element,
+//  since the stylesheet doesn't travel with them) or rasterised to PNG,
+//  and the 3D globe by redrawing one frame at the export scale. Object
+//  lists are the filtered catalog with positions at sim time.
+
+// Chart containers per view; the Live Tracker is the canvas in 3D, the
+// map SVG in 2D
+const EXPORT_CHARTS = {
+    altitude: 'alt-chart',
+    heatmap: 'heatmap-chart',
+    timeline: 'timeline-chart',
+    geobelt: 'geo-scatter',
+    quality: 'quality-ages',
+    globe: 'map-container'
+};
+
+// Presentation properties copied from the computed style into the SVG
+const EXPORT_SVG_PROPS = [
+    'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-dasharray', 'stroke-opacity',
+    'opacity', 'font-family', 'font-size', 'font-weight', 'text-anchor', 'dominant-baseline',
+    'filter', 'visibility'
+];
+
+const EXPORT_BACKGROUND = '#05080f';
+
+// ============================================================
+//  FILE HELPERS
+// ============================================================
+function saveBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// e.g. orbital-graveyard-altitude-20240101T120000Z.svg
+function exportFilename(name, ext) {
+    const stamp = State.simTime.toISOString().slice(0, 19).replace(/[-:]/g, '') + 'Z';
+    return `orbital-graveyard-${name}-${stamp}.${ext}`;
+}
+
+// ============================================================
+//  CHARTS
+// ============================================================
+function currentChartSVG() {
+    const id = EXPORT_CHARTS[State.currentViz];
+    if (!id || (State.currentViz === 'globe' && State.projection3D)) return null;
+    return document.querySelector(`#${id} svg`);
+}
+
+function canExportChart() {
+    return !!currentChartSVG() || (State.currentViz === 'globe' && State.projection3D);
+}
+
+// Standalone copy of a rendered chart: computed styles inlined, brush
+// handles dropped, background filled in
+function standaloneSVG(svg) {
+    const clone = svg.cloneNode(true);
+    const source = svg.querySelectorAll('*');
+    const target = clone.querySelectorAll('*');
+
+    source.forEach((el, i) => {
+        const style = getComputedStyle(el);
+        const inline = EXPORT_SVG_PROPS
+            .map(p => `${p}:${style.getPropertyValue(p)}`)
+            .join(';');
+        target[i].setAttribute('style', inline);
+    });
+    clone.querySelectorAll('.brush .overlay, .brush .handle').forEach(el => el.remove());
+
+    const width = svg.getAttribute('width');
+    const height = svg.getAttribute('height');
+    clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    clone.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+    const bg = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    bg.setAttribute('width', width);
+    bg.setAttribute('height', height);
+    bg.setAttribute('fill', EXPORT_BACKGROUND);
+    clone.insertBefore(bg, clone.firstChild);
+
+    return {
+        text: '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(clone),
+        width: +width,
+        height: +height
+    };
+}
+
+function exportChartSVG() {
+    const svg = currentChartSVG();
+    if (!svg) return;
+    const { text } = standaloneSVG(svg);
+    saveBlob(new Blob([text], { type: 'image/svg+xml' }), exportFilename(State.currentViz, 'svg'));
+}
+
+function exportChartPNG(scale) {
+    if (State.currentViz === 'globe' && State.projection3D) {
+        exportGlobePNG(scale);
+        return;
+    }
+
+    const svg = currentChartSVG();
+    if (!svg) return;
+    const { text, width, height } = standaloneSVG(svg);
+    const url = URL.createObjectURL(new Blob([text], { type: 'image/svg+xml' }));
+    const img = new Image();
+    img.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+        const ctx = canvas.getContext('2d');
+        ctx.scale(scale, scale);
+        ctx.drawImage(img, 0, 0, width, height);
+        URL.revokeObjectURL(url);
+        canvas.toBlob(blob => saveBlob(blob, exportFilename(State.currentViz, 'png')), 'image/png');
+    };
+    img.onerror = () => {
+        URL.revokeObjectURL(url);
+        console.error('Chart export: SVG could not be rasterised');
+    };
+    img.src = url;
+}
+
+// Redraw one globe frame at `scale` canvas pixels per CSS pixel, copy it
+// out over the dark background, then drop back to screen resolution. The
+// WebGL renderer is two canvases: the scene, then the overlay on top.
+function exportGlobePNG(scale) {
+    const draw = isGlobeGLActive() ? drawGlobeGLFrame : drawGlobeFrame;
+    const previous = globePixelRatio;
+    setGlobePixelRatio(scale);
+    draw();
+
+    const canvas = document.createElement('canvas');
+    canvas.width = globeCanvas.width;
+    canvas.height = globeCanvas.height;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = EXPORT_BACKGROUND;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (isGlobeGLActive()) ctx.drawImage(globeGL.canvas, 0, 0);
+    ctx.drawImage(globeCanvas, 0, 0);
+
+    setGlobePixelRatio(previous);
+    draw();
+
+    canvas.toBlob(blob => saveBlob(blob, exportFilename('globe', 'png')), 'image/png');
+}
+
+// ============================================================
+//  OBJECT LISTS
+// ============================================================
+const EXPORT_COLUMNS = [
+    'norad_id', 'name', 'intl_designator', 'type', 'country', 'rcs', 'launch_year', 'regime', 'group',
+    'inclination_deg', 'perigee_km', 'apogee_km', 'period_min',
+    'sim_time', 'lat_deg', 'lon_deg', 'alt_km', 'illumination', 'simulated', 'tle_line1', 'tle_line2'
+];
+
+function exportRow(sat, time) {
+    const pos = getSatPosition(sat);
+    const group = satGroup(sat);
+    const round = (v, digits) => (v === null || v === undefined || isNaN(v) ? null : +v.toFixed(digits));
+    return {
+        norad_id: sat.norad,
+        name: sat.name,
+        intl_designator: sat.intlDes,
+        type: sat.type,
+        country: sat.country,
+        rcs: sat.rcs,
+        launch_year: sat.year,
+        regime: sat.regime.toUpperCase(),
+        group: group ? group.name : null,
+        inclination_deg: round(sat.inclination, 4),
+        perigee_km: round(sat.perigee, 1),
+        apogee_km: round(sat.apogee, 1),
+        period_min: round(sat.period, 2),
+        sim_time: time.toISOString(),
+        lat_deg: pos ? round(pos.lat, 4) : null,
+        lon_deg: pos ? round(pos.lon, 4) : null,
+        alt_km: pos ? round(pos.alt, 2) : null,
+        illumination: pos && ILLUM_LABELS[pos.illum] ? ILLUM_LABELS[pos.illum].toLowerCase() : null,
+        simulated: !!sat.simulated,
+        tle_line1: sat.tle1,
+        tle_line2: sat.tle2
+    };
+}
+
+// Positions come from one propagation tick, so the time written out is
+// the tick's own time
+function exportObjects(format) {
+    const sats = filteredSatellites();
+    requestPropagation(State.simTime, (time) => {
+        const rows = sats.map(sat => exportRow(sat, time));
+        if (format === 'json') {
+            const doc = { sim_time: time.toISOString(), count: rows.length, objects: rows };
+            saveBlob(new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' }),
+                exportFilename('objects', 'json'));
+        } else {
+            saveBlob(new Blob([d3.csvFormat(rows, EXPORT_COLUMNS)], { type: 'text/csv' }),
+                exportFilename('objects', 'csv'));
+        }
+    });
+}
+
+// ============================================================
+//  MENU
+// ============================================================
+function renderExportMenu() {
+    const chart = canExportChart();
+    const svg = !!currentChartSVG();
+    document.querySelector('.export-item[data-export="svg"]').disabled = !svg;
+    document.querySelector('.export-item[data-export="png"]').disabled = !chart;
+    document.getElementById('export-count').textContent =
+        `${filteredSatellites().length.toLocaleString()} filtered objects`;
+}
+
+function attachExportListeners() {
+    const menu = document.getElementById('export-menu');
+
+    document.getElementById('export-btn').addEventListener('click', () => {
+        menu.classList.toggle('open');
+        if (menu.classList.contains('open')) renderExportMenu();
+    });
+
+    document.querySelectorAll('.export-item').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const kind = btn.dataset.export;
+            if (kind === 'svg') exportChartSVG();
+            if (kind === 'png') exportChartPNG(parseFloat(document.getElementById('export-scale').value) || 2);
+            if (kind === 'csv' || kind === 'json') exportObjects(kind);
+            menu.classList.remove('open');
+        });
+    });
+}
@@ -0,0 +1,191 @@
+// ============================================================
+//  FILTERS.JS — Shared faceted filter for every catalog view
+// ============================================================
+//  One predicate (passesFilters) decides which objects the globe, 2D map,
+//  altitude histogram, heatmap and timeline show. Facet counts are the
+//  usual "if you ticked this" counts: each facet is counted against every
+//  filter except its own. Objects with stale TLEs drop out of the filtered
+//  catalog too when they are set to be hidden (quality.js), and so do the
+//  members of hidden groups (groups.js).
+
+const FILTER_FACETS = [
+    { key: 'type', value: s => s.type },
+    { key: 'rcs', value: s => s.rcs },
+    { key: 'country', value: s => s.country }
+];
+
+const FILTER_RANGES = [
+    { key: 'year', value: s => s.year },
+    { key: 'alt', value: s => s.meanAlt },
+    { key: 'inc', value: s => s.inclination }
+];
+
+let filterVersion = 0;
+let filterCache = null;    // { version, catalog, list }
+
+// ============================================================
+//  PREDICATE
+// ============================================================
+function emptyFilters() {
+    const filters = {};
+    FILTER_FACETS.forEach(f => { filters[f.key] = []; });
+    FILTER_RANGES.forEach(r => { filters[r.key] = [null, null]; });
+    return filters;
+}
+
+// `skip` leaves one facet out, for that facet's own counts
+function passesFilters(sat, skip) {
+    if (sat.regime === 'leo' && !State.showLEO) return false;
+    if (sat.regime === 'meo' && !State.showMEO) return false;
+    if (sat.regime === 'geo' && !State.showGEO) return false;
+    if (sat.regime === 'heo' && !State.showHEO) return false;
+    if (sat.regime === 'gto' && !State.showGTO) return false;
+
+    const filters = State.filters;
+    for (const f of FILTER_FACETS) {
+        const selected = filters[f.key];
+        if (f.key !== skip && selected.length && !selected.includes(f.value(sat))) return false;
+    }
+    for (const r of FILTER_RANGES) {
+        const [min, max] = filters[r.key];
+        if (min === null && max === null) continue;
+        const v = r.value(sat);
+        if (v === null || v === undefined) return false;
+        if ((min !== null && v < min) || (max !== null && v > max)) return false;
+    }
+    return true;
+}
+
+// Catalog objects passing the current filters, cached until either changes
+function filteredSatellites() {
+    if (!filterCache || filterCache.version !== filterVersion || filterCache.catalog !== State.satellites) {
+        filterCache = {
+            version: filterVersion,
+            catalog: State.satellites,
+            list: State.satellites.filter(s => passesFilters(s) && !isHiddenStale(s) && !isHiddenGroup(s))
+        };
+    }
+    return filterCache.list;
+}
+
+function activeFilterCount() {
+    let n = 0;
+    FILTER_FACETS.forEach(f => { if (State.filters[f.key].length) n++; });
+    FILTER_RANGES.forEach(r => { if (State.filters[r.key].some(v => v !== null)) n++; });
+    return n;
+}
+
+// Every filter edit lands here: bump the cache, redraw counts and views
+function filtersChanged() {
+    filterVersion++;
+    renderFilterPanel();
+    renderSelectionBar();
+    if (State.currentViz !== 'globe') renderCurrentViz(); // the globe redraws every frame
+}
+
+// ============================================================
+//  PANEL
+// ============================================================
+function renderFilterPanel() {
+    const total = State.satellites.length;
+    const shown = filteredSatellites().length;
+    const active = activeFilterCount();
+
+    document.getElementById('filter-btn').textContent = active ? `Filters (${active})` : 'Filters';
+    document.getElementById('filter-summary').textContent =
+        `Showing ${shown.toLocaleString()} of ${total.toLocaleString()} objects`;
+
+    if (!document.getElementById('filter-drawer').classList.contains('open')) return;
+
+    FILTER_FACETS.forEach(f => {
+        const totals = d3.rollup(State.satellites, v => v.length, f.value);
+        const counts = d3.rollup(State.satellites.filter(s => passesFilters(s, f.key) && !isHiddenStale(s) && !isHiddenGroup(s)), v => v.length, f.value);
+        const selected = State.filters[f.key];
+        const values = Array.from(totals.keys()).sort((a, b) => totals.get(b) - totals.get(a));
+
+        const rows = d3.select(`#facet-${f.key}`)
+            .selectAll('label')
+            .data(values, d => d)
+            .join(enter => {
+                const row = enter.append('label').attr('class', 'facet-row');
+                row.append('input').attr('type', 'checkbox')
+                    .on('change', (event, d) => {
+                        const list = State.filters[f.key];
+                        State.filters[f.key] = event.target.checked
+                            ? list.concat(d)
+                            : list.filter(v => v !== d);
+                        filtersChanged();
+                    });
+                row.append('span').attr('class', 'facet-value');
+                row.append('span').attr('class', 'facet-count');
+                return row;
+            });
+
+        rows.select('input').property('checked', d => selected.includes(d));
+        rows.select('.facet-value').text(d => d);
+        rows.select('.facet-count').text(d => (counts.get(d) || 0).toLocaleString());
+        rows.classed('empty', d => !counts.get(d));
+    });
+
+    FILTER_RANGES.forEach(r => {
+        const [min, max] = State.filters[r.key];
+        document.getElementById(`range-${r.key}-min`).value = min === null ? '' : min;
+        document.getElementById(`range-${r.key}-max`).value = max === null ? '' : max;
+    });
+}
+
+function attachFilterListeners() {
+    document.getElementById('filter-btn').addEventListener('click', () => {
+        document.getElementById('filter-drawer').classList.toggle('open');
+        document.getElementById('refresh-drawer').classList.remove('open');
+        renderFilterPanel();
+    });
+    document.getElementById('filter-close').addEventListener('click', () => {
+        document.getElementById('filter-drawer').classList.remove('open');
+    });
+
+    FILTER_RANGES.forEach(r => {
+        ['min', 'max'].forEach((end, i) => {
+            document.getElementById(`range-${r.key}-${end}`).addEventListener('change', (e) => {
+                const v = parseFloat(e.target.value);
+                State.filters[r.key][i] = isNaN(v) ? null : v;
+                filtersChanged();
+            });
+        });
+    });
+
+    document.getElementById('filter-reset').addEventListener('click', () => {
+        State.filters = emptyFilters();
+        filtersChanged();
+    });
+
+    renderFilterPanel();
+}
+
+// ============================================================
+//  URL FIELDS
+// ============================================================
+// Facets as comma lists (values are URI-encoded by URLSearchParams),
+// ranges as "min,max" with either end optional under a plural key, so
+// `alt` stays free for the altitude chart's range.
+FILTER_FACETS.forEach(f => URL_FIELDS.push({
+    key: f.key,
+    get: () => State.filters[f.key].join(','),
+    set: v => {
+        State.filters[f.key] = v ? v.split(',') : [];
+        filterVersion++;
+    }
+}));
+
+FILTER_RANGES.forEach(r => URL_FIELDS.push({
+    key: r.key + 's',
+    get: () => State.filters[r.key].map(v => (v === null ? '' : v)).join(','),
+    set: v => {
+        const parts = (v || '').split(',');
+        State.filters[r.key] = [0, 1].map(i => {
+            const x = parseFloat(parts[i]);
+            return isNaN(x) ? null : x;
+        });
+        filterVersion++;
+    }
+}));
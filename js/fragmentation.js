@@ -0,0 +1,454 @@
+// ============================================================
+//  FRAGMENTATION.JS — Breakup "what if" simulator (Viz 8)
+// ============================================================
+//  NASA Standard Breakup Model (Johnson et al. 2001, as in EVOLVE 4.0):
+//    size      N(>Lc) = 6·S·Lc^-1.6 (explosion), 0.1·M^0.75·Lc^-1.71 (collision)
+//    A/m       bimodal normal in log10(A/m), spacecraft or rocket-body fits
+//    Δv        normal in log10(Δv), mean set by A/m, isotropic direction
+//  Fragments become mean elements straight from the post-breakup state, so
+//  they carry ~10 km of osculating error — fine for a debris cloud.
+
+const FRAG_MU = 398600.4418;          // km³/s²
+const FRAG_RE = 6378.137;             // km
+const FRAG_CD = 2.2;
+const FRAG_MAX = 5000;                // cap on generated fragments per event
+const FRAG_LC_MAX = 1.0;              // m, largest fragment sampled
+const FRAG_CATASTROPHIC_J_PER_G = 40;
+const FRAG_NORAD_BASE = 270000;       // Alpha-5 "T0000" — clear of real catalog numbers...
+const FRAG_NORAD_END = 300000;        // ...and of tools/tle-standin.py's new objects (exclusive)
+
+let fragNextEvent = 1;
+let fragEvents = [];                  // [{ id, label, time, type, count, rejected, truncated }]
+let fragSelectedEvent = null;         // event shown in the Gabbard diagram
+let fragType = 'explosion';
+let fragParents = { a: null, b: null };
+
+// ============================================================
+//  SBM DISTRIBUTIONS
+// ============================================================
+function gaussian() {
+    let u = 0;
+    while (u === 0) u = Math.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * Math.random());
+}
+
+// Piecewise-linear SBM coefficient: `lo` below x0, `hi` above x1
+function sbmRamp(x, x0, lo, x1, hi) {
+    if (x <= x0) return lo;
+    if (x >= x1) return hi;
+    return lo + (hi - lo) * (x - x0) / (x1 - x0);
+}
+
+// Characteristic length from the power law between lMin and FRAG_LC_MAX
+function sampleFragmentSize(lMin, beta) {
+    const span = 1 - Math.pow(FRAG_LC_MAX / lMin, -beta);
+    return lMin * Math.pow(1 - Math.random() * span, -1 / beta);
+}
+
+// log10(A/m) for a fragment of characteristic length lc (m), lc > 11 cm fits
+function sampleAreaToMass(lc, rocketBody) {
+    const x = Math.log10(lc);
+    let alpha, mu1, s1, mu2, s2;
+    if (rocketBody) {
+        alpha = sbmRamp(x, -1.4, 1, 0, 0.5);
+        mu1 = sbmRamp(x, -0.5, -0.45, 0, -0.9);
+        s1 = 0.55;
+        mu2 = -0.9;
+        s2 = sbmRamp(x, -1, 0.28, 0.1, 0.1);
+    } else {
+        alpha = sbmRamp(x, -1.95, 0, 0.55, 1);
+        mu1 = sbmRamp(x, -1.1, -0.6, 0, -0.95);
+        s1 = sbmRamp(x, -1.3, 0.1, -0.3, 0.3);
+        mu2 = sbmRamp(x, -0.7, -1.2, -0.1, -2.0);
+        s2 = sbmRamp(x, -0.5, 0.5, -0.3, 0.3);
+    }
+    return Math.random() < alpha ? mu1 + s1 * gaussian() : mu2 + s2 * gaussian();
+}
+
+// Δv magnitude (km/s) for log10(A/m) = chi
+function sampleDeltaV(chi, collision) {
+    const mu = collision ? 0.9 * chi + 2.9 : 0.2 * chi + 1.85;
+    return Math.pow(10, mu + 0.4 * gaussian()) / 1000;
+}
+
+function randomDirection() {
+    const z = 2 * Math.random() - 1;
+    const t = 2 * Math.PI * Math.random();
+    const s = Math.sqrt(1 - z * z);
+    return [s * Math.cos(t), s * Math.sin(t), z];
+}
+
+// Average cross-section (m²) for characteristic length lc (m)
+function fragmentArea(lc) {
+    return lc < 0.00167 ? 0.540424 * lc * lc : 0.556945 * Math.pow(lc, 2.0047077);
+}
+
+// ============================================================
+//  STATE → ELEMENTS
+// ============================================================
+// Classical elements (degrees, rev/day) from a TEME state in km, km/s.
+// Returns null for orbits that are hyperbolic or already inside the atmosphere.
+function stateToElements(r, v) {
+    const rn = Math.hypot(...r);
+    const v2 = dot(v, v);
+    const rv = dot(r, v);
+    const h = cross(r, v);
+    const hn = Math.hypot(...h);
+
+    const a = 1 / (2 / rn - v2 / FRAG_MU);
+    const ev = r.map((ri, k) => ((v2 - FRAG_MU / rn) * ri - rv * v[k]) / FRAG_MU);
+    const e = Math.hypot(...ev);
+    if (!(a > 0) || e >= 1 || a * (1 - e) - FRAG_RE < 100) return null;
+
+    const acosC = x => Math.acos(Math.max(-1, Math.min(1, x)));
+    const inc = acosC(h[2] / hn);
+    const node = [-h[1], h[0], 0];
+    const nn = Math.hypot(...node);
+
+    const raan = nn > 1e-8 ? Math.atan2(node[1], node[0]) : 0;
+    const ref = nn > 1e-8 ? node.map(x => x / nn) : [1, 0, 0];
+
+    // Argument of latitude of the state, then split into ω + ν
+    const refPerp = cross(h.map(x => x / hn), ref);
+    const u = Math.atan2(dot(r, refPerp), dot(r, ref));
+    let argp = 0;
+    if (e > 1e-8) argp = Math.atan2(dot(ev, refPerp), dot(ev, ref));
+    const nu = u - argp;
+
+    const E = 2 * Math.atan(Math.sqrt((1 - e) / (1 + e)) * Math.tan(nu / 2));
+    const M = E - e * Math.sin(E);
+    const wrap = x => ((x * 180 / Math.PI) % 360 + 360) % 360;
+
+    return {
+        INCLINATION: inc * 180 / Math.PI,
+        RA_OF_ASC_NODE: wrap(raan),
+        ECCENTRICITY: e,
+        ARG_OF_PERICENTER: wrap(argp),
+        MEAN_ANOMALY: wrap(M),
+        MEAN_MOTION: Math.sqrt(FRAG_MU / (a * a * a)) * 86400 / (2 * Math.PI)
+    };
+}
+
+// ============================================================
+//  BREAKUP
+// ============================================================
+// opts: { type, a, b, massA, massB, vRel (km/s, collision), lMin (m), time }
+// Returns { rows, count, truncated, catastrophic }.
+function generateBreakup(opts) {
+    const collision = opts.type === 'collision';
+    const parents = collision ? [opts.a, opts.b] : [opts.a];
+    const states = parents.map(sat => {
+        const pv = satellite.propagate(sat.rec, opts.time);
+        if (!pv.position) throw new Error(`${sat.name} cannot be propagated to this time.`);
+        return {
+            sat,
+            r: [pv.position.x, pv.position.y, pv.position.z],
+            v: [pv.velocity.x, pv.velocity.y, pv.velocity.z]
+        };
+    });
+
+    // Number of fragments larger than lMin
+    let nFrag, beta, catastrophic = false;
+    if (collision) {
+        const [sa, sb] = states;
+        const vRel = opts.vRel || Math.hypot(sa.v[0] - sb.v[0], sa.v[1] - sb.v[1], sa.v[2] - sb.v[2]);
+        const mBig = Math.max(opts.massA, opts.massB);
+        const mSmall = Math.min(opts.massA, opts.massB);
+        const energy = 0.5 * mSmall * (vRel * 1000) ** 2 / (mBig * 1000); // J/g
+        catastrophic = energy >= FRAG_CATASTROPHIC_J_PER_G;
+        const M = catastrophic ? opts.massA + opts.massB : mSmall * vRel * vRel;
+
+        beta = 1.71;
+        nFrag = 0.1 * Math.pow(M, 0.75) * (Math.pow(opts.lMin, -beta) - Math.pow(FRAG_LC_MAX, -beta));
+    } else {
+        beta = 1.6;
+        nFrag = 6 * (Math.pow(opts.lMin, -beta) - Math.pow(FRAG_LC_MAX, -beta));
+    }
+
+    // Each fragment scatters from one parent's state, shared out by mass.
+    // The two parents need not actually meet; each cloud follows its own orbit.
+    const shareA = collision ? opts.massA / (opts.massA + opts.massB) : 1;
+    const count = Math.min(FRAG_MAX, Math.round(nFrag));
+    const norads = freeFragmentNorads(count);
+    if (norads.length < count) {
+        throw new Error(`Not enough free catalog numbers for ${count.toLocaleString()} fragments ` +
+            `(${norads.length.toLocaleString()} left) — remove an event first.`);
+    }
+    const epoch = opts.time;
+    const rows = [];
+
+    for (let i = 0; i < count; i++) {
+        const origin = Math.random() < shareA ? states[0] : states[1];
+        const lc = sampleFragmentSize(opts.lMin, beta);
+        const chi = sampleAreaToMass(lc, origin.sat.type === 'ROCKET BODY');
+        const dv = sampleDeltaV(chi, collision);
+        const dir = randomDirection();
+        const v = origin.v.map((x, k) => x + dv * dir[k]);
+
+        const el = stateToElements(origin.r, v);
+        if (!el) continue; // escaped or straight into the atmosphere
+
+        const areaToMass = Math.pow(10, chi);
+        const area = fragmentArea(lc);
+        const row = {
+            ...el,
+            OBJECT_NAME: `${origin.sat.name} DEB (SIM)`,
+            OBJECT_ID: parseIntlDesignator(origin.sat.tle1),
+            NORAD_CAT_ID: norads[rows.length],
+            EPOCH: epoch,
+            LAUNCH_DATE: epoch.toISOString().slice(0, 10),
+            BSTAR: FRAG_CD * areaToMass * REENTRY_BSTAR_RHO0 / 2,
+            COUNTRY_CODE: origin.sat.country,
+            OBJECT_TYPE: 'DEBRIS',
+            RCS_SIZE: area < 0.1 ? 'SMALL' : area < 1 ? 'MEDIUM' : 'LARGE'
+        };
+        rows.push(rowFromOMM(row));
+    }
+
+    return { rows, count: rows.length, truncated: nFrag > FRAG_MAX, catastrophic };
+}
+
+// The lowest n fragment numbers no object in the catalog holds, so numbers
+// of removed events are reused; fewer than n when the range is full
+function freeFragmentNorads(n) {
+    const used = new Set(State.satellites.map(s => +s.norad));
+    const free = [];
+    for (let k = FRAG_NORAD_BASE; k < FRAG_NORAD_END && free.length < n; k++) {
+        if (!used.has(k)) free.push(k);
+    }
+    return free;
+}
+
+// Append a breakup's fragments to the catalog, flagged as simulated
+function addFragmentationEvent(opts) {
+    const result = generateBreakup(opts);
+    const id = fragNextEvent++;
+
+    State.satellites = State.satellites.slice();
+    const first = State.satellites.length;
+    const rejected = processData(result.rows);
+    for (let i = first; i < State.satellites.length; i++) {
+        State.satellites[i].simulated = true;
+        State.satellites[i].fragEvent = id;
+    }
+
+    const event = {
+        id,
+        type: opts.type,
+        time: new Date(opts.time.getTime()),
+        label: opts.type === 'collision' ? `${opts.a.name} × ${opts.b.name}` : `${opts.a.name} explosion`,
+        count: State.satellites.length - first,
+        rejected: rejected.length,
+        truncated: result.truncated,
+        catastrophic: result.catastrophic
+    };
+    fragEvents.push(event);
+    fragSelectedEvent = event;
+    catalogChanged();
+    return event;
+}
+
+// Drop one event's fragments (or all simulated objects with no id)
+function removeFragmentationEvent(id) {
+    State.satellites = State.satellites
+        .filter(s => !(s.simulated && (id === undefined || s.fragEvent === id)));
+    State.satellites.forEach((s, i) => { s.index = i; });
+    catalogChanged(); // drops the event itself, see pruneFragmentation
+}
+
+// After a catalog change: forget events whose fragments went with the old
+// catalog, and parents that are no longer in it
+function pruneFragmentation() {
+    const events = new Set(State.satellites.filter(s => s.simulated).map(s => s.fragEvent));
+    fragEvents = fragEvents.filter(e => events.has(e.id));
+    if (!fragEvents.includes(fragSelectedEvent)) fragSelectedEvent = fragEvents[fragEvents.length - 1] || null;
+    ['a', 'b'].forEach(k => {
+        if (fragParents[k] && !State.satellites.includes(fragParents[k])) fragParents[k] = null;
+    });
+}
+
+// ============================================================
+//  PANEL
+// ============================================================
+function renderFragmentationPanel() {
+    document.querySelectorAll('.frag-type-btn').forEach(b => {
+        b.classList.toggle('active', b.dataset.type === fragType);
+    });
+    document.querySelectorAll('.frag-collision-only').forEach(el => {
+        el.style.display = fragType === 'collision' ? '' : 'none';
+    });
+
+    ['a', 'b'].forEach(k => {
+        const el = document.getElementById(`frag-parent-${k}`);
+        const sat = fragParents[k];
+        el.textContent = sat ? sat.name : 'None — pick with the Live Tracker search, then “Use target”';
+        el.classList.toggle('muted', !sat);
+    });
+    document.getElementById('frag-time').textContent =
+        State.simTime.toISOString().replace('T', ' ').slice(0, 19) + ' UTC';
+
+    renderFragmentationEvents();
+    renderGabbardDiagram();
+}
+
+function renderFragmentationEvents() {
+    const list = d3.select('#frag-events');
+    list.selectAll('*').remove();
+
+    if (fragEvents.length === 0) {
+        list.append('div').attr('class', 'status-text').text('No simulated events.');
+        return;
+    }
+
+    const rows = list.selectAll('.station-row')
+        .data(fragEvents)
+        .enter().append('div')
+        .attr('class', 'station-row')
+        .classed('selected', e => e === fragSelectedEvent)
+        .on('click', (event, e) => {
+            fragSelectedEvent = e;
+            renderFragmentationPanel();
+        });
+
+    rows.append('span').attr('class', 'station-name').text(e => e.label);
+    rows.append('span').attr('class', 'station-coords')
+        .text(e => `${e.count} frag. · ${e.time.toISOString().slice(0, 10)}`);
+    rows.append('button')
+        .attr('class', 'icon-btn')
+        .attr('title', 'Remove fragments')
+        .text('✕')
+        .on('click', (event, e) => {
+            event.stopPropagation();
+            removeFragmentationEvent(e.id);
+            renderFragmentationPanel();
+        });
+}
+
+// --- Gabbard diagram: apogee and perigee altitude against period ---
+function renderGabbardDiagram() {
+    const container = document.getElementById('frag-gabbard');
+    container.innerHTML = '';
+
+    const frags = fragSelectedEvent
+        ? State.satellites.filter(s => s.fragEvent === fragSelectedEvent.id)
+        : [];
+    if (frags.length === 0) {
+        container.innerHTML = '<p class="table-empty">Generate a breakup to see its Gabbard diagram.</p>';
+        return;
+    }
+
+    const W = container.clientWidth;
+    const H = container.clientHeight;
+    const margin = { top: 40, right: 24, bottom: 48, left: 70 };
+    const width = W - margin.left - margin.right;
+    const height = H - margin.top - margin.bottom;
+    if (width <= 0 || height <= 0) return;
+
+    const svg = d3.select(container).append('svg')
+        .attr('width', W)
+        .attr('height', H)
+        .append('g')
+        .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    const x = d3.scaleLinear().domain(d3.extent(frags, s => s.period)).nice().range([0, width]);
+    const y = d3.scaleLinear()
+        .domain([d3.min(frags, s => s.perigee), d3.max(frags, s => s.apogee)])
+        .nice().range([height, 0]);
+
+    svg.append('text')
+        .attr('class', 'chart-title')
+        .attr('x', width / 2)
+        .attr('y', -18)
+        .text(`Gabbard Diagram — ${fragSelectedEvent.label} (${frags.length} fragments)`);
+
+    [['apogee', 'gabbard-apogee'], ['perigee', 'gabbard-perigee']].forEach(([key, cls]) => {
+        svg.append('g')
+            .selectAll('circle')
+            .data(frags)
+            .enter().append('circle')
+            .attr('class', cls)
+            .attr('cx', s => x(s.period))
+            .attr('cy', s => y(s[key]))
+            .attr('r', 1.8);
+    });
+
+    svg.append('g')
+        .attr('class', 'axis')
+        .attr('transform', `translate(0,${height})`)
+        .call(d3.axisBottom(x).ticks(8));
+
+    svg.append('g')
+        .attr('class', 'axis')
+        .call(d3.axisLeft(y).ticks(8));
+
+    svg.append('text')
+        .attr('class', 'axis-label')
+        .attr('x', width / 2)
+        .attr('y', height + 40)
+        .text('Orbital period (min)');
+
+    const yLabel = svg.append('text')
+        .attr('class', 'axis-label')
+        .attr('transform', 'rotate(-90)')
+        .attr('y', -margin.left + 18)
+        .attr('x', -height / 2);
+    yLabel.append('tspan').text('Altitude (km) — ');
+    yLabel.append('tspan').attr('class', 'gabbard-apogee').text('● apogee ');
+    yLabel.append('tspan').attr('class', 'gabbard-perigee').text('● perigee');
+}
+
+function attachFragmentationListeners() {
+    document.querySelectorAll('.frag-type-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            fragType = btn.dataset.type;
+            renderFragmentationPanel();
+        });
+    });
+
+    document.querySelectorAll('.frag-use-target').forEach(btn => {
+        btn.addEventListener('click', () => {
+            fragParents[btn.dataset.parent] =
+                State.satellites.find(s => s.name === State.searchTarget) || null;
+            renderFragmentationPanel();
+        });
+    });
+
+    document.getElementById('frag-run').addEventListener('click', () => {
+        const status = document.getElementById('frag-status');
+        const collision = fragType === 'collision';
+        const { a, b } = fragParents;
+
+        if (!a || (collision && !b)) {
+            status.textContent = collision ? 'Pick both objects first.' : 'Pick a parent object first.';
+            return;
+        }
+        if (collision && a === b) {
+            status.textContent = 'Pick two different objects.';
+            return;
+        }
+
+        try {
+            const event = addFragmentationEvent({
+                type: fragType,
+                a, b,
+                massA: parseFloat(document.getElementById('frag-mass-a').value) || 1000,
+                massB: parseFloat(document.getElementById('frag-mass-b').value) || 100,
+                vRel: parseFloat(document.getElementById('frag-vrel').value) || 0,
+                lMin: Math.max(0.11, (parseFloat(document.getElementById('frag-lmin').value) || 11) / 100),
+                time: new Date(State.simTime.getTime())
+            });
+            status.textContent = `${event.count} fragments added` +
+                (collision ? ` (${event.catastrophic ? 'catastrophic' : 'non-catastrophic'})` : '') +
+                (event.truncated ? ` — capped at ${FRAG_MAX}` : '') +
+                (event.rejected ? `, ${event.rejected} rejected` : '') + '.';
+        } catch (e) {
+            status.textContent = e.message;
+        }
+        renderFragmentationPanel();
+    });
+
+    document.getElementById('frag-clear').addEventListener('click', () => {
+        removeFragmentationEvent();
+        renderFragmentationPanel();
+    });
+}
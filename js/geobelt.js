@@ -0,0 +1,329 @@
+// ============================================================
+//  GEOBELT.JS — Geostationary belt: slot occupancy and drift (Viz 10)
+// ============================================================
+//  Every near-geosynchronous object (about one revolution per sidereal
+//  day, near-circular) gets its subsatellite longitude at sim time, its
+//  longitude drift from the mean motion and its inclination. Objects are
+//  classed from those alone:
+//    graveyard  — perigee above the GEO protected region (GEO + 200 km)
+//    drifting   — drift faster than the threshold, i.e. not holding a slot
+//    librating  — holding roughly still but inclined past station-keeping
+//                 limits; uncontrolled objects oscillating about the
+//                 stable points at 75°E and 105°W look like this
+//    kept       — everything else, presumably station-kept
+//  One epoch of elements can't prove control, so these are flags to look
+//  at, not verdicts.
+
+const GEO_ALT_KM = 35786;
+const GEO_PROTECTED_KM = 200;            // IADC protected region: GEO ± 200 km
+const GEO_SIDEREAL_REV_PER_DAY = 1.00273791;
+const GEO_MIN_REV_PER_DAY = 0.9;         // near-geosynchronous band
+const GEO_MAX_REV_PER_DAY = 1.1;
+const GEO_MAX_ECC = 0.1;
+const GEO_KEPT_MAX_INC = 1;              // degrees
+const GEO_STABLE_POINTS = [75.1, -105.3];
+const GEO_REFRESH_MS = 5000;
+
+const GEO_CLASSES = {
+    kept: { label: 'Station-kept', color: '#2ecc71' },
+    librating: { label: 'Librating / inclined', color: '#FFB000' },
+    drifting: { label: 'Drifting', color: '#FE6100' },
+    graveyard: { label: 'Graveyard (above GEO)', color: '#785EF0' }
+};
+
+let geoDriftLimit = 0.1;                 // °/day, above this an object is drifting
+let geoTableMode = 'flagged';            // 'flagged' | 'all'
+let geoTimer = null;
+let geoRenderedTime = null;
+
+// ============================================================
+//  DATA
+// ============================================================
+function revsPerDay(rec) {
+    return rec.no * 1440 / (2 * Math.PI);
+}
+
+function isNearGEO(sat) {
+    const n = revsPerDay(sat.rec);
+    return n >= GEO_MIN_REV_PER_DAY && n <= GEO_MAX_REV_PER_DAY && sat.rec.ecco < GEO_MAX_ECC;
+}
+
+// Eastward drift (°/day) relative to the rotating Earth
+function geoDriftRate(rec) {
+    return 360 * (revsPerDay(rec) - GEO_SIDEREAL_REV_PER_DAY);
+}
+
+function geoClass(sat, drift) {
+    if (sat.perigee > GEO_ALT_KM + GEO_PROTECTED_KM) return 'graveyard';
+    if (Math.abs(drift) > geoDriftLimit) return 'drifting';
+    if (sat.inclination > GEO_KEPT_MAX_INC) return 'librating';
+    return 'kept';
+}
+
+// Filtered near-GEO objects with longitude at `date`; objects SGP4 can't
+// place are left out
+function geoBeltObjects(date) {
+    const gmst = satellite.gstime(date);
+    const objects = [];
+    filteredSatellites().forEach(sat => {
+        if (!isNearGEO(sat)) return;
+        let lon;
+        try {
+            const pv = satellite.propagate(sat.rec, date);
+            if (!pv.position) return;
+            lon = satellite.degreesLong(satellite.eciToGeodetic(pv.position, gmst).longitude);
+        } catch (e) {
+            return;
+        }
+        const drift = geoDriftRate(sat.rec);
+        objects.push({ sat, lon, drift, inc: sat.inclination, cls: geoClass(sat, drift) });
+    });
+    return objects;
+}
+
+// Objects per 1° longitude slot, split by class. Graveyard objects sit
+// above the belt and take no slot.
+function geoSlotCounts(objects) {
+    const slots = d3.range(360).map(i => ({ lon: i - 180, kept: 0, librating: 0, drifting: 0, total: 0 }));
+    objects.forEach(o => {
+        if (o.cls === 'graveyard') return;
+        const slot = slots[Math.min(359, Math.floor(o.lon + 180))];
+        slot[o.cls]++;
+        slot.total++;
+    });
+    return slots;
+}
+
+// ============================================================
+//  PANEL
+// ============================================================
+function renderGeoBelt() {
+    const date = State.simTime;
+    geoRenderedTime = date.getTime();
+    const objects = geoBeltObjects(date);
+
+    const counts = d3.rollup(objects, v => v.length, o => o.cls);
+    Object.keys(GEO_CLASSES).forEach(cls => {
+        document.getElementById(`geo-count-${cls}`).textContent = (counts.get(cls) || 0).toLocaleString();
+    });
+    document.getElementById('geo-status').textContent =
+        `${objects.length.toLocaleString()} near-geosynchronous objects at ` +
+        `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+
+    const x = renderGeoScatter(objects);
+    renderGeoSlots(objects, x);
+    renderGeoTable(objects);
+
+    // Longitudes move with the clock: redraw now and then while shown
+    clearInterval(geoTimer);
+    geoTimer = setInterval(() => {
+        if (State.currentViz !== 'geobelt') {
+            clearInterval(geoTimer);
+            geoTimer = null;
+        } else if (State.simTime.getTime() !== geoRenderedTime) {
+            renderGeoBelt();
+        }
+    }, GEO_REFRESH_MS);
+}
+
+function geoTooltip(event, o) {
+    showTooltip(
+        `<strong>${o.sat.name}</strong>\n` +
+        `${GEO_CLASSES[o.cls].label}\n` +
+        `Longitude: ${formatGeoLon(o.lon)}\n` +
+        `Drift: ${o.drift >= 0 ? '+' : ''}${o.drift.toFixed(3)}°/day\n` +
+        `Inclination: ${o.inc.toFixed(2)}°\n` +
+        `Perigee/Apogee: ${Math.round(o.sat.perigee).toLocaleString()} / ${Math.round(o.sat.apogee).toLocaleString()} km\n` +
+        `Type: ${o.sat.type}` +
+        staleNote(o.sat) + '\n\n' +
+        `Click to show on the tracker`,
+        event.pageX, event.pageY
+    );
+}
+
+function formatGeoLon(lon, digits = 2) {
+    return `${Math.abs(lon).toFixed(digits)}°${lon >= 0 ? 'E' : 'W'}`;
+}
+
+// --- Longitude vs. inclination; returns the shared longitude scale ---
+function renderGeoScatter(objects) {
+    const container = document.getElementById('geo-scatter');
+    container.innerHTML = '';
+    const margin = { top: 34, right: 20, bottom: 40, left: 56 };
+    const f = chartFrame('geo-scatter', margin);
+    if (!f) return null;
+    const { svg, width, height } = f;
+
+    const x = d3.scaleLinear().domain([-180, 180]).range([0, width]);
+    const y = d3.scaleLinear()
+        .domain([0, Math.max(GEO_KEPT_MAX_INC * 5, d3.max(objects, o => o.inc) || 0)]).nice()
+        .range([height, 0]);
+
+    svg.append('text')
+        .attr('class', 'chart-title')
+        .attr('x', width / 2)
+        .attr('y', -14)
+        .text('GEO Belt — Subsatellite Longitude vs. Inclination');
+
+    // Stable points, where uncontrolled objects collect
+    GEO_STABLE_POINTS.forEach(lon => {
+        svg.append('line')
+            .attr('class', 'geo-stable-line')
+            .attr('x1', x(lon)).attr('x2', x(lon))
+            .attr('y1', 0).attr('y2', height);
+        svg.append('text')
+            .attr('class', 'geo-stable-label')
+            .attr('x', x(lon) + 4)
+            .attr('y', 10)
+            .text(`stable point ${formatGeoLon(lon, 1)}`);
+    });
+
+    // Station-keeping inclination limit
+    svg.append('line')
+        .attr('class', 'geo-limit-line')
+        .attr('x1', 0).attr('x2', width)
+        .attr('y1', y(GEO_KEPT_MAX_INC)).attr('y2', y(GEO_KEPT_MAX_INC));
+
+    svg.append('g')
+        .selectAll('circle')
+        .data(objects)
+        .enter().append('circle')
+        .attr('cx', o => x(o.lon))
+        .attr('cy', o => y(o.inc))
+        .attr('r', o => (o.cls === 'kept' ? 2 : 2.5))
+        .attr('fill', o => GEO_CLASSES[o.cls].color)
+        .attr('opacity', o => (isSelectionActive() && !isSelected(o.sat) ? 0.15 : 0.8) * staleAlpha(o.sat))
+        .style('cursor', 'pointer')
+        .on('mouseover', geoTooltip)
+        .on('mouseout', hideTooltip)
+        .on('click', (event, o) => showOnTracker(o.sat));
+
+    svg.append('g')
+        .attr('class', 'axis')
+        .attr('transform', `translate(0,${height})`)
+        .call(d3.axisBottom(x).tickValues(d3.range(-180, 181, 30)).tickFormat(d => formatGeoLon(d, 0)));
+
+    svg.append('g')
+        .attr('class', 'axis')
+        .call(d3.axisLeft(y).ticks(6).tickFormat(d => d + '°'));
+
+    svg.append('text')
+        .attr('class', 'axis-label')
+        .attr('transform', 'rotate(-90)')
+        .attr('y', -42)
+        .attr('x', -height / 2)
+        .text('Inclination (degrees)');
+
+    return x;
+}
+
+// --- Objects per degree of longitude, stacked by class ---
+function renderGeoSlots(objects, x) {
+    const container = document.getElementById('geo-slots');
+    container.innerHTML = '';
+    const margin = { top: 34, right: 20, bottom: 40, left: 56 };
+    const f = chartFrame('geo-slots', margin);
+    if (!f || !x) return;
+    const { svg, width, height } = f;
+    x = x.copy().range([0, width]);
+
+    const slots = geoSlotCounts(objects);
+    const keys = ['kept', 'librating', 'drifting'];
+    const series = d3.stack().keys(keys)(slots);
+    const y = d3.scaleLinear().domain([0, d3.max(slots, s => s.total) || 1]).nice().range([height, 0]);
+    const busiest = d3.greatest(slots, s => s.total);
+
+    svg.append('text')
+        .attr('class', 'chart-title')
+        .attr('x', width / 2)
+        .attr('y', -14)
+        .text('Slot Congestion — Objects per Degree of Longitude' +
+            (busiest && busiest.total ? ` (busiest: ${formatGeoLon(busiest.lon, 0)}, ${busiest.total})` : ''));
+
+    const slotW = Math.max(1, x(-179) - x(-180) - 0.5);
+    svg.append('g')
+        .selectAll('g')
+        .data(series)
+        .enter().append('g')
+        .attr('fill', s => GEO_CLASSES[s.key].color)
+        .selectAll('rect')
+        .data(s => s.filter(d => d[1] > d[0]))
+        .enter().append('rect')
+        .attr('x', d => x(d.data.lon))
+        .attr('y', d => y(d[1]))
+        .attr('width', slotW)
+        .attr('height', d => y(d[0]) - y(d[1]))
+        .on('mouseover', (event, d) => showTooltip(
+            `<strong>Slot ${formatGeoLon(d.data.lon, 0)}–${formatGeoLon(d.data.lon + 1, 0)}</strong>\n` +
+            keys.map(k => `${GEO_CLASSES[k].label}: ${d.data[k]}`).join('\n') +
+            `\n\n<strong>Total: ${d.data.total}</strong>`,
+            event.pageX, event.pageY))
+        .on('mouseout', hideTooltip);
+
+    svg.append('g')
+        .attr('class', 'axis')
+        .attr('transform', `translate(0,${height})`)
+        .call(d3.axisBottom(x).tickValues(d3.range(-180, 181, 30)).tickFormat(d => formatGeoLon(d, 0)));
+
+    svg.append('g')
+        .attr('class', 'axis')
+        .call(d3.axisLeft(y).ticks(4));
+
+    svg.append('text')
+        .attr('class', 'axis-label')
+        .attr('transform', 'rotate(-90)')
+        .attr('y', -42)
+        .attr('x', -height / 2)
+        .text('Objects');
+}
+
+// --- Flagged (or all) objects, fastest drifters first ---
+function renderGeoTable(objects) {
+    const container = document.getElementById('geo-table');
+    const rows = objects
+        .filter(o => geoTableMode === 'all' || o.cls !== 'kept')
+        .sort((a, b) => Math.abs(b.drift) - Math.abs(a.drift));
+
+    if (rows.length === 0) {
+        container.innerHTML = `<p class="table-empty">No ${geoTableMode === 'all' ? '' : 'flagged '}near-geosynchronous objects pass the current filters.</p>`;
+        return;
+    }
+
+    const table = d3.select(container).html('').append('table').attr('class', 'data-table');
+
+    table.append('thead').append('tr')
+        .selectAll('th')
+        .data(['Object', 'Type', 'Class', 'Longitude', 'Drift (°/day)', 'Incl.', 'Perigee − GEO'])
+        .enter().append('th')
+        .text(d => d);
+
+    table.append('tbody')
+        .selectAll('tr')
+        .data(rows)
+        .enter().append('tr')
+        .on('click', (event, o) => showOnTracker(o.sat))
+        .selectAll('td')
+        .data(o => [
+            o.sat.name,
+            o.sat.type,
+            { text: GEO_CLASSES[o.cls].label, color: GEO_CLASSES[o.cls].color },
+            formatGeoLon(o.lon),
+            (o.drift >= 0 ? '+' : '') + o.drift.toFixed(3),
+            o.inc.toFixed(2) + '°',
+            `${o.sat.perigee - GEO_ALT_KM >= 0 ? '+' : ''}${Math.round(o.sat.perigee - GEO_ALT_KM).toLocaleString()} km`
+        ])
+        .enter().append('td')
+        .style('color', d => (d && d.color) || null)
+        .text(d => (d && d.text) || d);
+}
+
+function attachGeoBeltListeners() {
+    document.getElementById('geo-drift-limit').addEventListener('change', (e) => {
+        geoDriftLimit = parseFloat(e.target.value);
+        if (State.currentViz === 'geobelt') renderGeoBelt();
+    });
+    document.getElementById('geo-table-mode').addEventListener('change', (e) => {
+        geoTableMode = e.target.value;
+        if (State.currentViz === 'geobelt') renderGeoBelt();
+    });
+}
@@ -5,9 +5,23 @@
 let globeCanvas, globeCtx, globeProjection, globePath;
 let mapSvg, mapProjection, mapPath;
 let worldLand = null;
+let basemapState = 'idle';        // 'loading' | 'ready' | 'error'
 let animFrameId = null;
 let globeMousePos = null;
+let globeHoveredSat = null;       // object under the pointer in the last frame
 let globeDragRotation = [0, -20]; // [lambda, phi]
+let globePixelRatio = 1;          // canvas pixels per CSS pixel (raised for PNG export)
+
+// Dot opacity by illumination code (umbra, penumbra, sunlit)
+const ILLUM_ALPHA = [0.3, 0.6, 1];
+const NIGHT_FILL = 'rgba(0, 0, 12, 0.5)';
+const TERMINATOR_STROKE = 'rgba(245, 166, 35, 0.45)';
+
+// Country outlines: the offline bundle's copy (tools/fetch-vendor.sh) first
+const BASEMAP_URLS = [
+    'vendor/world-atlas/countries-110m.json',
+    'https://unpkg.com/world-atlas@2.0.2/countries-110m.json'
+];
 
 // ============================================================
 //  INITIALIZATION
@@ -19,9 +33,8 @@ function initGlobe() {
     const width = container.clientWidth;
     const height = container.clientHeight;
 
-    globeCanvas.width = width;
-    globeCanvas.height = height;
     globeCtx = globeCanvas.getContext('2d');
+    setGlobePixelRatio(globePixelRatio, width, height);
 
     const radius = Math.min(width, height) / 2.3;
 
@@ -55,15 +68,44 @@ function initGlobe() {
         hideTooltip();
     });
 
-    // Load world data once, then start animation
-    if (!worldLand) {
-        d3.json("https://unpkg.com/world-atlas@2.0.2/countries-110m.json").then(world => {
-            worldLand = topojson.feature(world, world.objects.countries);
-            startGlobeAnimation();
-        });
-    } else if (!animFrameId) {
-        startGlobeAnimation();
-    }
+    // Click an object for its detail panel (d3.drag swallows clicks that end a drag)
+    d3.select(globeCanvas).on('click', () => {
+        if (globeHoveredSat) openSatDetail(globeHoveredSat);
+    });
+
+    // Objects are drawn whether or not the land arrives
+    loadBasemap();
+    if (!animFrameId) startGlobeAnimation();
+}
+
+// ============================================================
+//  BASEMAP
+// ============================================================
+// Fetched once; the globe picks the land up on its next frame, the 2D map
+// and detail thumbnail are redrawn
+function loadBasemap() {
+    if (basemapState === 'loading' || basemapState === 'ready') return;
+    basemapState = 'loading';
+    renderBasemapStatus();
+
+    const tryURL = i => d3.json(BASEMAP_URLS[i]).catch(err => {
+        if (i + 1 < BASEMAP_URLS.length) return tryURL(i + 1);
+        throw err;
+    });
+
+    tryURL(0).then(world => {
+        worldLand = topojson.feature(world, world.objects.countries);
+        basemapState = 'ready';
+        if (State.currentViz === 'globe' && !State.projection3D) init2DMap();
+        if (detailSat) renderDetailMap();
+    }).catch(err => {
+        console.error('Basemap load error:', err);
+        basemapState = 'error';
+    }).finally(renderBasemapStatus);
+}
+
+function renderBasemapStatus() {
+    document.getElementById('basemap-error').style.display = basemapState === 'error' ? 'flex' : 'none';
 }
 
 // ============================================================
@@ -75,6 +117,7 @@ function init2DMap() {
 
     const width = container.clientWidth;
     const height = container.clientHeight;
+    loadBasemap();
 
     mapProjection = d3.geoEquirectangular()
     .scale(width / (2 * Math.PI))
@@ -114,6 +157,20 @@ function init2DMap() {
         .attr('stroke', '#1a2340')
         .attr('stroke-width', 0.3);
 
+    // Night side + terminator, moved with the sim clock in update2DMap
+    mapSvg.append('path')
+        .attr('id', 'map-night')
+        .attr('fill', NIGHT_FILL)
+        .attr('stroke', TERMINATOR_STROKE)
+        .attr('stroke-width', 1);
+
+    // Target ground track sits under the dots
+    mapSvg.append('g').attr('id', 'map-track');
+    mapTrackDrawn = null;
+
+    // Ground stations + target footprint
+    mapSvg.append('g').attr('id', 'map-stations');
+
     // Satellite dot layer
     mapSvg.append('g').attr('id', 'map-dots');
 
@@ -133,43 +190,50 @@ function start2DMapLoop() {
             return;
         }
         update2DMap();
-    }, 500); // Update every 500ms (2D doesn't need 60fps)
+    }, 100); // 10 fps — propagation runs in the workers, this only redraws
 
     update2DMap(); // Immediate first render
 }
 
 function update2DMap() {
     updateSimTime();
+    requestPropagation(State.simTime);
+    update2DMapTrack();
+    update2DMapStations();
+    renderGroupLegend();
+    d3.select('#map-night')
+        .style('display', State.showNightShade ? null : 'none')
+        .attr('d', State.showNightShade ? mapPath(nightHemisphere(State.simTime)) : null);
 
-    const simTime = State.simTime;
-    const gmst = satellite.gstime(simTime);
     const dotGroup = d3.select('#map-dots');
 
     // Subsample
     const subset = getVisibleSubset();
+    const selActive = isSelectionActive();
     const positions = [];
 
     subset.forEach(sat => {
-        try {
-            const pv = satellite.propagate(sat.rec, simTime);
-            if (!pv.position) return;
-
-            const gd = satellite.eciToGeodetic(pv.position, gmst);
-            const lon = satellite.degreesLong(gd.longitude);
-            const lat = satellite.degreesLat(gd.latitude);
-            const xy = mapProjection([lon, lat]);
-
-            if (xy) {
-                positions.push({
-                    x: xy[0], y: xy[1],
-                    name: sat.name,
-                    alt: sat.alt,
-                    regime: sat.regime,
-                    lat, lon,
-                    isTarget: sat.name === State.searchTarget
-                });
-            }
-        } catch (e) { /* skip */ }
+        const pos = getSatPosition(sat);
+        if (!pos) return;
+
+        const { lat, lon, alt, illum } = pos;
+        const xy = mapProjection([lon, lat]);
+
+        if (xy) {
+            positions.push({
+                x: xy[0], y: xy[1],
+                name: sat.name,
+                alt,
+                perigee: sat.perigee,
+                apogee: sat.apogee,
+                regime: sat.regime,
+                lat, lon,
+                isTarget: sat.name === State.searchTarget,
+                dimmed: selActive && !isSelected(sat),
+                illum,
+                sat
+            });
+        }
     });
 
     // Data join
@@ -180,11 +244,11 @@ function update2DMap() {
         .merge(dots)
         .attr('cx', d => d.x)
         .attr('cy', d => d.y)
-        .attr('fill', d => getRegimeColor(d.regime))
+        .attr('fill', d => getSatColor(d.sat))
         .attr('r', d => d.isTarget ? 5 : 1.8)
         .attr('stroke', d => d.isTarget ? '#fff' : 'none')
         .attr('stroke-width', d => d.isTarget ? 2 : 0)
-        .attr('opacity', 0.8);
+        .attr('opacity', d => (d.dimmed ? 0.15 : 0.8) * illumAlpha(d.illum) * staleAlpha(d.sat));
 
     dots.exit().remove();
 
@@ -193,14 +257,15 @@ function update2DMap() {
         .on('mouseover', function (event, d) {
             d3.select(this).attr('r', 5).attr('stroke', '#fff').attr('stroke-width', 1.5);
             showTooltip(
-                `<strong>${d.name}</strong>\nAlt: ${Math.round(d.alt)} km\nLat: ${d.lat.toFixed(2)}°\nLon: ${d.lon.toFixed(2)}°\nRegime: ${d.regime.toUpperCase()}`,
+                `<strong>${d.name}</strong>\nAlt: ${Math.round(d.alt)} km (${Math.round(d.perigee)}–${Math.round(d.apogee)})\nLat: ${d.lat.toFixed(2)}°\nLon: ${d.lon.toFixed(2)}°\nRegime: ${d.regime.toUpperCase()}${groupNote(d.sat)}${staleNote(d.sat)}\n\nClick for details`,
                 event.pageX, event.pageY
             );
         })
         .on('mouseout', function (event, d) {
             d3.select(this).attr('r', d.isTarget ? 5 : 1.8).attr('stroke', d.isTarget ? '#fff' : 'none');
             hideTooltip();
-        });
+        })
+        .on('click', (event, d) => openSatDetail(d.sat));
 }
 
 // ============================================================
@@ -210,12 +275,14 @@ function toggleProjection() {
     if (State.projection3D) {
         // Switch to 3D
         document.getElementById('globe-canvas').style.display = 'block';
+        document.getElementById('globe-gl-canvas').style.display = isGlobeGLActive() ? 'block' : 'none';
         document.getElementById('map-container').style.display = 'none';
         if (map2DInterval) { clearInterval(map2DInterval); map2DInterval = null; }
         initGlobe();
     } else {
         // Switch to 2D
         document.getElementById('globe-canvas').style.display = 'none';
+        document.getElementById('globe-gl-canvas').style.display = 'none';
         document.getElementById('map-container').style.display = 'block';
         init2DMap();
     }
@@ -224,11 +291,29 @@ function toggleProjection() {
 // ============================================================
 //  HELPER: Get filtered + subsampled satellites
 // ============================================================
+function illumAlpha(illum) {
+    return ILLUM_ALPHA[illum] === undefined ? 1 : ILLUM_ALPHA[illum];
+}
+
+// Live Tracker illumination filter, read from the latest propagation tick
+function passesIllumination(sat) {
+    if (State.illumFilter === 'all') return true;
+    const pos = getSatPosition(sat);
+    if (!pos) return false;
+    if (State.illumFilter === 'sunlit') return pos.illum === ILLUM_SUNLIT;
+    if (State.illumFilter === 'umbra') return pos.illum === ILLUM_UMBRA;
+    return pos.illum !== ILLUM_SUNLIT; // 'shadow': umbra or penumbra
+}
+
 function getVisibleSubset() {
-    let filtered = State.satellites.filter(sat => {
-        if (sat.regime === 'leo' && !State.showLEO) return false;
-        if (sat.regime === 'meo' && !State.showMEO) return false;
-        if (sat.regime === 'geo' && !State.showGEO) return false;
+    // Simulated breakup fragments are never subsampled away
+    const simulated = [];
+    let filtered = filteredSatellites().filter(sat => {
+        if (!passesIllumination(sat)) return false;
+        if (sat.simulated) {
+            simulated.push(sat);
+            return false;
+        }
         return true;
     });
 
@@ -237,162 +322,294 @@ function getVisibleSubset() {
         ? State.satellites.find(s => s.name === State.searchTarget)
         : null;
 
-    // Subsample
-    if (filtered.length > State.satCount) {
-        const step = filtered.length / State.satCount;
-        const sampled = [];
-        for (let i = 0; i < filtered.length; i += step) {
-            sampled.push(filtered[Math.floor(i)]);
-        }
-        filtered = sampled;
+    // Subsample, giving the linked selection first call on the budget.
+    // Selected objects go last so they draw over the dimmed rest.
+    if (isSelectionActive()) {
+        const selected = filtered.filter(isSelected);
+        const rest = filtered.filter(sat => !isSelected(sat));
+        filtered = subsample(rest, State.satCount - selected.length)
+            .concat(subsample(selected, State.satCount));
+    } else {
+        filtered = subsample(filtered, State.satCount);
     }
+    filtered = filtered.concat(simulated);
 
     // Ensure target is included
     if (target && !filtered.includes(target)) {
         filtered.push(target);
     }
 
+    // ...and the object open in the detail panel
+    if (detailSat && !filtered.includes(detailSat)) {
+        filtered.push(detailSat);
+    }
+
+    // ...and both objects of a highlighted conjunction
+    if (State.conjunctionPair) {
+        State.conjunctionPair.forEach(sat => {
+            if (!filtered.includes(sat)) filtered.push(sat);
+        });
+    }
+
     return filtered;
 }
 
+// Evenly spaced picks of at most n items
+function subsample(list, n) {
+    if (list.length <= n) return list;
+    if (n <= 0) return [];
+    const step = list.length / n;
+    const sampled = [];
+    for (let i = 0; i < list.length; i += step) {
+        sampled.push(list[Math.floor(i)]);
+    }
+    return sampled;
+}
+
 // ============================================================
 //  3D GLOBE ANIMATION LOOP
 // ============================================================
 function startGlobeAnimation() {
-    const sphere = { type: "Sphere" };
-
     function frame() {
         animFrameId = requestAnimationFrame(frame);
 
         // Skip if not visible or in 2D mode
         if (State.currentViz !== 'globe' || !State.projection3D) return;
 
-        updateSimTime();
+        renderGroupLegend();
+        if (isGlobeGLActive()) drawGlobeGLFrame();
+        else drawGlobeFrame();
+    }
 
-        const width = globeCanvas.width;
-        const height = globeCanvas.height;
-        const simTime = State.simTime;
-        const gmst = satellite.gstime(simTime);
+    if (animFrameId) cancelAnimationFrame(animFrameId);
+    animFrameId = requestAnimationFrame(frame);
+}
+
+// Resize the canvas backing store; drawing stays in CSS pixels
+function setGlobePixelRatio(ratio, width = globeCanvas.width / globePixelRatio, height = globeCanvas.height / globePixelRatio) {
+    globePixelRatio = ratio;
+    globeCanvas.width = Math.round(width * ratio);
+    globeCanvas.height = Math.round(height * ratio);
+    globeCtx.setTransform(ratio, 0, 0, ratio, 0, 0);
+}
 
-        // Clear
-        globeCtx.clearRect(0, 0, width, height);
+function drawGlobeFrame() {
+    const sphere = { type: "Sphere" };
+
+    updateSimTime();
+    requestPropagation(State.simTime);
 
-        // Draw sphere background
+    const width = globeCanvas.width / globePixelRatio;
+    const height = globeCanvas.height / globePixelRatio;
+
+    // Clear
+    globeCtx.clearRect(0, 0, width, height);
+
+    // Draw sphere background
+    globeCtx.beginPath();
+    globePath(sphere);
+    globeCtx.fillStyle = '#0b1026';
+    globeCtx.fill();
+
+    // Draw graticule
+    const graticule = d3.geoGraticule10();
+    globeCtx.beginPath();
+    globePath(graticule);
+    globeCtx.strokeStyle = '#1a2340';
+    globeCtx.lineWidth = 0.3;
+    globeCtx.stroke();
+
+    // Draw land
+    if (worldLand) {
         globeCtx.beginPath();
-        globePath(sphere);
-        globeCtx.fillStyle = '#0b1026';
+        globePath(worldLand);
+        globeCtx.fillStyle = '#1c3018';
         globeCtx.fill();
+        globeCtx.strokeStyle = '#2a4020';
+        globeCtx.lineWidth = 0.5;
+        globeCtx.stroke();
+    }
 
-        // Draw graticule
-        const graticule = d3.geoGraticule10();
+    // Night side + terminator at sim time
+    if (State.showNightShade) {
         globeCtx.beginPath();
-        globePath(graticule);
-        globeCtx.strokeStyle = '#1a2340';
-        globeCtx.lineWidth = 0.3;
+        globePath(nightHemisphere(State.simTime));
+        globeCtx.fillStyle = NIGHT_FILL;
+        globeCtx.fill();
+        globeCtx.strokeStyle = TERMINATOR_STROKE;
+        globeCtx.lineWidth = 1;
         globeCtx.stroke();
+    }
 
-        // Draw land
-        if (worldLand) {
-            globeCtx.beginPath();
-            globePath(worldLand);
-            globeCtx.fillStyle = '#1c3018';
-            globeCtx.fill();
-            globeCtx.strokeStyle = '#2a4020';
-            globeCtx.lineWidth = 0.5;
-            globeCtx.stroke();
-        }
+    // Ground track + orbit path of the search target
+    const track = getGroundTrack();
+    if (track) drawGlobeGroundTrack(track);
 
-        // Get center for visibility check
-        const center = globeProjection.invert([width / 2, height / 2]);
-        const subset = getVisibleSubset();
-
-        let hoveredSat = null;
-        let minDist = 12;
-        let targetSatXY = null;
-
-        // Draw satellites
-        subset.forEach(sat => {
-            try {
-                const pv = satellite.propagate(sat.rec, simTime);
-                if (!pv.position) return;
-
-                const gd = satellite.eciToGeodetic(pv.position, gmst);
-                const lon = satellite.degreesLong(gd.longitude);
-                const lat = satellite.degreesLat(gd.latitude);
-
-                // Hemisphere check
-                if (d3.geoDistance(center, [lon, lat]) > Math.PI / 2) return;
-
-                const xy = globeProjection([lon, lat]);
-                if (!xy) return;
-
-                const isTarget = sat.name === State.searchTarget;
-                const color = getRegimeColor(sat.regime);
-                const radius = isTarget ? 4 : 1.5;
-
-                globeCtx.beginPath();
-                globeCtx.arc(xy[0], xy[1], radius, 0, 2 * Math.PI);
-                globeCtx.fillStyle = color;
-                globeCtx.fill();
-
-                if (isTarget) {
-                    targetSatXY = xy;
-                    // Draw ring around target
-                    globeCtx.beginPath();
-                    globeCtx.arc(xy[0], xy[1], 8, 0, 2 * Math.PI);
-                    globeCtx.strokeStyle = '#fff';
-                    globeCtx.lineWidth = 2;
-                    globeCtx.stroke();
-
-                    // Label
-                    globeCtx.fillStyle = '#fff';
-                    globeCtx.font = '11px Segoe UI';
-                    globeCtx.fillText(sat.name, xy[0] + 12, xy[1] + 4);
-                }
-
-                // Hover detection
-                if (globeMousePos) {
-                    const dx = globeMousePos[0] - xy[0];
-                    const dy = globeMousePos[1] - xy[1];
-                    const dist = Math.sqrt(dx * dx + dy * dy);
-                    if (dist < minDist) {
-                        minDist = dist;
-                        hoveredSat = { ...sat, lat, lon, xy };
-                    }
-                }
-            } catch (e) { /* skip */ }
-        });
+    // Get center for visibility check
+    const center = globeProjection.invert([width / 2, height / 2]);
+
+    // Ground stations + target footprint
+    drawGlobeStations(center);
+    const subset = getVisibleSubset();
+    const selActive = isSelectionActive();
+
+    let hoveredSat = null;
+    let minDist = 12;
+    let targetSatXY = null;
+
+    // Draw satellites from the latest propagation buffer
+    subset.forEach(sat => {
+        const pos = getSatPosition(sat);
+        if (!pos) return;
+
+        const { lat, lon, alt, illum } = pos;
 
-        // Tooltip for hovered satellite
-        if (hoveredSat) {
-            // Highlight ring
+        // Hemisphere check
+        if (d3.geoDistance(center, [lon, lat]) > Math.PI / 2) return;
+
+        const xy = globeProjection([lon, lat]);
+        if (!xy) return;
+
+        const isTarget = sat.name === State.searchTarget;
+        const color = getSatColor(sat);
+        const selected = selActive && isSelected(sat);
+        const radius = isTarget ? 4 : selected ? 2.2 : 1.5;
+
+        globeCtx.beginPath();
+        globeCtx.arc(xy[0], xy[1], radius, 0, 2 * Math.PI);
+        globeCtx.fillStyle = color;
+        globeCtx.globalAlpha = (selActive && !selected && !isTarget ? 0.15 : 1) * illumAlpha(illum) * staleAlpha(sat);
+        globeCtx.fill();
+        globeCtx.globalAlpha = 1;
+
+        if (isTarget) {
+            targetSatXY = xy;
+            // Draw ring around target
             globeCtx.beginPath();
-            globeCtx.arc(hoveredSat.xy[0], hoveredSat.xy[1], 6, 0, 2 * Math.PI);
-            globeCtx.strokeStyle = '#4facfe';
+            globeCtx.arc(xy[0], xy[1], 8, 0, 2 * Math.PI);
+            globeCtx.strokeStyle = '#fff';
             globeCtx.lineWidth = 2;
             globeCtx.stroke();
 
-            showTooltip(
-                `<strong>${hoveredSat.name}</strong>\n` +
-                `Alt: ${Math.round(hoveredSat.alt)} km\n` +
-                `Lat: ${hoveredSat.lat.toFixed(2)}°\n` +
-                `Lon: ${hoveredSat.lon.toFixed(2)}°\n` +
-                `Regime: ${hoveredSat.regime.toUpperCase()}\n` +
-                `Type: ${hoveredSat.type}\n` +
-                `Country: ${hoveredSat.country}`,
-                globeMousePos[0] + document.getElementById('globe').getBoundingClientRect().left,
-                globeMousePos[1] + document.getElementById('globe').getBoundingClientRect().top
-            );
-        } else if (globeMousePos) {
-            hideTooltip();
+            // Label
+            globeCtx.fillStyle = '#fff';
+            globeCtx.font = '11px Segoe UI';
+            globeCtx.fillText(sat.name, xy[0] + 12, xy[1] + 4);
+        }
+
+        // Hover detection
+        if (globeMousePos) {
+            const dx = globeMousePos[0] - xy[0];
+            const dy = globeMousePos[1] - xy[1];
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            if (dist < minDist) {
+                minDist = dist;
+                hoveredSat = { ...sat, sat, lat, lon, alt, illum, xy };
+            }
         }
+    });
 
-        // Object count display
-        globeCtx.fillStyle = '#556';
-        globeCtx.font = '11px Segoe UI';
-        globeCtx.fillText(`Displaying: ${subset.length} / ${State.satellites.length} objects`, 10, height - 10);
+    // Object open in the detail panel
+    if (detailSat) drawDetailRing(center);
+
+    // Conjunction pair: orange rings, names and the line joining them
+    if (State.conjunctionPair) {
+        drawConjunctionPair(center);
     }
 
-    if (animFrameId) cancelAnimationFrame(animFrameId);
-    animFrameId = requestAnimationFrame(frame);
-}
\ No newline at end of file
+    // Tooltip for hovered satellite
+    if (hoveredSat) {
+        // Highlight ring
+        globeCtx.beginPath();
+        globeCtx.arc(hoveredSat.xy[0], hoveredSat.xy[1], 6, 0, 2 * Math.PI);
+        globeCtx.strokeStyle = '#4facfe';
+        globeCtx.lineWidth = 2;
+        globeCtx.stroke();
+
+        showGlobeTooltip(hoveredSat);
+    } else if (globeMousePos) {
+        hideTooltip();
+    }
+    globeHoveredSat = hoveredSat ? hoveredSat.sat : null;
+    globeCanvas.style.cursor = hoveredSat ? 'pointer' : '';
+
+    // Object count display
+    globeCtx.fillStyle = '#556';
+    globeCtx.font = '11px Segoe UI';
+    globeCtx.fillText(`Displaying: ${subset.length} / ${State.satellites.length} objects` +
+        (selActive ? ` · ${selectedSatellites().length} selected` : ''), 10, height - 10);
+}
+
+// --- Tooltip for the object under the pointer (both renderers) ---
+function showGlobeTooltip(sat) {
+    const rect = document.getElementById('globe').getBoundingClientRect();
+    showTooltip(
+        `<strong>${sat.name}</strong>\n` +
+        `Alt: ${Math.round(sat.alt)} km\n` +
+        `Perigee/Apogee: ${Math.round(sat.perigee)} / ${Math.round(sat.apogee)} km\n` +
+        `Lat: ${sat.lat.toFixed(2)}°\n` +
+        `Lon: ${sat.lon.toFixed(2)}°\n` +
+        `Regime: ${sat.regime.toUpperCase()}\n` +
+        `Illumination: ${ILLUM_LABELS[sat.illum] || '—'}\n` +
+        `Type: ${sat.type}${sat.simulated ? ' (SIMULATED)' : ''}\n` +
+        `Country: ${sat.country}` +
+        groupNote(sat.sat) +
+        staleNote(sat) + '\n\n' +
+        `Click for details`,
+        globeMousePos[0] + rect.left,
+        globeMousePos[1] + rect.top
+    );
+}
+
+// --- Ring the object open in the detail panel ---
+function drawDetailRing(center) {
+    const pos = getSatPosition(detailSat);
+    if (!pos || d3.geoDistance(center, [pos.lon, pos.lat]) > Math.PI / 2) return;
+    const xy = globeProjection([pos.lon, pos.lat]);
+    if (!xy) return;
+
+    globeCtx.beginPath();
+    globeCtx.arc(xy[0], xy[1], 10, 0, 2 * Math.PI);
+    globeCtx.strokeStyle = '#4facfe';
+    globeCtx.lineWidth = 1.5;
+    globeCtx.setLineDash([2, 2]);
+    globeCtx.stroke();
+    globeCtx.setLineDash([]);
+}
+
+// --- Highlight both objects of the conjunction picked in the screening table ---
+function drawConjunctionPair(center) {
+    const points = State.conjunctionPair.map(sat => {
+        const pos = getSatPosition(sat);
+        if (!pos || d3.geoDistance(center, [pos.lon, pos.lat]) > Math.PI / 2) return null;
+        const xy = globeProjection([pos.lon, pos.lat]);
+        return xy ? { sat, xy } : null;
+    });
+
+    if (points[0] && points[1]) {
+        globeCtx.beginPath();
+        globeCtx.moveTo(points[0].xy[0], points[0].xy[1]);
+        globeCtx.lineTo(points[1].xy[0], points[1].xy[1]);
+        globeCtx.strokeStyle = '#FE6100';
+        globeCtx.lineWidth = 1;
+        globeCtx.setLineDash([3, 3]);
+        globeCtx.stroke();
+        globeCtx.setLineDash([]);
+    }
+
+    points.forEach((p, i) => {
+        if (!p) return;
+        globeCtx.beginPath();
+        globeCtx.arc(p.xy[0], p.xy[1], 7, 0, 2 * Math.PI);
+        globeCtx.strokeStyle = '#FE6100';
+        globeCtx.lineWidth = 2;
+        globeCtx.stroke();
+
+        // The primary is already labelled as the search target
+        if (i === 1) {
+            globeCtx.fillStyle = '#FE6100';
+            globeCtx.font = '11px Segoe UI';
+            globeCtx.fillText(p.sat.name, p.xy[0] + 12, p.xy[1] + 16);
+        }
+    });
+}
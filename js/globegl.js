@@ -0,0 +1,770 @@
+// ============================================================
+//  GLOBEGL.JS — WebGL point-cloud renderer for the Live Tracker
+// ============================================================
+//  Alternative to the canvas orthographic globe: a textured Earth with
+//  every filtered object drawn as a point sprite at its real radius, so
+//  LEO, MEO and GEO separate in depth instead of piling up on the surface.
+//  Drag orbits the camera (same rotation as the canvas globe), the wheel
+//  zooms. Hover uses GPU picking: object ids are drawn as colours into an
+//  offscreen framebuffer and the pixel under the pointer is read back.
+//
+//  WebGL 1 with no extensions, so software rasterisers (SwiftShader,
+//  llvmpipe) run it too. The canvas above it (globeCanvas) stays on top as
+//  a transparent overlay for rings, labels and the object count, and keeps
+//  the mouse handlers. If no context can be created the Live Tracker stays
+//  on the canvas renderer.
+//
+//  Coordinates are Earth-fixed, in Earth radii: x towards (0°, 0°), z north.
+
+const GL_EARTH_TEX_W = 2048;
+const GL_EARTH_TEX_H = 1024;
+const GL_SPHERE_LAT_STEPS = 64;
+const GL_SPHERE_LON_STEPS = 128;
+const GL_FOV = 45 * Math.PI / 180;
+const GL_MIN_DISTANCE = 1.3;     // camera distance from the Earth's centre, Earth radii
+const GL_MAX_DISTANCE = 40;
+const GL_PICK_SIZE_PX = 8;       // points are at least this big in the pick pass
+const GL_PICK_EVERY = 4;         // frames between picks while the pointer rests
+const GL_BACKGROUND = [5 / 255, 8 / 255, 15 / 255];
+
+let globeGL = null;              // context, programs and buffers once initialised
+let glCameraDistance = 5;
+let glViewProj = null;           // last frame's camera, for the overlay
+let glEye = null;
+
+// ============================================================
+//  SHADERS
+// ============================================================
+const GL_EARTH_VS = `
+attribute vec3 aPos;
+attribute vec2 aUV;
+uniform mat4 uViewProj;
+varying vec2 vUV;
+varying vec3 vNormal;
+void main() {
+    vUV = aUV;
+    vNormal = aPos;
+    gl_Position = uViewProj * vec4(aPos, 1.0);
+}`;
+
+// Night side darkened and the terminator tinted, from the subsolar direction
+const GL_EARTH_FS = `
+precision mediump float;
+uniform sampler2D uTex;
+uniform vec3 uSun;
+uniform float uShade;
+uniform float uPick;
+varying vec2 vUV;
+varying vec3 vNormal;
+void main() {
+    if (uPick > 0.5) { gl_FragColor = vec4(0.0); return; }
+    vec3 c = texture2D(uTex, vUV).rgb;
+    float d = dot(normalize(vNormal), uSun);
+    float night = uShade * (1.0 - smoothstep(-0.03, 0.03, d));
+    c = mix(c, c * 0.35, night);
+    float edge = uShade * (1.0 - smoothstep(0.0, 0.012, abs(d)));
+    c = mix(c, vec3(0.96, 0.65, 0.14), edge * 0.45);
+    gl_FragColor = vec4(c, 1.0);
+}`;
+
+// Points and line strips share one program: per-vertex colour and size
+const GL_POINT_VS = `
+attribute vec3 aPos;
+attribute vec4 aColor;
+attribute float aSize;
+uniform mat4 uViewProj;
+uniform float uScale;
+uniform float uMinSize;
+varying vec4 vColor;
+void main() {
+    vColor = aColor;
+    gl_Position = uViewProj * vec4(aPos, 1.0);
+    gl_PointSize = max(aSize, uMinSize) * uScale;
+}`;
+
+const GL_POINT_FS = `
+precision mediump float;
+uniform float uRound;
+varying vec4 vColor;
+void main() {
+    if (uRound > 0.5) {
+        vec2 p = gl_PointCoord - 0.5;
+        if (dot(p, p) > 0.25) discard;
+    }
+    gl_FragColor = vColor;
+}`;
+
+// ============================================================
+//  INITIALIZATION
+// ============================================================
+function compileGLProgram(gl, vsSource, fsSource) {
+    const shader = (type, source) => {
+        const s = gl.createShader(type);
+        gl.shaderSource(s, source);
+        gl.compileShader(s);
+        if (!gl.getShaderParameter(s, gl.COMPILE_STATUS)) throw new Error(gl.getShaderInfoLog(s));
+        return s;
+    };
+    const program = gl.createProgram();
+    gl.attachShader(program, shader(gl.VERTEX_SHADER, vsSource));
+    gl.attachShader(program, shader(gl.FRAGMENT_SHADER, fsSource));
+    gl.linkProgram(program);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) throw new Error(gl.getProgramInfoLog(program));
+
+    // Attribute and uniform locations by name
+    const loc = { program };
+    for (let i = 0; i < gl.getProgramParameter(program, gl.ACTIVE_ATTRIBUTES); i++) {
+        const name = gl.getActiveAttrib(program, i).name;
+        loc[name] = gl.getAttribLocation(program, name);
+    }
+    for (let i = 0; i < gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS); i++) {
+        const name = gl.getActiveUniform(program, i).name;
+        loc[name] = gl.getUniformLocation(program, name);
+    }
+    return loc;
+}
+
+// Latitude/longitude grid with equirectangular texture coordinates
+function buildSphereMesh(gl) {
+    const positions = [];
+    const uvs = [];
+    for (let i = 0; i <= GL_SPHERE_LAT_STEPS; i++) {
+        const lat = 90 - 180 * i / GL_SPHERE_LAT_STEPS;
+        for (let j = 0; j <= GL_SPHERE_LON_STEPS; j++) {
+            const lon = -180 + 360 * j / GL_SPHERE_LON_STEPS;
+            positions.push(...toEarthFixed(lat, lon, 0));
+            uvs.push(j / GL_SPHERE_LON_STEPS, i / GL_SPHERE_LAT_STEPS);
+        }
+    }
+
+    const indices = [];
+    const row = GL_SPHERE_LON_STEPS + 1;
+    for (let i = 0; i < GL_SPHERE_LAT_STEPS; i++) {
+        for (let j = 0; j < GL_SPHERE_LON_STEPS; j++) {
+            const a = i * row + j;
+            indices.push(a, a + row, a + 1, a + 1, a + row, a + row + 1);
+        }
+    }
+
+    const buffer = (target, data) => {
+        const b = gl.createBuffer();
+        gl.bindBuffer(target, b);
+        gl.bufferData(target, data, gl.STATIC_DRAW);
+        return b;
+    };
+    return {
+        position: buffer(gl.ARRAY_BUFFER, new Float32Array(positions)),
+        uv: buffer(gl.ARRAY_BUFFER, new Float32Array(uvs)),
+        index: buffer(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(indices)),
+        count: indices.length
+    };
+}
+
+// Returns false (and leaves the canvas renderer in charge) when WebGL is
+// unavailable. Software rendering is accepted.
+function initGlobeGL() {
+    if (globeGL) return true;
+    const canvas = document.getElementById('globe-gl-canvas');
+    const options = { alpha: false, antialias: true, failIfMajorPerformanceCaveat: false };
+    const gl = canvas.getContext('webgl', options) || canvas.getContext('experimental-webgl', options);
+    if (!gl) return false;
+
+    try {
+        globeGL = {
+            gl,
+            canvas,
+            earth: compileGLProgram(gl, GL_EARTH_VS, GL_EARTH_FS),
+            points: compileGLProgram(gl, GL_POINT_VS, GL_POINT_FS),
+            sphere: buildSphereMesh(gl),
+            texture: gl.createTexture(),
+            landTexture: undefined,   // worldLand the texture was drawn from
+            position: gl.createBuffer(),
+            color: gl.createBuffer(),
+            pickColor: gl.createBuffer(),
+            size: gl.createBuffer(),
+            line: { position: gl.createBuffer(), color: gl.createBuffer(), size: gl.createBuffer() },
+            arrays: null,             // reused typed arrays, grown on demand
+            pickSats: [],             // pick id - 1 → object
+            pickFBO: null,
+            pickSize: [0, 0],
+            frame: 0,
+            lastPickPos: null
+        };
+    } catch (e) {
+        console.error('WebGL renderer unavailable:', e);
+        globeGL = null;
+        return false;
+    }
+
+    canvas.addEventListener('webglcontextlost', (e) => {
+        e.preventDefault();
+        globeGL = null;
+        setGlobeRenderer('canvas');
+        document.getElementById('renderer-status').textContent = 'WebGL context lost; back on the canvas renderer.';
+    });
+    return true;
+}
+
+// Ocean, graticule and land painted once per basemap, same palette as the
+// canvas globe
+function updateEarthTexture() {
+    const { gl } = globeGL;
+    const c = document.createElement('canvas');
+    c.width = GL_EARTH_TEX_W;
+    c.height = GL_EARTH_TEX_H;
+    const ctx = c.getContext('2d');
+    const path = d3.geoPath(d3.geoEquirectangular()
+        .scale(GL_EARTH_TEX_W / (2 * Math.PI))
+        .translate([GL_EARTH_TEX_W / 2, GL_EARTH_TEX_H / 2]), ctx);
+
+    ctx.fillStyle = '#0b1026';
+    ctx.fillRect(0, 0, c.width, c.height);
+    ctx.beginPath();
+    path(d3.geoGraticule10());
+    ctx.strokeStyle = '#1a2340';
+    ctx.lineWidth = 1;
+    ctx.stroke();
+    if (worldLand) {
+        ctx.beginPath();
+        path(worldLand);
+        ctx.fillStyle = '#1c3018';
+        ctx.fill();
+        ctx.strokeStyle = '#2a4020';
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+    }
+
+    gl.bindTexture(gl.TEXTURE_2D, globeGL.texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, c);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    globeGL.landTexture = worldLand;
+}
+
+// Backing store follows the CSS size × globePixelRatio; the pick target
+// matches it
+function resizeGlobeGL(width, height) {
+    const { gl, canvas } = globeGL;
+    const w = Math.max(1, Math.round(width * globePixelRatio));
+    const h = Math.max(1, Math.round(height * globePixelRatio));
+    if (canvas.width === w && canvas.height === h && globeGL.pickFBO) return;
+    canvas.width = w;
+    canvas.height = h;
+
+    if (globeGL.pickFBO) {
+        gl.deleteFramebuffer(globeGL.pickFBO.fbo);
+        gl.deleteTexture(globeGL.pickFBO.color);
+        gl.deleteRenderbuffer(globeGL.pickFBO.depth);
+    }
+    const color = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, color);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, w, h, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+    const depth = gl.createRenderbuffer();
+    gl.bindRenderbuffer(gl.RENDERBUFFER, depth);
+    gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, w, h);
+
+    const fbo = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, color, 0);
+    gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, depth);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    globeGL.pickFBO = { fbo, color, depth };
+}
+
+// ============================================================
+//  CAMERA + MATH
+// ============================================================
+function toEarthFixed(lat, lon, altKm) {
+    const r = 1 + altKm / GLOBE_EARTH_RADIUS_KM;
+    const phi = lat * Math.PI / 180;
+    const lambda = lon * Math.PI / 180;
+    return [r * Math.cos(phi) * Math.cos(lambda), r * Math.cos(phi) * Math.sin(lambda), r * Math.sin(phi)];
+}
+
+// Column-major 4×4 matrices, as WebGL expects
+function mat4Perspective(fovy, aspect, near, far) {
+    const f = 1 / Math.tan(fovy / 2);
+    const nf = 1 / (near - far);
+    return new Float32Array([
+        f / aspect, 0, 0, 0,
+        0, f, 0, 0,
+        0, 0, (far + near) * nf, -1,
+        0, 0, 2 * far * near * nf, 0
+    ]);
+}
+
+function mat4LookAt(eye, target, up) {
+    const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+    const norm = v => { const l = Math.hypot(v[0], v[1], v[2]); return [v[0] / l, v[1] / l, v[2] / l]; };
+    const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+    const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+
+    const z = norm(sub(eye, target));
+    const x = norm(cross(up, z));
+    const y = cross(z, x);
+    return new Float32Array([
+        x[0], y[0], z[0], 0,
+        x[1], y[1], z[1], 0,
+        x[2], y[2], z[2], 0,
+        -dot(x, eye), -dot(y, eye), -dot(z, eye), 1
+    ]);
+}
+
+function mat4Multiply(a, b) {
+    const out = new Float32Array(16);
+    for (let c = 0; c < 4; c++) {
+        for (let r = 0; r < 4; r++) {
+            let s = 0;
+            for (let k = 0; k < 4; k++) s += a[k * 4 + r] * b[c * 4 + k];
+            out[c * 4 + r] = s;
+        }
+    }
+    return out;
+}
+
+// Camera on the line through the point the canvas globe would centre on
+// (globeDragRotation), glCameraDistance Earth radii out
+function glCamera(width, height) {
+    const lon = -globeDragRotation[0];
+    const lat = Math.max(-89.9, Math.min(89.9, -globeDragRotation[1]));
+    glEye = toEarthFixed(lat, lon, (glCameraDistance - 1) * GLOBE_EARTH_RADIUS_KM);
+    const view = mat4LookAt(glEye, [0, 0, 0], [0, 0, 1]);
+    const proj = mat4Perspective(GL_FOV, width / height, 0.01, 200);
+    glViewProj = mat4Multiply(proj, view);
+    return glViewProj;
+}
+
+// Earth-fixed point → CSS pixels on the overlay, or null when it is behind
+// the camera or hidden by the Earth
+function glProject(p) {
+    const m = glViewProj;
+    const x = m[0] * p[0] + m[4] * p[1] + m[8] * p[2] + m[12];
+    const y = m[1] * p[0] + m[5] * p[1] + m[9] * p[2] + m[13];
+    const w = m[3] * p[0] + m[7] * p[1] + m[11] * p[2] + m[15];
+    if (w <= 0 || glOccluded(p)) return null;
+
+    const width = globeCanvas.width / globePixelRatio;
+    const height = globeCanvas.height / globePixelRatio;
+    return [(x / w + 1) / 2 * width, (1 - y / w) / 2 * height];
+}
+
+// Does the segment from the camera to p pass through the Earth?
+function glOccluded(p) {
+    const d = [p[0] - glEye[0], p[1] - glEye[1], p[2] - glEye[2]];
+    const a = d[0] * d[0] + d[1] * d[1] + d[2] * d[2];
+    const b = 2 * (glEye[0] * d[0] + glEye[1] * d[1] + glEye[2] * d[2]);
+    const c = glEye[0] * glEye[0] + glEye[1] * glEye[1] + glEye[2] * glEye[2] - 1;
+    const disc = b * b - 4 * a * c;
+    if (disc <= 0) return false;
+    const t = (-b - Math.sqrt(disc)) / (2 * a);
+    return t > 0 && t < 0.999;
+}
+
+// ============================================================
+//  FRAME
+// ============================================================
+const glColorCache = new Map();
+function glRGB(hex) {
+    if (!glColorCache.has(hex)) {
+        const c = d3.rgb(hex);
+        glColorCache.set(hex, [c.r, c.g, c.b]);
+    }
+    return glColorCache.get(hex);
+}
+
+function glArrays(n) {
+    const a = globeGL.arrays;
+    if (a && a.capacity >= n) return a;
+    const capacity = Math.max(n, 1024) * 1.5 | 0;
+    globeGL.arrays = {
+        capacity,
+        position: new Float32Array(capacity * 3),
+        color: new Uint8Array(capacity * 4),
+        pickColor: new Uint8Array(capacity * 4),
+        size: new Float32Array(capacity)
+    };
+    return globeGL.arrays;
+}
+
+// Every filtered object (no subsampling), at its propagated position
+function fillGLPoints() {
+    const { gl } = globeGL;
+    const sats = filteredSatellites();
+    const arr = glArrays(sats.length);
+    const selActive = isSelectionActive();
+    const pickSats = [];
+
+    let n = 0;
+    sats.forEach(sat => {
+        if (!passesIllumination(sat)) return;
+        const pos = getSatPosition(sat);
+        if (!pos) return;
+
+        const isTarget = sat.name === State.searchTarget;
+        const selected = selActive && isSelected(sat);
+        const p = toEarthFixed(pos.lat, pos.lon, pos.alt);
+        const rgb = glRGB(getSatColor(sat));
+        const alpha = (selActive && !selected && !isTarget ? 0.15 : 1) * illumAlpha(pos.illum) * staleAlpha(sat);
+        const id = n + 1;
+
+        arr.position.set(p, n * 3);
+        arr.color.set([rgb[0], rgb[1], rgb[2], Math.round(alpha * 255)], n * 4);
+        arr.pickColor.set([id & 255, (id >> 8) & 255, (id >> 16) & 255, 255], n * 4);
+        arr.size[n] = isTarget ? 7 : selected ? 3.5 : 2.5;
+        pickSats.push(sat);
+        n++;
+    });
+
+    const upload = (buffer, data) => {
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, data, gl.DYNAMIC_DRAW);
+    };
+    upload(globeGL.position, arr.position.subarray(0, n * 3));
+    upload(globeGL.color, arr.color.subarray(0, n * 4));
+    upload(globeGL.pickColor, arr.pickColor.subarray(0, n * 4));
+    upload(globeGL.size, arr.size.subarray(0, n));
+
+    globeGL.pickSats = pickSats;
+    return n;
+}
+
+// Ground track on the surface, one revolution of the orbit at its true
+// radius and the target's footprint, as line strips: [{ first, count }].
+// WebGL 1 lines are 1px and undashed; alpha alone tells past from future.
+function fillGLTrack() {
+    const { gl } = globeGL;
+    const track = getGroundTrack();
+    const footprint = getTargetFootprint();
+    if (!track && !footprint) return [];
+
+    const positions = [];
+    const colors = [];
+    const strips = [];
+    const addStrip = (points, hex, alpha) => {
+        if (points.length < 2) return;
+        const rgb = glRGB(hex);
+        strips.push({ first: positions.length / 3, count: points.length });
+        points.forEach(p => {
+            positions.push(p[0], p[1], p[2]);
+            colors.push(rgb[0], rgb[1], rgb[2], Math.round(alpha * 255));
+        });
+    };
+
+    if (footprint) {
+        addStrip(footprint.coordinates[0].map(([lon, lat]) => toEarthFixed(lat, lon, 10)), '#4facfe', 0.7);
+    }
+
+    if (track && State.showGroundTrack) {
+        splitTrackRuns(track.points).forEach(run => {
+            const style = trackRunStyle(run);
+            addStrip(run.points.map(p => toEarthFixed(p.lat, p.lon, 10)), style.color, style.alpha);
+        });
+    }
+
+    // The orbit is fixed in inertial space: rotate it into today's Earth-fixed frame
+    if (track && State.showOrbitPath) {
+        const now = State.simTime.getTime();
+        const gmst = satellite.gstime(State.simTime);
+        const orbit = track.points
+            .filter(p => Math.abs(p.t - now) <= track.periodMs / 2)
+            .map(p => {
+                const ecf = satellite.eciToEcf(p.eci, gmst);
+                return [ecf.x / GLOBE_EARTH_RADIUS_KM, ecf.y / GLOBE_EARTH_RADIUS_KM, ecf.z / GLOBE_EARTH_RADIUS_KM];
+            });
+        addStrip(orbit, '#ffffff', 0.6);
+    }
+
+    const n = positions.length / 3;
+    gl.bindBuffer(gl.ARRAY_BUFFER, globeGL.line.position);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(positions), gl.DYNAMIC_DRAW);
+    gl.bindBuffer(gl.ARRAY_BUFFER, globeGL.line.color);
+    gl.bufferData(gl.ARRAY_BUFFER, new Uint8Array(colors), gl.DYNAMIC_DRAW);
+    gl.bindBuffer(gl.ARRAY_BUFFER, globeGL.line.size);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(n).fill(1), gl.DYNAMIC_DRAW);
+    return strips;
+}
+
+function bindGLAttribute(loc, buffer, size, type, normalized) {
+    const { gl } = globeGL;
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    gl.enableVertexAttribArray(loc);
+    gl.vertexAttribPointer(loc, size, type, normalized, 0, 0);
+}
+
+function drawGLEarth(viewProj, pick) {
+    const { gl, earth, sphere } = globeGL;
+    const [sunLon, sunLat] = subsolarPoint(State.simTime);
+
+    gl.useProgram(earth.program);
+    gl.uniformMatrix4fv(earth.uViewProj, false, viewProj);
+    gl.uniform3fv(earth.uSun, toEarthFixed(sunLat, sunLon, 0));
+    gl.uniform1f(earth.uShade, State.showNightShade ? 1 : 0);
+    gl.uniform1f(earth.uPick, pick ? 1 : 0);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, globeGL.texture);
+    gl.uniform1i(earth.uTex, 0);
+
+    bindGLAttribute(earth.aPos, sphere.position, 3, gl.FLOAT, false);
+    bindGLAttribute(earth.aUV, sphere.uv, 2, gl.FLOAT, false);
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, sphere.index);
+    gl.drawElements(gl.TRIANGLES, sphere.count, gl.UNSIGNED_SHORT, 0);
+    gl.disableVertexAttribArray(earth.aPos);
+    gl.disableVertexAttribArray(earth.aUV);
+}
+
+function drawGLPoints(viewProj, count, pick) {
+    const { gl, points } = globeGL;
+    gl.useProgram(points.program);
+    gl.uniformMatrix4fv(points.uViewProj, false, viewProj);
+    gl.uniform1f(points.uScale, globePixelRatio);
+    gl.uniform1f(points.uMinSize, pick ? GL_PICK_SIZE_PX : 0);
+    gl.uniform1f(points.uRound, pick ? 0 : 1);
+
+    bindGLAttribute(points.aPos, globeGL.position, 3, gl.FLOAT, false);
+    bindGLAttribute(points.aColor, pick ? globeGL.pickColor : globeGL.color, 4, gl.UNSIGNED_BYTE, true);
+    bindGLAttribute(points.aSize, globeGL.size, 1, gl.FLOAT, false);
+    gl.drawArrays(gl.POINTS, 0, count);
+    disablePointAttributes();
+}
+
+function drawGLLines(viewProj, strips) {
+    const { gl, points } = globeGL;
+    gl.useProgram(points.program);
+    gl.uniformMatrix4fv(points.uViewProj, false, viewProj);
+    gl.uniform1f(points.uScale, 1);
+    gl.uniform1f(points.uMinSize, 0);
+    gl.uniform1f(points.uRound, 0);
+
+    bindGLAttribute(points.aPos, globeGL.line.position, 3, gl.FLOAT, false);
+    bindGLAttribute(points.aColor, globeGL.line.color, 4, gl.UNSIGNED_BYTE, true);
+    bindGLAttribute(points.aSize, globeGL.line.size, 1, gl.FLOAT, false);
+    strips.forEach(s => gl.drawArrays(gl.LINE_STRIP, s.first, s.count));
+    disablePointAttributes();
+}
+
+// Arrays left enabled would be validated against the next program's draw
+function disablePointAttributes() {
+    const { gl, points } = globeGL;
+    [points.aPos, points.aColor, points.aSize].forEach(loc => gl.disableVertexAttribArray(loc));
+}
+
+// Object under the pointer: ids drawn into the pick target, one pixel read
+// back. Earth is drawn with id 0 so it hides what is behind it.
+function pickGLObject(viewProj, count) {
+    const { gl, canvas } = globeGL;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, globeGL.pickFBO.fbo);
+    gl.viewport(0, 0, canvas.width, canvas.height);
+    gl.disable(gl.BLEND);
+    gl.depthMask(true);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+    drawGLEarth(viewProj, true);
+    drawGLPoints(viewProj, count, true);
+
+    const px = new Uint8Array(4);
+    const x = Math.round(globeMousePos[0] * globePixelRatio);
+    const y = canvas.height - 1 - Math.round(globeMousePos[1] * globePixelRatio);
+    gl.readPixels(x, y, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, px);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    const id = px[0] | (px[1] << 8) | (px[2] << 16);
+    return id > 0 ? globeGL.pickSats[id - 1] || null : null;
+}
+
+function drawGlobeGLFrame() {
+    updateSimTime();
+    requestPropagation(State.simTime);
+
+    const { gl, canvas } = globeGL;
+    const width = globeCanvas.width / globePixelRatio;
+    const height = globeCanvas.height / globePixelRatio;
+    resizeGlobeGL(width, height);
+    if (globeGL.landTexture !== worldLand) updateEarthTexture();
+
+    const viewProj = glCamera(width, height);
+    const count = fillGLPoints();
+    const strips = fillGLTrack();
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.viewport(0, 0, canvas.width, canvas.height);
+    gl.enable(gl.DEPTH_TEST);
+    gl.disable(gl.BLEND);
+    gl.depthMask(true);
+    gl.clearColor(GL_BACKGROUND[0], GL_BACKGROUND[1], GL_BACKGROUND[2], 1);
+    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+    drawGLEarth(viewProj, false);
+
+    // Translucent points and lines test against the Earth but not each other
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+    gl.depthMask(false);
+    drawGLLines(viewProj, strips);
+    drawGLPoints(viewProj, count, false);
+
+    // Picking stalls the pipeline: only when the pointer moved, or every
+    // few frames while it rests (objects move under it)
+    let hovered = globeHoveredSat;
+    if (!globeMousePos) {
+        hovered = null;
+        globeGL.lastPickPos = null;
+    } else if (globeGL.lastPickPos !== globeMousePos || globeGL.frame % GL_PICK_EVERY === 0) {
+        hovered = pickGLObject(viewProj, count);
+        globeGL.lastPickPos = globeMousePos;
+    }
+    globeGL.frame++;
+
+    drawGlobeGLOverlay(width, height, count, hovered);
+}
+
+// ============================================================
+//  OVERLAY (globeCanvas, transparent)
+// ============================================================
+function glRing(xy, r, color, width, dash) {
+    globeCtx.beginPath();
+    globeCtx.arc(xy[0], xy[1], r, 0, 2 * Math.PI);
+    globeCtx.strokeStyle = color;
+    globeCtx.lineWidth = width;
+    globeCtx.setLineDash(dash || []);
+    globeCtx.stroke();
+    globeCtx.setLineDash([]);
+}
+
+function glSatXY(sat) {
+    const pos = getSatPosition(sat);
+    return pos ? glProject(toEarthFixed(pos.lat, pos.lon, pos.alt)) : null;
+}
+
+function drawGlobeGLOverlay(width, height, count, hovered) {
+    globeCtx.clearRect(0, 0, width, height);
+
+    // Ground stations and the target's node crossings, on the surface
+    globeCtx.font = '10px Segoe UI';
+    State.groundStations.forEach(st => {
+        const xy = glProject(toEarthFixed(st.lat, st.lon, st.alt || 0));
+        if (!xy) return;
+        globeCtx.fillStyle = '#2ecc71';
+        globeCtx.fillRect(xy[0] - 3, xy[1] - 3, 6, 6);
+        globeCtx.fillText(st.name, xy[0] + 6, xy[1] - 4);
+    });
+
+    const track = State.showGroundTrack ? getGroundTrack() : null;
+    if (track) {
+        track.nodes.forEach(node => {
+            const xy = glProject(toEarthFixed(node.lat, node.lon, 10));
+            if (xy) drawNodeTriangle(globeCtx, xy[0], xy[1], node.type);
+        });
+    }
+    globeCtx.font = '11px Segoe UI';
+
+    const target = State.searchTarget ? State.satellites.find(s => s.name === State.searchTarget) : null;
+    const targetXY = target && glSatXY(target);
+    if (targetXY) {
+        glRing(targetXY, 8, '#fff', 2);
+        globeCtx.fillStyle = '#fff';
+        globeCtx.fillText(target.name, targetXY[0] + 12, targetXY[1] + 4);
+    }
+
+    const detailXY = detailSat && glSatXY(detailSat);
+    if (detailXY) glRing(detailXY, 10, '#4facfe', 1.5, [2, 2]);
+
+    if (State.conjunctionPair) {
+        const points = State.conjunctionPair.map(glSatXY);
+        if (points[0] && points[1]) {
+            globeCtx.beginPath();
+            globeCtx.moveTo(points[0][0], points[0][1]);
+            globeCtx.lineTo(points[1][0], points[1][1]);
+            globeCtx.strokeStyle = '#FE6100';
+            globeCtx.lineWidth = 1;
+            globeCtx.setLineDash([3, 3]);
+            globeCtx.stroke();
+            globeCtx.setLineDash([]);
+        }
+        points.forEach((xy, i) => {
+            if (!xy) return;
+            glRing(xy, 7, '#FE6100', 2);
+            if (i === 1) {
+                globeCtx.fillStyle = '#FE6100';
+                globeCtx.fillText(State.conjunctionPair[1].name, xy[0] + 12, xy[1] + 16);
+            }
+        });
+    }
+
+    const hoveredPos = hovered && getSatPosition(hovered);
+    const hoveredXY = hoveredPos && glProject(toEarthFixed(hoveredPos.lat, hoveredPos.lon, hoveredPos.alt));
+    if (hoveredXY) {
+        glRing(hoveredXY, 6, '#4facfe', 2);
+        showGlobeTooltip({ ...hovered, ...hoveredPos, sat: hovered });
+    } else if (globeMousePos) {
+        hideTooltip();
+    }
+    globeHoveredSat = hoveredXY ? hovered : null;
+    globeCanvas.style.cursor = globeHoveredSat ? 'pointer' : '';
+
+    const selActive = isSelectionActive();
+    globeCtx.fillStyle = '#556';
+    globeCtx.fillText(`Displaying: ${count} / ${State.satellites.length} objects (WebGL)` +
+        (selActive ? ` · ${selectedSatellites().length} selected` : ''), 10, height - 10);
+}
+
+// ============================================================
+//  RENDERER SWITCH
+// ============================================================
+function isGlobeGLActive() {
+    return State.globeRenderer === 'webgl' && !!globeGL;
+}
+
+// 'webgl' falls back to 'canvas' when no context can be had
+function setGlobeRenderer(renderer) {
+    let status = '';
+    if (renderer === 'webgl' && !initGlobeGL()) {
+        renderer = 'canvas';
+        status = 'WebGL is not available here; using the canvas renderer.';
+    }
+    State.globeRenderer = renderer === 'webgl' ? 'webgl' : 'canvas';
+    setActiveButton('.renderer-btn', 'renderer', State.globeRenderer);
+    document.getElementById('renderer-status').textContent = status;
+    document.getElementById('globe-gl-canvas').style.display =
+        isGlobeGLActive() && State.projection3D ? 'block' : 'none';
+    document.getElementById('gl-zoom-hint').style.display = isGlobeGLActive() ? '' : 'none';
+}
+
+function attachGlobeGLListeners() {
+    document.querySelectorAll('.renderer-btn').forEach(btn => {
+        btn.addEventListener('click', () => setGlobeRenderer(btn.dataset.renderer));
+    });
+
+    // Wheel zoom, WebGL renderer only
+    document.getElementById('globe-canvas').addEventListener('wheel', (e) => {
+        if (!isGlobeGLActive()) return;
+        e.preventDefault();
+        glCameraDistance = Math.max(GL_MIN_DISTANCE, Math.min(GL_MAX_DISTANCE,
+            glCameraDistance * Math.exp(e.deltaY * 0.001)));
+    }, { passive: false });
+}
+
+// ============================================================
+//  URL FIELDS
+// ============================================================
+URL_FIELDS.push(
+    {
+        key: 'render',
+        get: () => State.globeRenderer,
+        set: v => setGlobeRenderer(v)
+    },
+    {
+        key: 'zoom',
+        get: () => glCameraDistance.toFixed(2),
+        set: v => {
+            const d = parseFloat(v);
+            if (d > 0) glCameraDistance = Math.max(GL_MIN_DISTANCE, Math.min(GL_MAX_DISTANCE, d));
+        }
+    }
+);
@@ -0,0 +1,413 @@
+// ============================================================
+//  GROUNDSTATIONS.JS — Observer sites + pass prediction (Viz 6)
+// ============================================================
+
+const STATION_STORAGE_KEY = 'orbital-graveyard.stations';
+const PASS_REFINE_MS = 1000;        // AOS/LOS bisection tolerance
+const PASS_SKY_SAMPLE_MS = 15000;   // Sky-plot sampling inside a pass
+const PASS_MAX_PER_STATION = 60;
+
+let passResults = [];               // Last prediction run
+let passSelected = null;            // Pass shown in the sky plot
+
+// ============================================================
+//  STATION STORE
+// ============================================================
+function loadGroundStations() {
+    try {
+        State.groundStations = JSON.parse(localStorage.getItem(STATION_STORAGE_KEY)) || [];
+    } catch (e) {
+        State.groundStations = [];
+    }
+}
+
+function saveGroundStations() {
+    try {
+        localStorage.setItem(STATION_STORAGE_KEY, JSON.stringify(State.groundStations));
+    } catch (e) { /* storage disabled — stations live for this session only */ }
+}
+
+function addGroundStation(name, lat, lon, altKm) {
+    State.groundStations.push({ id: Date.now(), name, lat, lon, alt: altKm });
+    saveGroundStations();
+}
+
+function removeGroundStation(id) {
+    State.groundStations = State.groundStations.filter(s => s.id !== id);
+    passResults = passResults.filter(p => p.station.id !== id);
+    if (passSelected && passSelected.station.id === id) passSelected = null;
+    saveGroundStations();
+}
+
+// ============================================================
+//  LOOK ANGLES + PASS SEARCH
+// ============================================================
+function stationGeodetic(station) {
+    return {
+        latitude: satellite.degreesToRadians(station.lat),
+        longitude: satellite.degreesToRadians(station.lon),
+        height: station.alt
+    };
+}
+
+// Azimuth/elevation (degrees) and range (km) of `sat` from `observer`
+function lookAngles(sat, observer, timeMs) {
+    const date = new Date(timeMs);
+    const pv = satellite.propagate(sat.rec, date);
+    if (!pv.position) return null;
+    const ecf = satellite.eciToEcf(pv.position, satellite.gstime(date));
+    const look = satellite.ecfToLookAngles(observer, ecf);
+    return {
+        az: satellite.radiansToDegrees(look.azimuth),
+        el: satellite.radiansToDegrees(look.elevation),
+        range: look.rangeSat
+    };
+}
+
+// Time where elevation crosses `minEl` between lo (below) and hi (above),
+// or the reverse for a setting pass
+function bisectHorizon(sat, observer, lo, hi, minEl, rising) {
+    while (hi - lo > PASS_REFINE_MS) {
+        const mid = (lo + hi) / 2;
+        const look = lookAngles(sat, observer, mid);
+        const above = look && look.el >= minEl;
+        if (above === rising) hi = mid;
+        else lo = mid;
+    }
+    return (lo + hi) / 2;
+}
+
+// Upcoming passes of `sat` over `station` within [startMs, endMs].
+// Passes already in progress at startMs (or still up at endMs) are clipped
+// to the window and flagged.
+function predictPasses(sat, station, startMs, endMs, minEl) {
+    const observer = stationGeodetic(station);
+    const periodMin = 2 * Math.PI / sat.rec.no;
+    const stepMs = periodMin < 200 ? 20000 : 120000;
+    const passes = [];
+
+    let prevT = startMs;
+    let prevLook = lookAngles(sat, observer, startMs);
+    let aos = prevLook && prevLook.el >= minEl ? { t: startMs, clipped: true } : null;
+
+    for (let t = startMs + stepMs; t <= endMs + stepMs && passes.length < PASS_MAX_PER_STATION; t += stepMs) {
+        const tt = Math.min(t, endMs);
+        const look = lookAngles(sat, observer, tt);
+        const wasUp = prevLook && prevLook.el >= minEl;
+        const isUp = look && look.el >= minEl;
+
+        if (!wasUp && isUp) {
+            aos = { t: bisectHorizon(sat, observer, prevT, tt, minEl, true), clipped: false };
+        } else if (wasUp && !isUp && aos) {
+            const los = bisectHorizon(sat, observer, prevT, tt, minEl, false);
+            const pass = buildPass(sat, station, observer, aos, { t: los, clipped: false });
+            if (pass) passes.push(pass);
+            aos = null;
+        }
+
+        prevT = tt;
+        prevLook = look;
+        if (tt === endMs) break;
+    }
+
+    if (aos && passes.length < PASS_MAX_PER_STATION) {
+        const pass = buildPass(sat, station, observer, aos, { t: endMs, clipped: true });
+        if (pass) passes.push(pass);
+    }
+    return passes;
+}
+
+function buildPass(sat, station, observer, aos, los) {
+    const samples = [];
+    const n = Math.max(2, Math.ceil((los.t - aos.t) / PASS_SKY_SAMPLE_MS));
+    for (let i = 0; i <= n; i++) {
+        const t = aos.t + (los.t - aos.t) * i / n;
+        const look = lookAngles(sat, observer, t);
+        if (look) samples.push({ t, ...look });
+    }
+    if (samples.length === 0) return null;
+
+    const max = samples.reduce((best, s) => (s.el > best.el ? s : best), samples[0]);
+    return {
+        sat, station,
+        aos: new Date(aos.t),
+        los: new Date(los.t),
+        aosClipped: aos.clipped,
+        losClipped: los.clipped,
+        aosAz: samples[0].az,
+        losAz: samples[samples.length - 1].az,
+        maxEl: max.el,
+        maxAz: max.az,
+        maxTime: new Date(max.t),
+        samples
+    };
+}
+
+// ============================================================
+//  FOOTPRINT
+// ============================================================
+// Earth-central angle (degrees) of the region that sees the object above
+// `minEl` degrees elevation.
+function footprintRadius(altKm, minEl) {
+    const Re = 6378.137;
+    const eps = minEl * Math.PI / 180;
+    const lambda = Math.acos(Re * Math.cos(eps) / (Re + altKm)) - eps;
+    return Math.max(0, lambda * 180 / Math.PI);
+}
+
+function getTargetFootprint() {
+    if (!State.searchTarget) return null;
+    const sat = State.satellites.find(s => s.name === State.searchTarget);
+    const pos = sat ? getSatPosition(sat) : null;
+    if (!pos) return null;
+    return d3.geoCircle()
+        .center([pos.lon, pos.lat])
+        .radius(footprintRadius(pos.alt, State.passMinElevation))();
+}
+
+// ============================================================
+//  GLOBE + MAP DRAWING
+// ============================================================
+function drawGlobeStations(center) {
+    const footprint = getTargetFootprint();
+    if (footprint) {
+        globeCtx.beginPath();
+        globePath(footprint);
+        globeCtx.fillStyle = 'rgba(79, 172, 254, 0.08)';
+        globeCtx.fill();
+        globeCtx.strokeStyle = 'rgba(79, 172, 254, 0.7)';
+        globeCtx.lineWidth = 1;
+        globeCtx.stroke();
+    }
+
+    State.groundStations.forEach(st => {
+        if (d3.geoDistance(center, [st.lon, st.lat]) > Math.PI / 2) return;
+        const xy = globeProjection([st.lon, st.lat]);
+        globeCtx.fillStyle = '#2ecc71';
+        globeCtx.fillRect(xy[0] - 3, xy[1] - 3, 6, 6);
+        globeCtx.font = '10px Segoe UI';
+        globeCtx.fillText(st.name, xy[0] + 6, xy[1] - 4);
+    });
+}
+
+function update2DMapStations() {
+    const group = d3.select('#map-stations');
+    if (group.empty()) return;
+
+    const footprint = getTargetFootprint();
+    group.selectAll('.footprint')
+        .data(footprint ? [footprint] : [])
+        .join('path')
+        .attr('class', 'footprint')
+        .attr('d', mapPath);
+
+    const sites = group.selectAll('.station')
+        .data(State.groundStations, d => d.id)
+        .join(enter => {
+            const g = enter.append('g').attr('class', 'station');
+            g.append('rect').attr('x', -3).attr('y', -3).attr('width', 6).attr('height', 6);
+            g.append('text').attr('x', 6).attr('y', -4);
+            return g;
+        });
+
+    sites.attr('transform', d => {
+        const xy = mapProjection([d.lon, d.lat]);
+        return `translate(${xy[0]},${xy[1]})`;
+    });
+    sites.select('text').text(d => d.name);
+}
+
+// ============================================================
+//  PASS PLANNER PANEL
+// ============================================================
+function renderPassPlanner() {
+    const targetEl = document.getElementById('pass-target');
+    targetEl.textContent = State.searchTarget || 'None — pick one with the Live Tracker search';
+    targetEl.classList.toggle('muted', !State.searchTarget);
+
+    renderStationList();
+    renderPassTable();
+    renderSkyPlot();
+}
+
+function renderStationList() {
+    const list = d3.select('#station-list');
+    list.selectAll('*').remove();
+
+    if (State.groundStations.length === 0) {
+        list.append('div').attr('class', 'status-text').text('No stations yet.');
+        return;
+    }
+
+    const rows = list.selectAll('.station-row')
+        .data(State.groundStations)
+        .enter().append('div')
+        .attr('class', 'station-row');
+
+    rows.append('span').attr('class', 'station-name').text(d => d.name);
+    rows.append('span').attr('class', 'station-coords')
+        .text(d => `${d.lat.toFixed(2)}°, ${d.lon.toFixed(2)}°, ${Math.round(d.alt * 1000)} m`);
+    rows.append('button')
+        .attr('class', 'icon-btn')
+        .attr('title', 'Remove station')
+        .text('✕')
+        .on('click', (event, d) => {
+            removeGroundStation(d.id);
+            renderPassPlanner();
+        });
+}
+
+function renderPassTable() {
+    const container = document.getElementById('pass-table');
+
+    if (passResults.length === 0) {
+        container.innerHTML = '<p class="table-empty">No passes to show. Add a station, pick a target and run a prediction.</p>';
+        return;
+    }
+
+    const fmt = d => d.toISOString().replace('T', ' ').slice(0, 19);
+    const table = d3.select(container).html('').append('table').attr('class', 'data-table');
+
+    table.append('thead').append('tr')
+        .selectAll('th')
+        .data(['Station', 'AOS (UTC)', 'AOS Az', 'Max El', 'Max Az', 'LOS (UTC)', 'LOS Az', 'Duration'])
+        .enter().append('th')
+        .text(d => d);
+
+    table.append('tbody')
+        .selectAll('tr')
+        .data(passResults)
+        .enter().append('tr')
+        .classed('selected', p => p === passSelected)
+        .on('click', (event, p) => {
+            passSelected = p;
+            renderPassTable();
+            renderSkyPlot();
+        })
+        .selectAll('td')
+        .data(p => [
+            p.station.name,
+            (p.aosClipped ? '≤ ' : '') + fmt(p.aos),
+            p.aosAz.toFixed(0) + '°',
+            p.maxEl.toFixed(1) + '°',
+            p.maxAz.toFixed(0) + '°',
+            (p.losClipped ? '≥ ' : '') + fmt(p.los),
+            p.losAz.toFixed(0) + '°',
+            formatDuration(p.los - p.aos)
+        ])
+        .enter().append('td')
+        .text(d => d);
+}
+
+function formatDuration(ms) {
+    const s = Math.round(ms / 1000);
+    const h = Math.floor(s / 3600);
+    const m = Math.floor((s % 3600) / 60);
+    const sec = s % 60;
+    return h > 0 ? `${h}h ${String(m).padStart(2, '0')}m` : `${m}m ${String(sec).padStart(2, '0')}s`;
+}
+
+// --- Polar sky plot: zenith at center, horizon at the rim, north up ---
+function renderSkyPlot() {
+    const container = document.getElementById('sky-plot');
+    container.innerHTML = '';
+
+    const size = Math.min(container.clientWidth, container.clientHeight);
+    if (size <= 0) return;
+    const R = size / 2 - 24;
+
+    const svg = d3.select(container).append('svg')
+        .attr('width', size)
+        .attr('height', size)
+        .append('g')
+        .attr('transform', `translate(${size / 2},${size / 2})`);
+
+    const r = el => (90 - Math.max(0, el)) / 90 * R;
+    const xy = (az, el) => {
+        const a = az * Math.PI / 180;
+        return [r(el) * Math.sin(a), -r(el) * Math.cos(a)];
+    };
+
+    // Elevation rings + azimuth spokes
+    [0, 30, 60].forEach(el => {
+        svg.append('circle').attr('class', 'sky-grid').attr('r', r(el));
+        svg.append('text').attr('class', 'sky-label').attr('x', 3).attr('y', -r(el) + 11).text(el + '°');
+    });
+    [0, 90, 180, 270].forEach((az, i) => {
+        const [x, y] = xy(az, 0);
+        svg.append('line').attr('class', 'sky-grid').attr('x1', 0).attr('y1', 0).attr('x2', x).attr('y2', y);
+        const [lx, ly] = xy(az, -12);
+        svg.append('text').attr('class', 'sky-cardinal')
+            .attr('x', lx * 1.1).attr('y', ly * 1.1 + 4)
+            .text('NESW'[i]);
+    });
+
+    if (!passSelected) {
+        svg.append('text').attr('class', 'sky-label').attr('text-anchor', 'middle').attr('y', R + 18)
+            .text('Select a pass to plot its sky track');
+        return;
+    }
+
+    const pts = passSelected.samples.map(s => xy(s.az, s.el));
+    svg.append('path')
+        .attr('class', 'sky-track')
+        .attr('d', d3.line()(pts));
+
+    const first = pts[0];
+    const last = pts[pts.length - 1];
+    svg.append('circle').attr('class', 'sky-aos').attr('cx', first[0]).attr('cy', first[1]).attr('r', 4);
+    svg.append('circle').attr('class', 'sky-los').attr('cx', last[0]).attr('cy', last[1]).attr('r', 4);
+
+    const [mx, my] = xy(passSelected.maxAz, passSelected.maxEl);
+    svg.append('circle').attr('class', 'sky-max').attr('cx', mx).attr('cy', my).attr('r', 3);
+    svg.append('text').attr('class', 'sky-label')
+        .attr('x', mx + 6).attr('y', my - 4)
+        .text(`${passSelected.maxEl.toFixed(0)}°`);
+
+    svg.append('text').attr('class', 'sky-title').attr('text-anchor', 'middle').attr('y', -R - 8)
+        .text(`${passSelected.sat.name} over ${passSelected.station.name}`);
+}
+
+function attachPassPlannerListeners() {
+    document.getElementById('station-add').addEventListener('click', () => {
+        const name = document.getElementById('station-name').value.trim();
+        const lat = parseFloat(document.getElementById('station-lat').value);
+        const lon = parseFloat(document.getElementById('station-lon').value);
+        const altM = parseFloat(document.getElementById('station-alt').value) || 0;
+        const status = document.getElementById('pass-status');
+
+        if (!name || isNaN(lat) || isNaN(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+            status.textContent = 'Enter a name, latitude (±90°) and longitude (±180°).';
+            return;
+        }
+
+        addGroundStation(name, lat, lon, altM / 1000);
+        document.getElementById('station-name').value = '';
+        status.textContent = '';
+        renderPassPlanner();
+    });
+
+    document.getElementById('pass-min-el').addEventListener('change', (e) => {
+        State.passMinElevation = Math.max(0, Math.min(89, parseFloat(e.target.value) || 0));
+    });
+
+    document.getElementById('pass-run').addEventListener('click', () => {
+        const status = document.getElementById('pass-status');
+        const sat = State.satellites.find(s => s.name === State.searchTarget);
+        if (!sat) { status.textContent = 'Select a target object first.'; return; }
+        if (State.groundStations.length === 0) { status.textContent = 'Add a ground station first.'; return; }
+
+        const days = Math.max(0.1, Math.min(14, parseFloat(document.getElementById('pass-days').value) || 1));
+        const startMs = State.simTime.getTime();
+        const endMs = startMs + days * 86400000;
+
+        passResults = State.groundStations
+            .flatMap(st => predictPasses(sat, st, startMs, endMs, State.passMinElevation))
+            .sort((a, b) => a.aos - b.aos);
+        passSelected = passResults[0] || null;
+
+        status.textContent = `${passResults.length} pass${passResults.length === 1 ? '' : 'es'} above ` +
+            `${State.passMinElevation}° in the next ${days} day${days === 1 ? '' : 's'}.`;
+        renderPassPlanner();
+    });
+}
@@ -0,0 +1,261 @@
+// ============================================================
+//  GROUNDTRACK.JS — Ground track + 3D orbit path for the search target
+// ============================================================
+
+const TRACK_SAMPLES_PER_REV = 120;
+const TRACK_REVS_MAX = 10;          // per side; every sample is an SGP4 call on the main thread
+const GLOBE_EARTH_RADIUS_KM = 6371; // radius the orthographic sphere represents
+
+let trackCache = null; // { sat, key, centerMs, periodMs, points, nodes }
+
+// ============================================================
+//  COMPUTATION
+// ============================================================
+// Samples the orbit from `revsBack` revolutions before `centerTime` to
+// `revsFwd` after it. Each point carries the subsatellite position, the
+// ECI position (for the 3D path) and whether the ground below is sunlit.
+function computeGroundTrack(sat, centerTime, revsBack, revsFwd) {
+    const periodMs = (2 * Math.PI / sat.rec.no) * 60000; // rec.no is rad/min
+    const stepMs = periodMs / TRACK_SAMPLES_PER_REV;
+    const t0 = centerTime.getTime() - revsBack * periodMs;
+    const t1 = centerTime.getTime() + revsFwd * periodMs;
+    const points = [];
+
+    for (let t = t0; t <= t1; t += stepMs) {
+        const date = new Date(t);
+        try {
+            const pv = satellite.propagate(sat.rec, date);
+            if (!pv.position) continue;
+            const gd = satellite.eciToGeodetic(pv.position, satellite.gstime(date));
+            const lon = satellite.degreesLong(gd.longitude);
+            const lat = satellite.degreesLat(gd.latitude);
+            points.push({
+                t, lon, lat,
+                alt: gd.height,
+                eci: pv.position,
+                day: isDaylight(lon, lat, date),
+                past: t < centerTime.getTime()
+            });
+        } catch (e) { /* decayed mid-track */ }
+    }
+
+    return { periodMs, points, nodes: findNodeCrossings(points) };
+}
+
+// Equator crossings, interpolated between samples
+function findNodeCrossings(points) {
+    const nodes = [];
+    for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1];
+        const b = points[i];
+        if ((a.lat < 0) === (b.lat < 0)) continue;
+
+        const f = a.lat / (a.lat - b.lat);
+        let dLon = b.lon - a.lon;
+        if (dLon > 180) dLon -= 360;
+        if (dLon < -180) dLon += 360;
+
+        nodes.push({
+            type: b.lat > a.lat ? 'asc' : 'desc',
+            lon: ((a.lon + f * dLon + 540) % 360) - 180,
+            lat: 0,
+            t: a.t + f * (b.t - a.t)
+        });
+    }
+    return nodes;
+}
+
+// Cached track for the current target, rebuilt when the target or the
+// revolution settings change, or once sim time drifts half a degree of arc.
+function getGroundTrack() {
+    const sat = State.searchTarget
+        ? State.satellites.find(s => s.name === State.searchTarget)
+        : null;
+    if (!sat || (!State.showGroundTrack && !State.showOrbitPath)) {
+        trackCache = null;
+        return null;
+    }
+
+    // The element lines are part of the key: a live refresh updates the object in place
+    const key = `${State.trackRevsBack}|${State.trackRevsFwd}|${sat.tle1}|${sat.tle2}`;
+    const now = State.simTime.getTime();
+    if (trackCache && trackCache.sat === sat && trackCache.key === key &&
+        Math.abs(now - trackCache.centerMs) < trackCache.periodMs / 720) {
+        return trackCache;
+    }
+
+    trackCache = {
+        sat,
+        key,
+        centerMs: now,
+        ...computeGroundTrack(sat, State.simTime, State.trackRevsBack, State.trackRevsFwd)
+    };
+    return trackCache;
+}
+
+// Consecutive runs of points sharing the same day/night and past/future state
+function splitTrackRuns(points) {
+    const runs = [];
+    let run = null;
+    points.forEach(p => {
+        if (!run || run.day !== p.day || run.past !== p.past) {
+            // Start the new run at the previous point so runs join up
+            const prev = run ? run.points[run.points.length - 1] : null;
+            run = { day: p.day, past: p.past, points: prev ? [prev] : [] };
+            runs.push(run);
+        }
+        run.points.push(p);
+    });
+    return runs;
+}
+
+function trackRunStyle(run) {
+    return {
+        color: run.day ? '#f0f0f0' : '#4a6fa5',
+        alpha: run.past ? 0.35 : 0.9,
+        dash: run.past ? [4, 3] : []
+    };
+}
+
+// ============================================================
+//  3D GLOBE DRAWING
+// ============================================================
+function drawGlobeGroundTrack(track) {
+    if (State.showGroundTrack) {
+        splitTrackRuns(track.points).forEach(run => {
+            const style = trackRunStyle(run);
+            globeCtx.beginPath();
+            globePath({ type: 'LineString', coordinates: run.points.map(p => [p.lon, p.lat]) });
+            globeCtx.strokeStyle = style.color;
+            globeCtx.globalAlpha = style.alpha;
+            globeCtx.lineWidth = 1.5;
+            globeCtx.setLineDash(style.dash);
+            globeCtx.stroke();
+        });
+        globeCtx.globalAlpha = 1;
+        globeCtx.setLineDash([]);
+
+        drawGlobeNodeMarkers(track.nodes);
+    }
+
+    if (State.showOrbitPath) drawGlobeOrbitPath(track);
+}
+
+function drawGlobeNodeMarkers(nodes) {
+    const center = globeProjection.invert(globeProjection.translate());
+    nodes.forEach(node => {
+        if (d3.geoDistance(center, [node.lon, node.lat]) > Math.PI / 2) return;
+        const xy = globeProjection([node.lon, node.lat]);
+        drawNodeTriangle(globeCtx, xy[0], xy[1], node.type);
+    });
+}
+
+function drawNodeTriangle(ctx, x, y, type) {
+    const s = 5;
+    const dir = type === 'asc' ? -1 : 1; // ▲ ascending, ▼ descending
+    ctx.beginPath();
+    ctx.moveTo(x, y + dir * s);
+    ctx.lineTo(x - s, y - dir * s);
+    ctx.lineTo(x + s, y - dir * s);
+    ctx.closePath();
+    ctx.fillStyle = type === 'asc' ? '#2ecc71' : '#f5a623';
+    ctx.fill();
+}
+
+// One revolution around the current time, drawn at its true radius. The
+// orbit is fixed in inertial space, so every point is rotated into the
+// Earth-fixed frame of the current instant rather than its own.
+function drawGlobeOrbitPath(track) {
+    const now = State.simTime.getTime();
+    const gmst = satellite.gstime(State.simTime);
+    const half = track.periodMs / 2;
+    const [cx, cy] = globeProjection.translate();
+    const R = globeProjection.scale();
+    const center = globeProjection.invert([cx, cy]);
+
+    globeCtx.strokeStyle = '#ffffff';
+    globeCtx.globalAlpha = 0.6;
+    globeCtx.lineWidth = 1.2;
+    globeCtx.beginPath();
+
+    let penDown = false;
+    track.points.forEach(p => {
+        if (Math.abs(p.t - now) > half) return;
+
+        const ecf = satellite.eciToEcf(p.eci, gmst);
+        const r = Math.hypot(ecf.x, ecf.y, ecf.z);
+        const lonLat = [
+            Math.atan2(ecf.y, ecf.x) * 180 / Math.PI,
+            Math.atan2(ecf.z, Math.hypot(ecf.x, ecf.y)) * 180 / Math.PI
+        ];
+        const ground = globeProjection(lonLat);
+        const k = r / GLOBE_EARTH_RADIUS_KM;
+        const x = cx + k * (ground[0] - cx);
+        const y = cy + k * (ground[1] - cy);
+
+        // Behind the Earth's disk → hidden
+        const behind = d3.geoDistance(center, lonLat) > Math.PI / 2;
+        const hidden = behind && Math.hypot(x - cx, y - cy) < R;
+
+        if (hidden) {
+            penDown = false;
+        } else if (penDown) {
+            globeCtx.lineTo(x, y);
+        } else {
+            globeCtx.moveTo(x, y);
+            penDown = true;
+        }
+    });
+
+    globeCtx.stroke();
+    globeCtx.globalAlpha = 1;
+}
+
+// ============================================================
+//  2D MAP DRAWING
+// ============================================================
+let mapTrackDrawn = null; // track object last rendered into #map-track
+
+function update2DMapTrack() {
+    const group = d3.select('#map-track');
+    const track = State.showGroundTrack ? getGroundTrack() : null;
+    if (track === mapTrackDrawn) return;
+    mapTrackDrawn = track;
+
+    group.selectAll('*').remove();
+    if (!track) return;
+
+    // Break lines where they wrap at the antimeridian
+    const line = d3.line()
+        .defined(p => p.xy)
+        .x(p => p.xy[0])
+        .y(p => p.xy[1]);
+
+    splitTrackRuns(track.points).forEach(run => {
+        const style = trackRunStyle(run);
+        const pts = [];
+        run.points.forEach((p, i) => {
+            if (i > 0 && Math.abs(p.lon - run.points[i - 1].lon) > 180) pts.push({ xy: null });
+            pts.push({ xy: mapProjection([p.lon, p.lat]) });
+        });
+
+        group.append('path')
+            .attr('d', line(pts))
+            .attr('fill', 'none')
+            .attr('stroke', style.color)
+            .attr('stroke-opacity', style.alpha)
+            .attr('stroke-width', 1.5)
+            .attr('stroke-dasharray', style.dash.join(',') || null);
+    });
+
+    group.selectAll('.node-marker')
+        .data(track.nodes)
+        .enter().append('path')
+        .attr('class', 'node-marker')
+        .attr('d', d => d3.symbol().type(d3.symbolTriangle).size(40)())
+        .attr('transform', d => {
+            const xy = mapProjection([d.lon, d.lat]);
+            return `translate(${xy[0]},${xy[1]}) rotate(${d.type === 'asc' ? 0 : 180})`;
+        })
+        .attr('fill', d => d.type === 'asc' ? '#2ecc71' : '#f5a623');
+}
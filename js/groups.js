@@ -0,0 +1,459 @@
+// ============================================================
+//  GROUPS.JS — Constellations and programs as units (Viz 12)
+// ============================================================
+//  Objects are grouped by name pattern (Starlink, OneWeb, Iridium, ...)
+//  and by custom rules: a name regex, a list of NORAD numbers and/or mean
+//  altitude and inclination ranges. An object belongs to the first group
+//  that matches, custom groups first. Rocket bodies and debris that match
+//  no rule go to the group that carried most of the payloads on their
+//  launch (international designator YYYY-NNN), so a program's upper
+//  stages and fragments are counted with it.
+//
+//  Groups can be hidden (they drop out of the filtered catalog in every
+//  view), colour their objects on the globe, stack the altitude and
+//  timeline bars ("Color by: Group") and label their densest cell on the
+//  heatmap. Each gets a summary card with its shells and orbital planes.
+
+const GROUP_STORAGE_KEY = 'orbital-graveyard.groups';
+const GROUP_NONE = 'UNGROUPED';
+
+const BUILTIN_GROUPS = [
+    { id: 'starlink', name: 'Starlink', color: '#f5a623', pattern: '^STARLINK' },
+    { id: 'oneweb', name: 'OneWeb', color: '#00c2d1', pattern: '^ONEWEB' },
+    { id: 'kuiper', name: 'Kuiper', color: '#ff8a65', pattern: '^KUIPER' },
+    { id: 'qianfan', name: 'Qianfan', color: '#f06292', pattern: '^QIANFAN' },
+    { id: 'iridium', name: 'Iridium', color: '#b39ddb', pattern: '^IRIDIUM' },
+    { id: 'globalstar', name: 'Globalstar', color: '#9ccc65', pattern: '^GLOBALSTAR' },
+    { id: 'orbcomm', name: 'Orbcomm', color: '#a1887f', pattern: '^ORBCOMM' },
+    { id: 'planet', name: 'Planet', color: '#dce775', pattern: '^(FLOCK|SKYSAT)' },
+    { id: 'spire', name: 'Spire', color: '#90a4ae', pattern: '^LEMUR' },
+    { id: 'gps', name: 'GPS', color: '#e0e0e0', pattern: '^(NAVSTAR|GPS )' },
+    { id: 'glonass', name: 'GLONASS', color: '#ef5350', pattern: 'GLONASS' },
+    { id: 'galileo', name: 'Galileo', color: '#7986cb', pattern: '^(GALILEO|GSAT0)' },
+    { id: 'beidou', name: 'BeiDou', color: '#ffd54f', pattern: '^BEIDOU' }
+];
+
+// Shell and plane detection (summary cards)
+const SHELL_INC_GAP = 0.5;           // degrees between inclination clusters
+const SHELL_ALT_GAP = 15;            // km between altitude clusters
+const SHELL_MIN_SHARE = 0.01;        // shells smaller than this share of the payloads are noise...
+const SHELL_MIN_COUNT = 3;           // ...and so are those with fewer objects
+const PLANE_RAAN_GAP = 1.5;          // degrees between orbital planes
+const GROUP_CARD_SHELLS = 5;
+
+let customGroups = [];               // { id, name, color, pattern, norads, alt, inc }; ranges are [min|null, max|null]
+let groupsVersion = 0;               // Bumped on every group definition change
+let groupCache = null;               // { version, catalog, groups, of, attributed }
+let groupLegendKey = null;
+let groupNextId = 1;
+
+// ============================================================
+//  DEFINITIONS
+// ============================================================
+function loadCustomGroups() {
+    try {
+        customGroups = JSON.parse(localStorage.getItem(GROUP_STORAGE_KEY)) || [];
+    } catch (e) {
+        customGroups = [];
+    }
+    groupNextId = d3.max(customGroups, g => +g.id.replace('custom-', '')) + 1 || 1;
+}
+
+function saveCustomGroups() {
+    try {
+        localStorage.setItem(GROUP_STORAGE_KEY, JSON.stringify(customGroups));
+    } catch (e) { /* storage disabled — groups live for this session only */ }
+}
+
+// Definitions with compiled rules, custom groups first
+function compileGroups() {
+    return customGroups.map(g => ({ ...g, custom: true })).concat(BUILTIN_GROUPS).map(g => ({
+        ...g,
+        regex: g.pattern ? new RegExp(g.pattern, 'i') : null,
+        noradSet: new Set((g.norads || []).map(normalizeNorad))
+    }));
+}
+
+function matchesGroup(sat, g) {
+    const byId = g.regex || g.noradSet.size;
+    if (byId && !((g.regex && g.regex.test(sat.name)) || g.noradSet.has(sat.norad))) return false;
+    if (g.alt && !inGroupRange(sat.meanAlt, g.alt)) return false;
+    if (g.inc && !inGroupRange(sat.inclination, g.inc)) return false;
+    return !!(byId || g.alt || g.inc);
+}
+
+function inGroupRange(v, [min, max]) {
+    return (min === null || v >= min) && (max === null || v <= max);
+}
+
+// "1998-067A" → "1998-067"
+function launchId(sat) {
+    return sat.intlDes && /^\d{4}-\d{3}/.test(sat.intlDes) ? sat.intlDes.slice(0, 8) : null;
+}
+
+// ============================================================
+//  ASSIGNMENT
+// ============================================================
+// Group of every catalog object, cached per catalog and definition change
+function groupAssignment() {
+    const c = groupCache;
+    if (c && c.version === groupsVersion && c.catalog === State.satellites) return c;
+
+    const groups = compileGroups();
+    const of = new Map();
+    const attributed = new Set();
+
+    State.satellites.forEach(sat => {
+        const group = groups.find(g => matchesGroup(sat, g));
+        if (group) of.set(sat, group);
+    });
+
+    // Launch → payload count per group; leftovers go to a group holding
+    // more than half the launch's payloads
+    const launches = new Map();
+    State.satellites.forEach(sat => {
+        const id = sat.type === 'PAYLOAD' && launchId(sat);
+        if (!id) return;
+        if (!launches.has(id)) launches.set(id, { total: 0, counts: new Map() });
+        const l = launches.get(id);
+        l.total++;
+        const g = of.get(sat);
+        if (g) l.counts.set(g, (l.counts.get(g) || 0) + 1);
+    });
+    State.satellites.forEach(sat => {
+        if (of.has(sat) || sat.type === 'PAYLOAD') return;
+        const l = launches.get(launchId(sat));
+        if (!l) return;
+        l.counts.forEach((n, g) => {
+            if (n > l.total / 2) {
+                of.set(sat, g);
+                attributed.add(sat);
+            }
+        });
+    });
+
+    groupCache = { version: groupsVersion, catalog: State.satellites, groups, of, attributed };
+    return groupCache;
+}
+
+function satGroup(sat) {
+    return groupAssignment().of.get(sat) || null;
+}
+
+function isHiddenGroup(sat) {
+    if (!State.hiddenGroups.length) return false;
+    const g = satGroup(sat);
+    return !!g && State.hiddenGroups.includes(g.id);
+}
+
+// Group colour when groups colour the globe, else the regime colour
+function getSatColor(sat) {
+    const g = State.colorGroups ? satGroup(sat) : null;
+    return g ? g.color : getRegimeColor(sat.regime);
+}
+
+// Tooltip line for grouped objects, '' otherwise
+function groupNote(sat) {
+    const g = satGroup(sat);
+    return g ? `\nGroup: ${g.name}${groupAssignment().attributed.has(sat) ? ' (via launch)' : ''}` : '';
+}
+
+// "Color by: Group" category and its colour
+function groupCategory(sat) {
+    const g = satGroup(sat);
+    return g ? g.name : GROUP_NONE;
+}
+
+function groupCategoryColor(name) {
+    const g = groupAssignment().groups.find(g => g.name === name);
+    return g ? g.color : CATEGORY_OTHER_COLOR;
+}
+
+// Every definition edit lands here (hiding a group is only a filter change)
+function groupsChanged() {
+    groupsVersion++;
+    filtersChanged();
+}
+
+// ============================================================
+//  SHELLS + PLANES
+// ============================================================
+// Split sorted values wherever neighbours are more than `gap` apart
+function splitByGap(items, value, gap) {
+    const sorted = items.slice().sort((a, b) => value(a) - value(b));
+    const runs = [];
+    sorted.forEach((item, i) => {
+        if (i === 0 || value(item) - value(sorted[i - 1]) > gap) runs.push([]);
+        runs[runs.length - 1].push(item);
+    });
+    return runs;
+}
+
+// RAAN (degrees) at `date`, moved along by the secular J2 drift
+function raanAt(sat, date) {
+    const rec = sat.rec;
+    const minutes = (date.getTime() - sat.epoch) / 60000;
+    const raan = (rec.nodeo + rec.nodedot * minutes) * 180 / Math.PI;
+    return ((raan % 360) + 360) % 360;
+}
+
+// Planes with two or more objects; RAAN wraps, so the cut goes at the widest gap
+function countPlanes(sats, date) {
+    if (sats.length < 2) return 0;
+    const raans = sats.map(s => raanAt(s, date)).sort((a, b) => a - b);
+    let widest = 360 - raans[raans.length - 1] + raans[0];
+    let start = 0;
+    for (let i = 1; i < raans.length; i++) {
+        if (raans[i] - raans[i - 1] > widest) {
+            widest = raans[i] - raans[i - 1];
+            start = i;
+        }
+    }
+    const unwrapped = raans.slice(start).concat(raans.slice(0, start).map(r => r + 360));
+    return splitByGap(unwrapped, r => r, PLANE_RAAN_GAP).filter(run => run.length >= 2).length;
+}
+
+// Clusters in inclination, then mean altitude: [{ alt, inc, count, planes }]
+function findShells(sats, date) {
+    const min = Math.max(SHELL_MIN_COUNT, sats.length * SHELL_MIN_SHARE);
+    const shells = [];
+    splitByGap(sats, s => s.inclination, SHELL_INC_GAP).forEach(incRun => {
+        splitByGap(incRun, s => s.meanAlt, SHELL_ALT_GAP).forEach(run => {
+            if (run.length < min) return;
+            shells.push({
+                alt: d3.median(run, s => s.meanAlt),
+                inc: d3.median(run, s => s.inclination),
+                count: run.length,
+                planes: countPlanes(run, date)
+            });
+        });
+    });
+    return shells.sort((a, b) => b.count - a.count);
+}
+
+// Card figures for every group with objects passing the filters
+function groupSummaries() {
+    const { groups, of, attributed } = groupAssignment();
+    const byGroup = new Map(groups.map(g => [g, []]));
+    State.satellites.forEach(sat => {
+        const g = of.get(sat);
+        if (g && passesFilters(sat)) byGroup.get(g).push(sat);
+    });
+
+    return groups.map(g => {
+        const sats = byGroup.get(g);
+        const payloads = sats.filter(s => s.type === 'PAYLOAD');
+        // Groups matched on debris alone (e.g. a breakup's fragments) have no payloads
+        const shellBase = payloads.length ? payloads : sats;
+        return {
+            group: g,
+            count: sats.length,
+            payloads: payloads.length,
+            rocketBodies: sats.filter(s => s.type === 'ROCKET BODY').length,
+            debris: sats.filter(s => s.type === 'DEBRIS').length,
+            attributed: sats.filter(s => attributed.has(s)).length,
+            launches: new Set(shellBase.map(launchId).filter(Boolean)).size,
+            shells: findShells(shellBase, State.simTime)
+        };
+    }).filter(s => s.count > 0 || s.group.custom);
+}
+
+// ============================================================
+//  VIEW
+// ============================================================
+function describeGroupRange(label, [min, max], unit) {
+    if (min === null) return `${label} ≤ ${max}${unit}`;
+    if (max === null) return `${label} ≥ ${min}${unit}`;
+    return `${label} ${min}–${max}${unit}`;
+}
+
+function describeGroupRule(g) {
+    const parts = [];
+    if (g.pattern) parts.push(`name /${g.pattern}/`);
+    if (g.norads && g.norads.length) parts.push(`${g.norads.length} NORAD number${g.norads.length > 1 ? 's' : ''}`);
+    if (g.alt) parts.push(describeGroupRange('mean altitude', g.alt, ' km'));
+    if (g.inc) parts.push(describeGroupRange('inclination', g.inc, '°'));
+    return parts.join(' · ');
+}
+
+function renderGroups() {
+    const summaries = groupSummaries();
+    const container = d3.select('#group-cards').html('');
+
+    if (summaries.length === 0) {
+        container.append('p').attr('class', 'table-empty')
+            .text('No objects passing the filters belong to a group. Define one on the left.');
+        return;
+    }
+
+    const cards = container.selectAll('.group-card')
+        .data(summaries)
+        .enter().append('div')
+        .attr('class', 'group-card')
+        .classed('hidden', s => State.hiddenGroups.includes(s.group.id))
+        .style('border-top-color', s => s.group.color);
+
+    const head = cards.append('div').attr('class', 'group-card-head');
+    head.append('span').attr('class', 'dot').style('background', s => s.group.color);
+    head.append('span').attr('class', 'group-card-name').text(s => s.group.name);
+    head.append('button')
+        .attr('class', 'icon-btn')
+        .attr('title', s => (State.hiddenGroups.includes(s.group.id) ? 'Show in every view' : 'Hide from every view'))
+        .text(s => (State.hiddenGroups.includes(s.group.id) ? '◌' : '●'))
+        .on('click', (event, s) => toggleGroupHidden(s.group.id));
+    head.filter(s => s.group.custom).append('button')
+        .attr('class', 'icon-btn')
+        .attr('title', 'Delete group')
+        .text('✕')
+        .on('click', (event, s) => removeCustomGroup(s.group.id));
+
+    cards.append('div').attr('class', 'status-text').text(s => describeGroupRule(s.group));
+
+    cards.append('div').attr('class', 'group-card-figures').each(function (s) {
+        renderDetailRows(this, [
+            ['Objects', s.count.toLocaleString()],
+            ['Payloads', s.payloads.toLocaleString()],
+            ['Rocket bodies', s.rocketBodies.toLocaleString()],
+            ['Debris', s.debris.toLocaleString()],
+            ['R/B + debris via launch', s.attributed.toLocaleString()],
+            ['Launches', s.launches.toLocaleString()]
+        ]);
+    });
+
+    const shells = cards.append('div').attr('class', 'group-card-shells');
+    shells.append('div').attr('class', 'legend-title')
+        .text(s => `Shells (${s.shells.length})`);
+    shells.selectAll('.group-shell')
+        .data(s => s.shells.slice(0, GROUP_CARD_SHELLS))
+        .enter().append('div')
+        .attr('class', 'group-shell')
+        .text(sh => `${Math.round(sh.alt).toLocaleString()} km · ${sh.inc.toFixed(1)}° · ` +
+            `${sh.count.toLocaleString()} objects · ${sh.planes} plane${sh.planes === 1 ? '' : 's'}`);
+    shells.filter(s => s.shells.length > GROUP_CARD_SHELLS).append('div')
+        .attr('class', 'status-text')
+        .text(s => `…and ${s.shells.length - GROUP_CARD_SHELLS} smaller`);
+}
+
+// --- Globe legend: visible groups and how many filtered objects each has ---
+function renderGroupLegend() {
+    const key = `${filterVersion}|${groupsVersion}|${State.colorGroups}`;
+    if (key === groupLegendKey && groupCache && groupCache.catalog === State.satellites) return;
+    groupLegendKey = key;
+
+    const counts = d3.rollup(filteredSatellites(), v => v.length, satGroup);
+    const groups = groupAssignment().groups.filter(g => counts.get(g));
+    const legend = d3.select('#globe-groups').style('display', State.colorGroups && groups.length ? null : 'none');
+
+    legend.selectAll('.legend-item')
+        .data(groups, g => g.id)
+        .join(enter => {
+            const item = enter.append('div').attr('class', 'legend-item');
+            item.append('span').attr('class', 'dot');
+            item.append('span').attr('class', 'group-legend-name');
+            item.append('span').attr('class', 'group-legend-count');
+            return item;
+        })
+        .order()
+        .call(items => {
+            items.select('.dot').style('background', g => g.color);
+            items.select('.group-legend-name').text(g => g.name);
+            items.select('.group-legend-count').text(g => counts.get(g).toLocaleString());
+        });
+}
+
+// ============================================================
+//  EDITING
+// ============================================================
+function toggleGroupHidden(id) {
+    State.hiddenGroups = State.hiddenGroups.includes(id)
+        ? State.hiddenGroups.filter(g => g !== id)
+        : State.hiddenGroups.concat(id);
+    filtersChanged();
+}
+
+function removeCustomGroup(id) {
+    customGroups = customGroups.filter(g => g.id !== id);
+    State.hiddenGroups = State.hiddenGroups.filter(g => g !== id);
+    saveCustomGroups();
+    groupsChanged();
+}
+
+// [min, max] from two inputs (null for an open end), null when both are empty
+function readGroupRange(prefix) {
+    const lo = document.getElementById(`${prefix}-min`).value;
+    const hi = document.getElementById(`${prefix}-max`).value;
+    if (lo === '' && hi === '') return null;
+    return [lo === '' ? null : parseFloat(lo), hi === '' ? null : parseFloat(hi)];
+}
+
+function addCustomGroupFromForm() {
+    const status = document.getElementById('group-form-status');
+    const name = document.getElementById('group-name').value.trim();
+    const pattern = document.getElementById('group-pattern').value.trim();
+    const norads = document.getElementById('group-norads').value
+        .split(/[\s,;]+/).filter(Boolean).map(normalizeNorad);
+    const alt = readGroupRange('group-alt');
+    const inc = readGroupRange('group-inc');
+
+    let error = null;
+    if (!name) error = 'Give the group a name';
+    else if (!pattern && !norads.length && !alt && !inc) error = 'Set a name pattern, NORAD numbers or a range';
+    else if ([alt, inc].some(r => r && r[0] !== null && r[1] !== null && r[0] > r[1])) error = 'Ranges need min ≤ max';
+    if (!error && pattern) {
+        try {
+            new RegExp(pattern, 'i');
+        } catch (e) {
+            error = `Invalid pattern: ${e.message}`;
+        }
+    }
+    status.textContent = error || '';
+    status.classList.toggle('error', !!error);
+    if (error) return;
+
+    customGroups.push({
+        id: `custom-${groupNextId++}`,
+        name,
+        color: document.getElementById('group-color').value,
+        pattern,
+        norads,
+        alt,
+        inc
+    });
+    saveCustomGroups();
+    document.getElementById('group-form').reset();
+    groupsChanged();
+}
+
+function attachGroupListeners() {
+    loadCustomGroups();
+
+    document.getElementById('group-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        addCustomGroupFromForm();
+    });
+    document.getElementById('group-colors').addEventListener('change', (e) => {
+        State.colorGroups = e.target.checked;
+        groupLegendKey = null;
+        if (State.currentViz !== 'globe') renderCurrentViz();
+        else if (!State.projection3D) update2DMap();
+    });
+}
+
+URL_FIELDS.push(
+    {
+        key: 'hgroups',
+        get: () => State.hiddenGroups.join(','),
+        set: v => {
+            State.hiddenGroups = v ? v.split(',') : [];
+            filterVersion++;
+        }
+    },
+    {
+        key: 'gcolor',
+        get: () => (State.colorGroups ? '1' : '0'),
+        set: v => {
+            State.colorGroups = v !== '0';
+            document.getElementById('group-colors').checked = State.colorGroups;
+        }
+    }
+);
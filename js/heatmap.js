@@ -1,8 +1,256 @@
 // ============================================================
-//  HEATMAP.JS — Altitude × Inclination Density Map (Viz 3)
+//  HEATMAP.JS — Orbital population map, any two elements (Viz 3)
 // ============================================================
+//  Bins the filtered catalog on two axes picked from altitude, inclination,
+//  eccentricity, RAAN, period, launch year and RCS size, and colours each
+//  cell by a metric: object count, share of debris or mean age. Altitude,
+//  period and eccentricity follow the range option (LEO focus, full range
+//  or log scale). Colours can be normalised linearly, logarithmically or by
+//  quantile, so a handful of crowded cells don't wash out the rest.
+//  The largest groups (groups.js) are labelled at their densest cell.
 
+// value(sat) → number (null when unknown); domain is per range option
+// where the axis has one. Categorical axes bin by category index.
+const HEATMAP_RCS = ['SMALL', 'MEDIUM', 'LARGE', 'UNKNOWN'];
+
+const HEATMAP_AXES = {
+    alt: {
+        label: 'Altitude', unit: 'km',
+        value: s => getSatAltitude(s),
+        domain: { leo: [0, 2000], full: [0, 42000], log: [100, 100000] }
+    },
+    inc: {
+        label: 'Inclination', unit: '°',
+        value: s => s.inclination,
+        domain: [0, 180]
+    },
+    ecc: {
+        label: 'Eccentricity', unit: '',
+        value: s => s.rec.ecco,
+        domain: { leo: [0, 0.1], full: [0, 1], log: [1e-4, 1] }
+    },
+    raan: {
+        label: 'RAAN', unit: '°',
+        value: s => s.rec.nodeo * 180 / Math.PI,
+        domain: [0, 360]
+    },
+    period: {
+        label: 'Period', unit: 'min',
+        value: s => s.period,
+        domain: { leo: [85, 130], full: [80, 1500], log: [80, 3000] }
+    },
+    year: {
+        label: 'Launch Year', unit: '',
+        value: s => s.year,
+        integer: true,
+        domain: () => {
+            const [lo, hi] = d3.extent(State.satellites, s => s.year);
+            return lo === undefined ? [1957, 2025] : [lo, hi + 1];
+        }
+    },
+    rcs: {
+        label: 'RCS Size', unit: '',
+        value: s => {
+            const i = HEATMAP_RCS.indexOf(s.rcs);
+            return i >= 0 ? i : HEATMAP_RCS.length - 1;
+        },
+        categories: HEATMAP_RCS
+    }
+};
+
+// Per-cell accumulators are count, debris and ageSum/aged
+const HEATMAP_METRICS = {
+    count: {
+        title: 'Orbital Regime Congestion', label: 'Objects', legend: 'Count',
+        value: c => c.count,
+        format: d3.format(',~r'),
+        symlog: 1
+    },
+    debris: {
+        title: 'Debris Share', label: 'Debris share', legend: 'Debris',
+        value: c => c.debris / c.count,
+        format: d3.format('.0%'),
+        symlog: 0.01
+    },
+    age: {
+        title: 'Mean Object Age', label: 'Mean age', legend: 'Years',
+        value: c => (c.aged ? c.ageSum / c.aged : null),
+        format: d3.format('.1f'),
+        symlog: 0.5
+    }
+};
+
+const HEATMAP_RANGE_LABELS = { leo: 'LEO', full: 'full range', log: 'log scale' };
+
+// Reference orbits, marked when both axes are among their elements
+const HEATMAP_ANNOTATIONS = [
+    { label: 'ISS', color: '#2ecc71', alt: 408, inc: 51.6, ecc: 0.0005 },
+    { label: 'SSO', color: '#e74c3c', alt: 800, inc: 98.7, ecc: 0.001 }
+];
+
+const HEATMAP_GROUP_LABELS = 6;      // Largest groups labelled at their densest cell
+const HEATMAP_GROUP_MIN = 10;        // ...if they have at least this many objects on the map
+
+function heatmapAxisValue(sat, key) {
+    const v = HEATMAP_AXES[key].value(sat);
+    return v === null || v === undefined || isNaN(v) ? null : v;
+}
+
+function heatmapAxisLabel(key) {
+    return key === 'alt' ? ALT_METRIC_LABELS[State.altMetric] : HEATMAP_AXES[key].label;
+}
+
+// Unit as it follows a number: "450 km", "52°"
+function heatmapUnitSuffix(axis) {
+    if (axis.unit === '°') return '°';
+    return axis.unit ? ' ' + axis.unit : '';
+}
+
+// Does the range option change this axis?
+function isRangedAxis(key) {
+    const domain = HEATMAP_AXES[key].domain;
+    return !!domain && !Array.isArray(domain) && typeof domain !== 'function';
+}
+
+// ============================================================
+//  BINNING
+// ============================================================
+// Bin edges and a value → bin index lookup for one axis. Categorical
+// edges are the category indices, so every axis positions cells by edges.
+function heatmapBins(key, requested) {
+    const axis = HEATMAP_AXES[key];
+
+    if (axis.categories) {
+        const n = axis.categories.length;
+        return {
+            key, axis, n, categorical: true, log: false,
+            edges: d3.range(n + 1),
+            index: v => (v >= 0 && v < n ? Math.floor(v) : -1)
+        };
+    }
+
+    const domain = typeof axis.domain === 'function' ? axis.domain()
+        : Array.isArray(axis.domain) ? axis.domain
+            : axis.domain[State.heatmapRange];
+    const [lo, hi] = domain;
+    const log = isRangedAxis(key) && State.heatmapRange === 'log';
+
+    let n = requested;
+    let edges;
+    if (log) {
+        const k = Math.log(hi / lo);
+        edges = d3.range(n + 1).map(i => lo * Math.exp(k * i / n));
+        return {
+            key, axis, n, log, domain, edges,
+            index: v => (v < lo || v > hi ? -1 : Math.min(Math.floor(Math.log(v / lo) / k * n), n - 1))
+        };
+    }
+
+    // Whole-number axes (years) get whole-number bins
+    const step = axis.integer ? Math.max(1, Math.ceil((hi - lo) / n)) : (hi - lo) / n;
+    if (axis.integer) n = Math.ceil((hi - lo) / step);
+    edges = d3.range(n + 1).map(i => lo + i * step);
+    return {
+        key, axis, n, log, domain: [lo, edges[n]], edges, step,
+        index: v => (v < lo || v > hi ? -1 : Math.min(Math.floor((v - lo) / step), n - 1))
+    };
+}
+
+// One bin's bounds as text, e.g. "400–450 km" or "MEDIUM"
+function formatHeatmapBin(bins, i) {
+    if (bins.categorical) return bins.axis.categories[i];
+    const lo = bins.edges[i];
+    const hi = bins.edges[i + 1];
+    if (bins.axis.integer) return hi - lo === 1 ? `${lo}` : `${lo}–${hi - 1}`;
+    const fmt = bins.log ? d3.format('.3~g') : d3.format(`,.${Math.min(d3.precisionFixed(bins.step), 4)}f`);
+    return `${fmt(lo)}–${fmt(hi)}${heatmapUnitSuffix(bins.axis)}`;
+}
+
+// Cells in row-major order (y, then x) with their per-metric accumulators
+function binHeatmap(sats, xBins, yBins) {
+    const simYear = State.simTime.getUTCFullYear();
+    const cells = Array.from({ length: xBins.n * yBins.n }, () => ({ count: 0, debris: 0, ageSum: 0, aged: 0, groups: null }));
+    let outside = 0;
+
+    sats.forEach(sat => {
+        const xv = heatmapAxisValue(sat, xBins.key);
+        const yv = heatmapAxisValue(sat, yBins.key);
+        const xi = xv === null ? -1 : xBins.index(xv);
+        const yi = yv === null ? -1 : yBins.index(yv);
+        if (xi < 0 || yi < 0) {
+            outside++;
+            return;
+        }
+
+        const cell = cells[yi * xBins.n + xi];
+        cell.count++;
+        if (sat.type === 'DEBRIS') cell.debris++;
+        if (sat.year) {
+            cell.ageSum += simYear - sat.year;
+            cell.aged++;
+        }
+        const group = satGroup(sat);
+        if (group) {
+            if (!cell.groups) cell.groups = new Map();
+            cell.groups.set(group, (cell.groups.get(group) || 0) + 1);
+        }
+    });
+
+    return { cells, outside };
+}
+
+// ============================================================
+//  SCALES
+// ============================================================
+function heatmapPositionScale(bins, range) {
+    if (bins.categorical) return d3.scaleLinear().domain([0, bins.n]).range(range);
+    return (bins.log ? d3.scaleLog() : d3.scaleLinear()).domain(bins.domain).range(range);
+}
+
+function heatmapAxis(axisGen, bins, scale, count) {
+    if (bins.categorical) {
+        return axisGen(scale)
+            .tickValues(d3.range(bins.n).map(i => i + 0.5))
+            .tickFormat(v => bins.axis.categories[Math.floor(v)]);
+    }
+    if (bins.axis.integer) return axisGen(scale).ticks(count).tickFormat(d3.format('d'));
+    if (bins.log) return axisGen(scale).ticks(count, '.2~s');
+    return axisGen(scale).ticks(count).tickFormat(v => v + (bins.axis.unit === '°' ? '°' : ''));
+}
+
+// Colour scale over the non-empty cells' values, plus the scale the
+// legend axis is drawn with
+function heatmapColorScale(values, metric) {
+    const max = d3.max(values) || 0;
+    if (State.heatmapColor === 'quantile' && values.length) {
+        const sorted = values.slice().sort(d3.ascending);
+        return {
+            color: d3.scaleSequentialQuantile(sorted, d3.interpolateInferno),
+            legend: d3.scaleLinear().domain([0, 1]),
+            ticks: axis => axis.tickValues([0, 0.25, 0.5, 0.75, 1])
+                .tickFormat(t => metric.format(d3.quantileSorted(sorted, t)))
+        };
+    }
+    if (State.heatmapColor === 'log') {
+        return {
+            color: d3.scaleSequentialSymlog(d3.interpolateInferno).domain([0, max]).constant(metric.symlog),
+            legend: d3.scaleSymlog().domain([0, max]).constant(metric.symlog),
+            ticks: axis => axis.ticks(5).tickFormat(metric.format)
+        };
+    }
+    return {
+        color: d3.scaleSequential(d3.interpolateInferno).domain([0, max]),
+        legend: d3.scaleLinear().domain([0, max]),
+        ticks: axis => axis.ticks(5).tickFormat(metric.format)
+    };
+}
+
+// ============================================================
+//  RENDER
+// ============================================================
 function renderHeatmap() {
+    if ((State.heatmapX === 'alt' || State.heatmapY === 'alt') && awaitCurrentPositions(renderHeatmap)) return;
+
     const container = document.getElementById('heatmap-chart');
     container.innerHTML = '';
 
@@ -18,79 +266,84 @@ function renderHeatmap() {
         .append('g')
         .attr('transform', `translate(${margin.left},${margin.top})`);
 
-    // --- Data: bin by altitude × inclination ---
-    const altMax = 2000;   // Focus on LEO for density
-    const altBins = 40;
-    const incBins = 36;    // 0–180 degrees, 5° steps
-    const altStep = altMax / altBins;
-    const incStep = 180 / incBins;
-
-    // Build 2D bin grid
-    const grid = [];
-    const countMatrix = Array.from({ length: altBins }, () => Array(incBins).fill(0));
-
-    State.satellites.forEach(sat => {
-        if (sat.alt < 0 || sat.alt > altMax) return;
-        if (sat.inclination < 0 || sat.inclination > 180) return;
+    // --- Data: bin on the two chosen axes ---
+    const xBins = heatmapBins(State.heatmapX, State.heatmapXBins);
+    const yBins = heatmapBins(State.heatmapY, State.heatmapYBins);
+    const metric = HEATMAP_METRICS[State.heatmapMetric];
+    const { cells, outside } = binHeatmap(filteredSatellites(), xBins, yBins);
 
-        const ai = Math.min(Math.floor(sat.alt / altStep), altBins - 1);
-        const ii = Math.min(Math.floor(sat.inclination / incStep), incBins - 1);
-        countMatrix[ai][ii]++;
-    });
+    // Cells holding no selected objects are dimmed while a selection is set
+    const selActive = isSelectionActive();
+    const selCells = selActive ? binHeatmap(selectedSatellites(), xBins, yBins).cells : null;
 
-    let maxCount = 0;
-    for (let ai = 0; ai < altBins; ai++) {
-        for (let ii = 0; ii < incBins; ii++) {
-            const count = countMatrix[ai][ii];
-            if (count > maxCount) maxCount = count;
+    const grid = [];
+    for (let yi = 0; yi < yBins.n; yi++) {
+        for (let xi = 0; xi < xBins.n; xi++) {
+            const cell = cells[yi * xBins.n + xi];
             grid.push({
-                altBin: ai,
-                incBin: ii,
-                altLow: ai * altStep,
-                altHigh: (ai + 1) * altStep,
-                incLow: ii * incStep,
-                incHigh: (ii + 1) * incStep,
-                count: count
+                xi, yi,
+                x0: xBins.edges[xi], x1: xBins.edges[xi + 1],
+                y0: yBins.edges[yi], y1: yBins.edges[yi + 1],
+                count: cell.count,
+                value: cell.count ? metric.value(cell) : null,
+                groups: cell.groups,
+                selected: selActive ? selCells[yi * xBins.n + xi].count : null
             });
         }
     }
+    const selectionCell = d => ({ [xBins.key]: [d.x0, d.x1], [yBins.key]: [d.y0, d.y1] });
 
     // --- Scales ---
-    const x = d3.scaleLinear().domain([0, 180]).range([0, width]);
-    const y = d3.scaleLinear().domain([0, altMax]).range([height, 0]);
-
-    // Color scale: dark blue → orange → bright yellow
-    const color = d3.scaleSequential()
-        .domain([0, maxCount])
-        .interpolator(d3.interpolateInferno);
+    const x = heatmapPositionScale(xBins, [0, width]);
+    const y = heatmapPositionScale(yBins, [height, 0]);
+    const values = grid.filter(d => d.value !== null).map(d => d.value);
+    const { color, legend, ticks } = heatmapColorScale(values, metric);
 
     // --- Title ---
+    const xLabel = heatmapAxisLabel(xBins.key);
+    const yLabel = heatmapAxisLabel(yBins.key);
+    const ranged = isRangedAxis(xBins.key) || isRangedAxis(yBins.key);
     svg.append('text')
         .attr('class', 'chart-title')
         .attr('x', width / 2)
         .attr('y', -margin.top / 2 + 5)
-        .text('Orbital Regime Congestion — Altitude vs. Inclination (LEO)');
+        .text(`${metric.title} — ${yLabel} vs. ${xLabel}` +
+            (ranged ? ` (${HEATMAP_RANGE_LABELS[State.heatmapRange]})` : ''));
 
-    // --- Heatmap cells ---
-    const cellW = width / incBins;
-    const cellH = height / altBins;
+    if (outside) {
+        svg.append('text')
+            .attr('x', width)
+            .attr('y', -6)
+            .attr('fill', '#667')
+            .attr('font-size', '0.7rem')
+            .attr('text-anchor', 'end')
+            .text(`${outside.toLocaleString()} objects outside the axes`);
+    }
 
+    // --- Heatmap cells ---
     svg.selectAll('.heatmap-cell')
         .data(grid)
         .enter().append('rect')
         .attr('class', 'heatmap-cell')
-        .attr('x', d => x(d.incLow))
-        .attr('y', d => y(d.altHigh))
-        .attr('width', cellW)
-        .attr('height', cellH)
-        .attr('fill', d => d.count === 0 ? '#0a0f1c' : color(d.count))
+        .classed('dimmed', d => selActive && !d.selected)
+        .classed('picked', d => isSelectionCell(selectionCell(d)))
+        .attr('x', d => x(d.x0))
+        .attr('y', d => y(d.y1))
+        .attr('width', d => x(d.x1) - x(d.x0))
+        .attr('height', d => y(d.y0) - y(d.y1))
+        .attr('fill', d => d.value === null ? '#0a0f1c' : color(d.value))
         .on('mouseover', function (event, d) {
-            d3.select(this).attr('stroke', '#fff').attr('stroke-width', 2);
+            d3.select(this).classed('hover', true);
             showTooltip(
-                `<strong>Regime Cell</strong>\n` +
-                `Altitude: ${Math.round(d.altLow)}–${Math.round(d.altHigh)} km\n` +
-                `Inclination: ${d.incLow.toFixed(0)}°–${d.incHigh.toFixed(0)}°\n\n` +
-                `<strong>Objects: ${d.count}</strong>`,
+                `<strong>Cell</strong>\n` +
+                `${yLabel}: ${formatHeatmapBin(yBins, d.yi)}\n` +
+                `${xLabel}: ${formatHeatmapBin(xBins, d.xi)}\n\n` +
+                `<strong>Objects: ${d.count}</strong>` +
+                (State.heatmapMetric !== 'count' && d.value !== null ? `\n${metric.label}: ${metric.format(d.value)}` : '') +
+                (d.groups ? '\n' + Array.from(d.groups).sort((a, b) => b[1] - a[1])
+                    .map(([g, n]) => `${g.name}: ${n}`).join('\n') : '') +
+                (selActive ? `\nSelected: ${d.selected}` : '') +
+                `\n\nClick to ${isSelectionCell(selectionCell(d)) ? 'remove from' : 'add to'} selection`,
                 event.pageX, event.pageY
             );
         })
@@ -100,33 +353,41 @@ function renderHeatmap() {
             tt.style.top = (event.pageY - 10) + 'px';
         })
         .on('mouseout', function () {
-            d3.select(this).attr('stroke', '#0a0f1c').attr('stroke-width', 0.5);
+            d3.select(this).classed('hover', false);
+            hideTooltip();
+        })
+        .on('click', (event, d) => {
             hideTooltip();
+            toggleSelectionCell(selectionCell(d));
         });
 
+    // Picked cells drawn last so their outline isn't covered by neighbours
+    svg.selectAll('.heatmap-cell.picked').raise();
+
     // --- Axes ---
     svg.append('g')
         .attr('class', 'axis')
         .attr('transform', `translate(0,${height})`)
-        .call(d3.axisBottom(x).ticks(12).tickFormat(d => d + '°'));
+        .call(heatmapAxis(d3.axisBottom, xBins, x, 12));
 
     svg.append('g')
         .attr('class', 'axis')
-        .call(d3.axisLeft(y).ticks(10));
+        .call(heatmapAxis(d3.axisLeft, yBins, y, 10));
 
     // --- Axis Labels ---
+    const unit = bins => (bins.axis.unit === '°' ? ' (degrees)' : bins.axis.unit ? ` (${bins.axis.unit})` : '');
     svg.append('text')
         .attr('class', 'axis-label')
         .attr('x', width / 2)
         .attr('y', height + margin.bottom * 0.65)
-        .text('Inclination (degrees)');
+        .text(xLabel + unit(xBins));
 
     svg.append('text')
         .attr('class', 'axis-label')
         .attr('transform', 'rotate(-90)')
         .attr('y', -margin.left + 20)
         .attr('x', -height / 2)
-        .text('Altitude (km)');
+        .text(yLabel + unit(yBins));
 
     // --- Color Legend ---
     const legendWidth = 20;
@@ -134,7 +395,7 @@ function renderHeatmap() {
     const legendX = width + 30;
     const legendY = (height - legendHeight) / 2;
 
-    // Gradient
+    // Gradient: every normalisation spreads the same ramp over the legend
     const defs = svg.append('defs');
     const gradient = defs.append('linearGradient')
         .attr('id', 'heatmap-gradient')
@@ -145,7 +406,7 @@ function renderHeatmap() {
     for (let i = 0; i <= nStops; i++) {
         gradient.append('stop')
             .attr('offset', `${(i / nStops) * 100}%`)
-            .attr('stop-color', color((i / nStops) * maxCount));
+            .attr('stop-color', d3.interpolateInferno(i / nStops));
     }
 
     svg.append('rect')
@@ -157,35 +418,44 @@ function renderHeatmap() {
         .attr('rx', 3);
 
     // Legend scale
-    const legendScale = d3.scaleLinear()
-        .domain([0, maxCount])
-        .range([legendHeight, 0]);
-
     svg.append('g')
         .attr('class', 'axis')
         .attr('transform', `translate(${legendX + legendWidth + 4},${legendY})`)
-        .call(d3.axisRight(legendScale).ticks(5).tickSize(3));
+        .call(ticks(d3.axisRight(legend.range([legendHeight, 0])).tickSize(3)));
 
     svg.append('text')
         .attr('fill', '#667')
         .attr('font-size', '0.7rem')
         .attr('text-anchor', 'middle')
         .attr('transform', `translate(${legendX + legendWidth / 2},${legendY - 10})`)
-        .text('Count');
+        .text(metric.legend + (State.heatmapColor === 'quantile' ? ' (quantile)' : ''));
 
     // --- Annotation: key orbital regimes ---
-    // ISS (408 km, 51.6°)
-    addHeatmapAnnotation(svg, x, y, 51.6, 408, 'ISS', '#2ecc71');
-    // SSO (800 km, 98.7°)
-    addHeatmapAnnotation(svg, x, y, 98.7, 800, 'SSO', '#e74c3c');
-    // Starlink (550 km, 53°)
-    addHeatmapAnnotation(svg, x, y, 53, 550, 'Starlink', '#f5a623');
-}
+    HEATMAP_ANNOTATIONS.forEach(a => {
+        const xv = a[xBins.key];
+        const yv = a[yBins.key];
+        if (xv === undefined || yv === undefined || xBins.index(xv) < 0 || yBins.index(yv) < 0) return;
+        addHeatmapAnnotation(svg, x(xv), y(yv), a.label, a.color);
+    });
 
-function addHeatmapAnnotation(svg, x, y, inc, alt, label, color) {
-    const cx = x(inc);
-    const cy = y(alt);
+    // --- Annotation: densest cell of the largest groups ---
+    const groupCells = new Map();    // group → { total, cell, n }
+    grid.forEach(d => d.groups && d.groups.forEach((n, g) => {
+        const e = groupCells.get(g) || { total: 0, cell: null, n: 0 };
+        e.total += n;
+        if (n > e.n) Object.assign(e, { cell: d, n });
+        groupCells.set(g, e);
+    }));
+    Array.from(groupCells)
+        .filter(([, e]) => e.total >= HEATMAP_GROUP_MIN)
+        .sort((a, b) => b[1].total - a[1].total)
+        .slice(0, HEATMAP_GROUP_LABELS)
+        .forEach(([g, e]) => addHeatmapAnnotation(svg,
+            (x(e.cell.x0) + x(e.cell.x1)) / 2, (y(e.cell.y0) + y(e.cell.y1)) / 2,
+            `${g.name} · ${e.total.toLocaleString()}`, g.color));
+}
 
+function addHeatmapAnnotation(svg, cx, cy, label, color) {
     svg.append('circle')
         .attr('cx', cx)
         .attr('cy', cy)
@@ -201,4 +471,142 @@ function addHeatmapAnnotation(svg, x, y, inc, alt, label, color) {
         .attr('font-size', '0.72rem')
         .attr('font-weight', '600')
         .text(label);
-}
\ No newline at end of file
+}
+
+// ============================================================
+//  CONTROLS
+// ============================================================
+// Sync the controls with State (after a URL restore too)
+function renderHeatmapControls() {
+    document.getElementById('heatmap-x').value = State.heatmapX;
+    document.getElementById('heatmap-y').value = State.heatmapY;
+    document.getElementById('heatmap-metric').value = State.heatmapMetric;
+    setActiveButton('.heat-range-btn', 'range', State.heatmapRange);
+    setActiveButton('.heat-color-btn', 'color', State.heatmapColor);
+
+    [['x', State.heatmapX, State.heatmapXBins], ['y', State.heatmapY, State.heatmapYBins]].forEach(([axis, key, n]) => {
+        const slider = document.getElementById(`heatmap-${axis}-bins`);
+        slider.value = n;
+        slider.disabled = !!HEATMAP_AXES[key].categories;
+        document.getElementById(`heatmap-${axis}-bins-label`).textContent =
+            HEATMAP_AXES[key].categories ? 'by category' : n;
+    });
+}
+
+function heatmapChanged() {
+    renderHeatmapControls();
+    pruneHeatmapSelection();
+    if (State.currentViz === 'heatmap') renderHeatmap();
+}
+
+// Selected cells only make sense on the grid they were picked from: after
+// an axis, bin or range change, drop those that are no longer grid cells
+function pruneHeatmapSelection() {
+    const cells = State.selection.cells;
+    if (!cells.length) return;
+
+    const grid = [heatmapBins(State.heatmapX, State.heatmapXBins), heatmapBins(State.heatmapY, State.heatmapYBins)];
+    const onGrid = cell => Object.keys(cell).length === 2 && grid.every(bins => {
+        const range = cell[bins.key];
+        return range && bins.edges.some((e, i) => i < bins.n && e === range[0] && bins.edges[i + 1] === range[1]);
+    });
+
+    const kept = cells.filter(onGrid);
+    if (kept.length === cells.length) return;
+    State.selection.cells = kept;
+    selectionVersion++;
+    renderSelectionBar(); // the heatmap itself is redrawn by the caller
+}
+
+function attachHeatmapListeners() {
+    // Picking the other axis's element swaps the two
+    ['x', 'y'].forEach(axis => {
+        document.getElementById(`heatmap-${axis}`).addEventListener('change', (e) => {
+            const mine = axis === 'x' ? 'heatmapX' : 'heatmapY';
+            const other = axis === 'x' ? 'heatmapY' : 'heatmapX';
+            if (e.target.value === State[other]) State[other] = State[mine];
+            State[mine] = e.target.value;
+            heatmapChanged();
+        });
+
+        document.getElementById(`heatmap-${axis}-bins`).addEventListener('input', (e) => {
+            State[axis === 'x' ? 'heatmapXBins' : 'heatmapYBins'] = parseInt(e.target.value, 10);
+            heatmapChanged();
+        });
+    });
+
+    document.getElementById('heatmap-metric').addEventListener('change', (e) => {
+        State.heatmapMetric = e.target.value;
+        heatmapChanged();
+    });
+
+    document.querySelectorAll('.heat-range-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            State.heatmapRange = btn.dataset.range;
+            heatmapChanged();
+        });
+    });
+
+    document.querySelectorAll('.heat-color-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            State.heatmapColor = btn.dataset.color;
+            heatmapChanged();
+        });
+    });
+
+    renderHeatmapControls();
+}
+
+// ============================================================
+//  URL FIELDS
+// ============================================================
+URL_FIELDS.push(
+    {
+        key: 'haxes',
+        get: () => `${State.heatmapX},${State.heatmapY}`,
+        set: v => {
+            const [xKey, yKey] = v.split(',');
+            if (Object.hasOwn(HEATMAP_AXES, xKey) && Object.hasOwn(HEATMAP_AXES, yKey) && xKey !== yKey) {
+                State.heatmapX = xKey;
+                State.heatmapY = yKey;
+            }
+            renderHeatmapControls();
+        }
+    },
+    {
+        key: 'hbins',
+        get: () => `${State.heatmapXBins}x${State.heatmapYBins}`,
+        set: v => {
+            const [nx, ny] = v.split('x').map(n => parseInt(n, 10));
+            if (nx > 0 && ny > 0) {
+                State.heatmapXBins = Math.min(nx, 120);
+                State.heatmapYBins = Math.min(ny, 120);
+            }
+            renderHeatmapControls();
+        }
+    },
+    {
+        key: 'hrange',
+        get: () => State.heatmapRange,
+        set: v => {
+            State.heatmapRange = Object.hasOwn(HEATMAP_RANGE_LABELS, v) ? v : 'leo';
+            renderHeatmapControls();
+        }
+    },
+    {
+        key: 'hmetric',
+        get: () => State.heatmapMetric,
+        set: v => {
+            State.heatmapMetric = Object.hasOwn(HEATMAP_METRICS, v) ? v : 'count';
+            renderHeatmapControls();
+        }
+    },
+    {
+        key: 'hcolor',
+        get: () => State.heatmapColor,
+        set: v => {
+            State.heatmapColor = ['linear', 'log', 'quantile'].includes(v) ? v : 'linear';
+            renderHeatmapControls();
+        }
+    }
+);
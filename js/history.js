@@ -0,0 +1,650 @@
+// ============================================================
+//  HISTORY.JS — Dated catalog snapshots and population playback (Viz 9)
+// ============================================================
+//  Several catalogs (one file per date) are kept side by side and stepped
+//  through in date order. Each frame shows one snapshot's altitude
+//  histogram and altitude × inclination map, split into objects carried
+//  over from the previous snapshot, objects new since then and objects
+//  gone since then, matched by NORAD number. Unlike the timeline's launch
+//  years, this is when objects actually entered and left the catalog.
+
+const HISTORY_HEAT_ALT_MAX = 2000;   // LEO, as on the Orbital Regime Map
+const HISTORY_HEAT_ALT_BINS = 40;
+const HISTORY_HEAT_INC_BINS = 36;
+const HISTORY_COLORS = { kept: '#648FFF', added: '#2ecc71', removed: '#e74c3c' };
+
+let historySnapshots = [];        // [{ id, label, date, objects, norads }], oldest first
+let historyNextId = 1;
+let historyFrame = 0;             // index into historySnapshots
+let historyTimer = null;
+let historyStepMs = 1000;
+let historyHeatMode = 'density';  // 'density' or 'change' (new minus gone per cell)
+let historyCache = null;          // { snapshots, filters, metric, range, frames }
+let historyCharts = null;         // scales and groups of the drawn charts
+
+// ============================================================
+//  SNAPSHOTS
+// ============================================================
+// Snapshots keep only what the filters and charts read, not the satrecs
+function snapshotObject(sat) {
+    return {
+        norad: sat.norad,
+        name: sat.name,
+        type: sat.type,
+        country: sat.country,
+        rcs: sat.rcs,
+        year: sat.year,
+        perigee: sat.perigee,
+        apogee: sat.apogee,
+        meanAlt: sat.meanAlt,
+        inclination: sat.inclination,
+        regime: sat.regime
+    };
+}
+
+// A date in the file name (2015-06-01, 20150601 or a bare year) wins;
+// otherwise the newest TLE epoch, i.e. roughly when the catalog was pulled
+function snapshotDate(filename, sats) {
+    const m = /(19[5-9]\d|20\d\d)(?:[-_]?(\d\d)[-_]?(\d\d))?/.exec(filename || '');
+    if (m) {
+        const month = m[2] ? +m[2] : 1;
+        const day = m[3] ? +m[3] : 1;
+        return month >= 1 && month <= 12 && day >= 1 && day <= 31
+            ? new Date(Date.UTC(+m[1], month - 1, day))
+            : new Date(Date.UTC(+m[1], 0, 1));
+    }
+    const jd = d3.max(sats, s => s.rec.jdsatepoch);
+    return jd ? new Date((jd - 2440587.5) * 86400000) : null;
+}
+
+function addHistorySnapshot(label, date, sats) {
+    const objects = sats.filter(s => !s.simulated).map(snapshotObject);
+    const snap = {
+        id: historyNextId++,
+        label,
+        date,
+        objects,
+        norads: new Set(objects.map(o => o.norad))
+    };
+    historySnapshots = historySnapshots.concat(snap).sort((a, b) => a.date - b.date);
+    historyFrame = historySnapshots.indexOf(snap);
+    return snap;
+}
+
+function removeHistorySnapshot(id) {
+    historySnapshots = historySnapshots.filter(s => s.id !== id);
+    historyFrame = Math.max(0, Math.min(historyFrame, historySnapshots.length - 1));
+}
+
+// Resolves to one message per file that could not be added
+function loadHistoryFiles(files) {
+    return Promise.all(Array.from(files).map(file =>
+        loadCatalogFromFile(file).then(({ rows }) => {
+            const sats = [];
+            processData(rows, sats);
+            const date = snapshotDate(file.name, sats);
+            if (!date) throw new Error('no date in the file name and no TLE epochs');
+            addHistorySnapshot(file.name, date, sats);
+            return null;
+        }).catch(err => `${file.name}: ${err.message}`)
+    )).then(errors => errors.filter(Boolean));
+}
+
+// ============================================================
+//  FRAMES
+// ============================================================
+// 'current' has no meaning for an old catalog; fall back to mean altitude
+function historyMetric() {
+    return State.altMetric === 'current' ? 'mean' : State.altMetric;
+}
+
+// Same ranges and bins as the altitude histogram
+function historyAltDomain() {
+    return State.altRange === 'leo'
+        ? { min: 150, max: 2000, bins: 50 }
+        : { min: 150, max: 45000, bins: 80 };
+}
+
+function historyCellIndex(o, metric) {
+    const alt = getSatAltitude(o, metric);
+    if (alt === null || alt < 0 || alt > HISTORY_HEAT_ALT_MAX) return -1;
+    if (o.inclination < 0 || o.inclination > 180) return -1;
+    const ai = Math.min(Math.floor(alt / (HISTORY_HEAT_ALT_MAX / HISTORY_HEAT_ALT_BINS)), HISTORY_HEAT_ALT_BINS - 1);
+    const ii = Math.min(Math.floor(o.inclination / (180 / HISTORY_HEAT_INC_BINS)), HISTORY_HEAT_INC_BINS - 1);
+    return ai * HISTORY_HEAT_INC_BINS + ii;
+}
+
+// Per snapshot: filtered objects, which of them are new to the catalog,
+// which of the previous snapshot's objects have left it, and both binned
+// for the two charts. Cached until the snapshots, filters or bins change.
+function historyFrames() {
+    const metric = historyMetric();
+    const c = historyCache;
+    if (c && c.snapshots === historySnapshots && c.filters === filterVersion &&
+        c.metric === metric && c.range === State.altRange) {
+        return c.frames;
+    }
+
+    const dom = historyAltDomain();
+    const binner = d3.bin()
+        .value(o => getSatAltitude(o, metric))
+        .domain([dom.min, dom.max])
+        .thresholds(d3.scaleLinear().domain([dom.min, dom.max]).ticks(dom.bins));
+    const inRange = o => {
+        const alt = getSatAltitude(o, metric);
+        return alt !== null && alt >= dom.min && alt <= dom.max;
+    };
+    const nCells = HISTORY_HEAT_ALT_BINS * HISTORY_HEAT_INC_BINS;
+
+    let prev = null;
+    const frames = historySnapshots.map(snap => {
+        const objects = snap.objects.filter(o => passesFilters(o));
+        const added = prev ? objects.filter(o => !prev.snap.norads.has(o.norad)) : [];
+        const removed = prev ? prev.objects.filter(o => !snap.norads.has(o.norad)) : [];
+        const addedSet = new Set(added);
+
+        const removedBins = binner(removed.filter(inRange));
+        const bins = binner(objects.filter(inRange)).map((b, i) => {
+            const nAdded = b.filter(o => addedSet.has(o)).length;
+            return { x0: b.x0, x1: b.x1, total: b.length, added: nAdded, kept: b.length - nAdded, removed: removedBins[i].length };
+        });
+
+        const density = new Array(nCells).fill(0);
+        const change = new Array(nCells).fill(0);
+        objects.forEach(o => {
+            const k = historyCellIndex(o, metric);
+            if (k >= 0) density[k]++;
+        });
+        added.forEach(o => {
+            const k = historyCellIndex(o, metric);
+            if (k >= 0) change[k]++;
+        });
+        removed.forEach(o => {
+            const k = historyCellIndex(o, metric);
+            if (k >= 0) change[k]--;
+        });
+
+        const frame = { snap, objects, added, removed, bins, density, change };
+        prev = frame;
+        return frame;
+    });
+
+    historyCache = { snapshots: historySnapshots, filters: filterVersion, metric, range: State.altRange, frames };
+    return frames;
+}
+
+// ============================================================
+//  RENDERING
+// ============================================================
+function renderHistory() {
+    renderHistoryPanel();
+
+    historyCharts = null;
+    const boxes = ['history-alt', 'history-heatmap', 'history-population'];
+    boxes.forEach(id => { document.getElementById(id).innerHTML = ''; });
+
+    if (historySnapshots.length === 0) {
+        d3.select('#history-alt').append('div')
+            .attr('class', 'table-empty')
+            .text('No snapshots yet. Load one catalog file per date (TLE, OMM or CSV), or add the loaded catalog as one.');
+        return;
+    }
+
+    const frames = historyFrames();
+    historyCharts = {
+        alt: buildHistoryHistogram(frames),
+        heat: buildHistoryHeatmap(frames),
+        population: buildHistoryPopulation(frames)
+    };
+    drawHistoryFrame(false);
+}
+
+function chartFrame(id, margin) {
+    const container = document.getElementById(id);
+    const W = container.clientWidth;
+    const H = container.clientHeight;
+    const width = W - margin.left - margin.right;
+    const height = H - margin.top - margin.bottom;
+    if (width <= 0 || height <= 0) return null;
+
+    const svg = d3.select(container).append('svg')
+        .attr('width', W)
+        .attr('height', H)
+        .append('g')
+        .attr('transform', `translate(${margin.left},${margin.top})`);
+    return { svg, width, height };
+}
+
+// --- Histogram: kept + new stacked upwards, gone hanging below zero ---
+function buildHistoryHistogram(frames) {
+    const margin = { top: 34, right: 16, bottom: 44, left: 56 };
+    const f = chartFrame('history-alt', margin);
+    if (!f) return null;
+    const { svg, width, height } = f;
+    const dom = historyAltDomain();
+
+    // One y scale for every frame, so growth shows as growth
+    const yMax = d3.max(frames, fr => d3.max(fr.bins, b => b.total)) || 1;
+    const yMin = d3.max(frames, fr => d3.max(fr.bins, b => b.removed)) || 0;
+
+    const x = d3.scaleLinear().domain([dom.min, dom.max]).range([0, width]);
+    const y = d3.scaleLinear().domain([-yMin, yMax]).nice().range([height, 0]);
+
+    const title = svg.append('text')
+        .attr('class', 'chart-title')
+        .attr('x', width / 2)
+        .attr('y', -14);
+
+    const bars = svg.append('g');
+
+    svg.append('line')
+        .attr('class', 'history-zero')
+        .attr('x1', 0).attr('x2', width)
+        .attr('y1', y(0)).attr('y2', y(0));
+
+    svg.append('g')
+        .attr('class', 'axis')
+        .attr('transform', `translate(0,${height})`)
+        .call(d3.axisBottom(x).ticks(8).tickFormat(d => (d >= 1000 ? (d / 1000) + 'k' : d)));
+
+    svg.append('g')
+        .attr('class', 'axis')
+        .call(d3.axisLeft(y).ticks(6).tickFormat(d => Math.abs(d)));
+
+    svg.append('text')
+        .attr('class', 'axis-label')
+        .attr('x', width / 2)
+        .attr('y', height + 36)
+        .text(ALT_METRIC_LABELS[historyMetric()] + ' (km)');
+
+    svg.append('text')
+        .attr('class', 'axis-label')
+        .attr('transform', 'rotate(-90)')
+        .attr('y', -42)
+        .attr('x', -height / 2)
+        .text('Objects (gone below zero)');
+
+    return { x, y, title, bars };
+}
+
+// --- Altitude × inclination cells, coloured per frame ---
+function buildHistoryHeatmap(frames) {
+    const margin = { top: 34, right: 70, bottom: 44, left: 56 };
+    const f = chartFrame('history-heatmap', margin);
+    if (!f) return null;
+    const { svg, width, height } = f;
+
+    const x = d3.scaleLinear().domain([0, 180]).range([0, width]);
+    const y = d3.scaleLinear().domain([0, HISTORY_HEAT_ALT_MAX]).range([height, 0]);
+
+    // Fixed colour domain across frames, like the histogram's y scale
+    let color;
+    if (historyHeatMode === 'change') {
+        const m = d3.max(frames, fr => d3.max(fr.change, Math.abs)) || 1;
+        color = d3.scaleDiverging()
+            .domain([-m, 0, m])
+            .interpolator(d3.interpolateRgbBasis([HISTORY_COLORS.removed, '#0a0f1c', HISTORY_COLORS.added]));
+    } else {
+        color = d3.scaleSequential()
+            .domain([0, d3.max(frames, fr => d3.max(fr.density)) || 1])
+            .interpolator(d3.interpolateInferno);
+    }
+
+    svg.append('text')
+        .attr('class', 'chart-title')
+        .attr('x', width / 2)
+        .attr('y', -14)
+        .text(historyHeatMode === 'change'
+            ? 'Net Change per Regime Cell (new − gone, LEO)'
+            : 'Objects per Regime Cell (LEO)');
+
+    const cellW = width / HISTORY_HEAT_INC_BINS;
+    const cellH = height / HISTORY_HEAT_ALT_BINS;
+    const cells = svg.append('g').selectAll('rect')
+        .data(d3.range(HISTORY_HEAT_ALT_BINS * HISTORY_HEAT_INC_BINS))
+        .enter().append('rect')
+        .attr('class', 'heatmap-cell')
+        .attr('x', k => (k % HISTORY_HEAT_INC_BINS) * cellW)
+        .attr('y', k => height - (Math.floor(k / HISTORY_HEAT_INC_BINS) + 1) * cellH)
+        .attr('width', cellW)
+        .attr('height', cellH)
+        .attr('fill', '#0a0f1c')
+        .on('mousemove', (event, k) => {
+            const frame = historyFrames()[historyFrame];
+            const altStep = HISTORY_HEAT_ALT_MAX / HISTORY_HEAT_ALT_BINS;
+            const incStep = 180 / HISTORY_HEAT_INC_BINS;
+            const ai = Math.floor(k / HISTORY_HEAT_INC_BINS);
+            const ii = k % HISTORY_HEAT_INC_BINS;
+            const change = frame.change[k];
+            showTooltip(
+                `<strong>Regime Cell</strong>\n` +
+                `Altitude: ${ai * altStep}–${(ai + 1) * altStep} km\n` +
+                `Inclination: ${ii * incStep}°–${(ii + 1) * incStep}°\n\n` +
+                `<strong>Objects: ${frame.density[k]}</strong>` +
+                (historyFrame > 0 ? `\nNet change: ${change > 0 ? '+' : ''}${change}` : ''),
+                event.pageX, event.pageY
+            );
+        })
+        .on('mouseout', hideTooltip);
+
+    svg.append('g')
+        .attr('class', 'axis')
+        .attr('transform', `translate(0,${height})`)
+        .call(d3.axisBottom(x).ticks(6).tickFormat(d => d + '°'));
+
+    svg.append('g')
+        .attr('class', 'axis')
+        .call(d3.axisLeft(y).ticks(6));
+
+    svg.append('text')
+        .attr('class', 'axis-label')
+        .attr('x', width / 2)
+        .attr('y', height + 36)
+        .text('Inclination (degrees)');
+
+    svg.append('text')
+        .attr('class', 'axis-label')
+        .attr('transform', 'rotate(-90)')
+        .attr('y', -42)
+        .attr('x', -height / 2)
+        .text(ALT_METRIC_LABELS[historyMetric()] + ' (km)');
+
+    // Colour legend
+    const legendH = height * 0.6;
+    const legendX = width + 16;
+    const legendY = (height - legendH) / 2;
+    const [lo, hi] = d3.extent(color.domain());
+    const gradient = svg.append('defs').append('linearGradient')
+        .attr('id', 'history-gradient')
+        .attr('x1', '0%').attr('y1', '100%')
+        .attr('x2', '0%').attr('y2', '0%');
+    for (let i = 0; i <= 10; i++) {
+        gradient.append('stop')
+            .attr('offset', `${i * 10}%`)
+            .attr('stop-color', color(lo + (hi - lo) * i / 10));
+    }
+
+    svg.append('rect')
+        .attr('x', legendX)
+        .attr('y', legendY)
+        .attr('width', 14)
+        .attr('height', legendH)
+        .attr('rx', 3)
+        .style('fill', 'url(#history-gradient)');
+
+    svg.append('g')
+        .attr('class', 'axis')
+        .attr('transform', `translate(${legendX + 18},${legendY})`)
+        .call(d3.axisRight(d3.scaleLinear().domain([lo, hi]).range([legendH, 0])).ticks(5).tickSize(3));
+
+    return { color, cells };
+}
+
+// --- Catalog size per snapshot; the current frame is marked ---
+function buildHistoryPopulation(frames) {
+    const margin = { top: 28, right: 24, bottom: 30, left: 56 };
+    const f = chartFrame('history-population', margin);
+    if (!f) return null;
+    const { svg, width, height } = f;
+
+    let [d0, d1] = d3.extent(frames, fr => fr.snap.date);
+    if (+d0 === +d1) {
+        d0 = d3.utcMonth.offset(d0, -6);
+        d1 = d3.utcMonth.offset(d1, 6);
+    }
+    const x = d3.scaleUtc().domain([d0, d1]).range([0, width]);
+    const y = d3.scaleLinear().domain([0, d3.max(frames, fr => fr.objects.length) || 1]).nice().range([height, 0]);
+
+    svg.append('text')
+        .attr('class', 'chart-title')
+        .attr('x', width / 2)
+        .attr('y', -12)
+        .text('Filtered Catalog Size per Snapshot');
+
+    const marker = svg.append('line')
+        .attr('class', 'history-marker')
+        .attr('y1', 0)
+        .attr('y2', height);
+
+    svg.append('path')
+        .datum(frames)
+        .attr('class', 'decline-line')
+        .attr('d', d3.line().x(fr => x(fr.snap.date)).y(fr => y(fr.objects.length)));
+
+    svg.selectAll('.history-point')
+        .data(frames)
+        .enter().append('circle')
+        .attr('class', 'history-point')
+        .attr('cx', fr => x(fr.snap.date))
+        .attr('cy', fr => y(fr.objects.length))
+        .attr('r', 5)
+        .on('mouseover', (event, fr) => {
+            showTooltip(
+                `<strong>${fr.snap.label}</strong>\n${fr.snap.date.toISOString().slice(0, 10)}\n\n` +
+                `Objects: ${fr.objects.length.toLocaleString()}\n` +
+                `New: +${fr.added.length.toLocaleString()}\n` +
+                `Gone: −${fr.removed.length.toLocaleString()}\n\nClick to show this snapshot`,
+                event.pageX, event.pageY
+            );
+        })
+        .on('mouseout', hideTooltip)
+        .on('click', (event, fr) => {
+            stopHistory();
+            setHistoryFrame(frames.indexOf(fr), true);
+        });
+
+    svg.append('g')
+        .attr('class', 'axis')
+        .attr('transform', `translate(0,${height})`)
+        .call(d3.axisBottom(x).ticks(Math.max(2, Math.floor(width / 90))));
+
+    svg.append('g')
+        .attr('class', 'axis')
+        .call(d3.axisLeft(y).ticks(4));
+
+    return { x, marker };
+}
+
+// Move every chart to the current frame, with a transition while playing
+function drawHistoryFrame(animate) {
+    if (!historyCharts) return;
+    const frames = historyFrames();
+    const frame = frames[historyFrame];
+    const ms = Math.min(600, historyStepMs * 0.6);
+    const tr = sel => (animate ? sel.transition().duration(ms) : sel);
+
+    const date = frame.snap.date.toISOString().slice(0, 10);
+    document.getElementById('history-date').textContent =
+        `${date} · ${frame.snap.label} (${historyFrame + 1} of ${frames.length})`;
+
+    const alt = historyCharts.alt;
+    if (alt) {
+        alt.title.text(`${date} — ${frame.objects.length.toLocaleString()} objects` +
+            (historyFrame > 0
+                ? ` · +${frame.added.length.toLocaleString()} new · −${frame.removed.length.toLocaleString()} gone`
+                : ''));
+
+        const segments = frame.bins.flatMap((b, i) => [
+            { key: `k${i}`, part: 'kept', bin: i, y0: 0, y1: b.kept },
+            { key: `a${i}`, part: 'added', bin: i, y0: b.kept, y1: b.total },
+            { key: `r${i}`, part: 'removed', bin: i, y0: -b.removed, y1: 0 }
+        ]);
+
+        const rects = alt.bars.selectAll('rect')
+            .data(segments, d => d.key)
+            .join(enter => enter.append('rect')
+                .attr('fill', d => HISTORY_COLORS[d.part])
+                .attr('x', d => alt.x(frame.bins[d.bin].x0) + 1)
+                .attr('width', d => Math.max(0, alt.x(frame.bins[d.bin].x1) - alt.x(frame.bins[d.bin].x0) - 1))
+                .attr('y', alt.y(0))
+                .attr('height', 0)
+                .on('mousemove', (event, d) => {
+                    const b = historyFrames()[historyFrame].bins[d.bin];
+                    showTooltip(
+                        `<strong>Altitude Range</strong>\n${Math.round(b.x0)}–${Math.round(b.x1)} km\n\n` +
+                        `Objects: ${b.total}\nCarried over: ${b.kept}\nNew: +${b.added}\nGone: −${b.removed}`,
+                        event.pageX, event.pageY
+                    );
+                })
+                .on('mouseout', hideTooltip));
+
+        tr(rects)
+            .attr('y', d => alt.y(d.y1))
+            .attr('height', d => Math.max(0, alt.y(d.y0) - alt.y(d.y1)));
+    }
+
+    const heat = historyCharts.heat;
+    if (heat) {
+        const values = historyHeatMode === 'change' ? frame.change : frame.density;
+        tr(heat.cells).attr('fill', k =>
+            historyHeatMode === 'density' && values[k] === 0 ? '#0a0f1c' : heat.color(values[k]));
+    }
+
+    const pop = historyCharts.population;
+    if (pop) {
+        tr(pop.marker)
+            .attr('x1', pop.x(frame.snap.date))
+            .attr('x2', pop.x(frame.snap.date));
+        d3.selectAll('#history-population .history-point')
+            .classed('current', fr => fr === frame);
+    }
+}
+
+// ============================================================
+//  PANEL + PLAYBACK
+// ============================================================
+function renderHistoryPanel() {
+    const list = d3.select('#history-list');
+    list.selectAll('*').remove();
+
+    if (historySnapshots.length === 0) {
+        list.append('div').attr('class', 'status-text').text('No snapshots loaded.');
+    }
+
+    const rows = list.selectAll('.station-row')
+        .data(historySnapshots)
+        .enter().append('div')
+        .attr('class', 'station-row')
+        .classed('selected', (s, i) => i === historyFrame)
+        .on('click', (event, s) => {
+            stopHistory();
+            setHistoryFrame(historySnapshots.indexOf(s), true);
+        });
+
+    rows.append('span').attr('class', 'station-name').text(s => s.date.toISOString().slice(0, 10));
+    rows.append('span').attr('class', 'station-coords')
+        .text(s => `${s.objects.length.toLocaleString()} obj. · ${s.label}`);
+    rows.append('button')
+        .attr('class', 'icon-btn')
+        .attr('title', 'Remove snapshot')
+        .text('✕')
+        .on('click', (event, s) => {
+            event.stopPropagation();
+            stopHistory();
+            removeHistorySnapshot(s.id);
+            renderHistory();
+        });
+
+    const slider = document.getElementById('history-slider');
+    slider.max = Math.max(0, historySnapshots.length - 1);
+    slider.value = historyFrame;
+    slider.disabled = historySnapshots.length < 2;
+    document.getElementById('history-play').disabled = historySnapshots.length < 2;
+    if (historySnapshots.length === 0) document.getElementById('history-date').textContent = '—';
+    setActiveButton('.history-mode-btn', 'mode', historyHeatMode);
+}
+
+function setHistoryFrame(i, animate) {
+    historyFrame = i;
+    document.getElementById('history-slider').value = i;
+    d3.selectAll('#history-list .station-row').classed('selected', (s, j) => j === i);
+    drawHistoryFrame(animate);
+}
+
+function playHistory() {
+    if (historySnapshots.length < 2) return;
+    if (historyFrame >= historySnapshots.length - 1) setHistoryFrame(0, false);
+
+    historyTimer = setInterval(() => {
+        if (State.currentViz !== 'snapshots' || historyFrame >= historySnapshots.length - 1) {
+            stopHistory();
+            return;
+        }
+        setHistoryFrame(historyFrame + 1, true);
+    }, historyStepMs);
+    document.getElementById('history-play').textContent = 'Pause';
+}
+
+function stopHistory() {
+    clearInterval(historyTimer);
+    historyTimer = null;
+    document.getElementById('history-play').textContent = 'Play';
+}
+
+function attachHistoryListeners() {
+    const picker = document.getElementById('history-files');
+    const status = document.getElementById('history-status');
+
+    document.getElementById('history-load').addEventListener('click', () => picker.click());
+    picker.addEventListener('change', () => {
+        if (!picker.files.length) return;
+        const files = Array.from(picker.files);
+        picker.value = ''; // allow re-loading the same files
+        stopHistory();
+        status.textContent = `Loading ${files.length} file${files.length > 1 ? 's' : ''}…`;
+        status.classList.remove('error');
+
+        loadHistoryFiles(files).then(errors => {
+            status.textContent = errors.length
+                ? `Skipped ${errors.join('; ')}`
+                : `${historySnapshots.length} snapshot${historySnapshots.length > 1 ? 's' : ''} loaded.`;
+            status.classList.toggle('error', errors.length > 0);
+            if (State.currentViz === 'snapshots') renderHistory();
+        });
+    });
+
+    document.getElementById('history-add-current').addEventListener('click', () => {
+        const date = snapshotDate(null, State.satellites);
+        if (!date) return;
+        stopHistory();
+        addHistorySnapshot('Loaded catalog', date, State.satellites);
+        renderHistory();
+    });
+
+    document.getElementById('history-play').addEventListener('click', () => {
+        if (historyTimer) stopHistory();
+        else playHistory();
+    });
+
+    document.getElementById('history-speed').addEventListener('change', (e) => {
+        historyStepMs = parseInt(e.target.value, 10) || 1000;
+        if (historyTimer) {
+            stopHistory();
+            playHistory();
+        }
+    });
+
+    document.getElementById('history-slider').addEventListener('input', (e) => {
+        stopHistory();
+        setHistoryFrame(parseInt(e.target.value, 10), false);
+    });
+
+    document.querySelectorAll('.history-mode-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            historyHeatMode = btn.dataset.mode;
+            renderHistory();
+        });
+    });
+}
+
+// ============================================================
+//  URL FIELDS
+// ============================================================
+URL_FIELDS.push({
+    key: 'hmap',
+    get: () => historyHeatMode,
+    set: v => {
+        historyHeatMode = v === 'change' ? 'change' : 'density';
+        setActiveButton('.history-mode-btn', 'mode', historyHeatMode);
+    }
+});
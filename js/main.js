@@ -5,24 +5,74 @@
 // --- Global State ---
 const State = {
     satellites: [],          // Processed satellite objects
+    rejected: [],            // Catalog rows processData left out, see quality.js
     currentViz: 'globe',
     satCount: 5000,          // Number to display on globe
-    timeWarp: 100,           // Time multiplier
+    timeWarp: 100,           // Time multiplier (always positive)
+    timeDirection: 1,        // 1 = forward, -1 = reverse playback
+    paused: false,
     projection3D: true,      // true = 3D globe, false = 2D map
+    globeRenderer: 'canvas', // 'canvas' | 'webgl' (point cloud at true altitude)
     altRange: 'leo',         // 'leo' or 'full'
+    altMetric: 'mean',       // 'mean' | 'perigee' | 'apogee' | 'current' (at sim time)
+    staleDays: 7,            // TLEs further than this from the sim time are stale
+    staleMode: 'dim',        // 'dim' | 'hide' | 'show' (flagged in tooltips only)
+    spacecraft: { area: 10, alt: 550, inc: 53 },   // Collision-risk spacecraft: m², km, degrees
+    heatmapX: 'inc',         // Heatmap axes, keys of HEATMAP_AXES
+    heatmapY: 'alt',
+    heatmapXBins: 36,
+    heatmapYBins: 40,
+    heatmapRange: 'leo',     // 'leo' | 'full' | 'log' for altitude, period, eccentricity
+    heatmapMetric: 'count',  // 'count' | 'debris' (share) | 'age' (mean years since launch)
+    heatmapColor: 'linear',  // 'linear' | 'log' | 'quantile' colour normalisation
     timelineMode: 'yearly',  // 'yearly' or 'cumulative'
+    colorBy: 'none',         // Stack altitude/timeline bars by 'type' | 'country' | 'rcs' | 'group'
+    stackMode: 'count',      // 'count' or 'share' (each bar normalized to 100%)
+    hiddenCategories: [],    // Breakdown categories toggled off in the legend
+    hiddenGroups: [],        // Group ids dropped from every view, see groups.js
+    colorGroups: true,       // Globe and map dots in their group's colour
     showLEO: true,
     showMEO: true,
     showGEO: true,
+    showHEO: true,
+    showGTO: true,
+    filters: {               // Facet selections (empty = all) and [min, max] ranges, see filters.js
+        type: [], rcs: [], country: [],
+        year: [null, null], alt: [null, null], inc: [null, null]
+    },
+    selection: {             // Linked brushing across the charts, see selection.js
+        alt: null,           // [min, max] km, brushed on the altitude histogram
+        cells: [],           // heatmap cells { <axis>: [lo, hi] } on its two axes
+        years: null          // [first, last] launch year, brushed on the timeline
+    },
     searchTarget: null,      // Satellite name to track
+    showGroundTrack: true,   // Ground track for the search target
+    showOrbitPath: true,     // 3D orbit ellipse for the search target
+    showNightShade: true,    // Night side + terminator on the globe and map
+    illumFilter: 'all',      // 'all' | 'sunlit' | 'shadow' (umbra or penumbra) | 'umbra'
+    trackRevsBack: 1,        // Revolutions of track drawn before sim time
+    trackRevsFwd: 2,         // ...and after
+    groundStations: [],      // Observer sites { id, name, lat, lon, alt (km) }
+    passMinElevation: 10,    // Elevation mask (deg) for passes and footprints
+    conjMode: 'primary',     // 'primary' (vs. catalog) or 'pairs' (all pairs in a regime)
+    conjunctionPair: null,   // [sat, sat] highlighted after jumping to a TCA
     simTime: new Date(),     // Simulated time (affected by warp)
     lastFrameTime: Date.now()
 };
 
 // --- Orbital regime classification ---
-function getRegime(altKm) {
-    if (altKm < 2000) return 'leo';
-    if (altKm < 35786) return 'meo';
+// From mean-element perigee/apogee altitudes (km). Eccentric orbits are
+// split out first; near-circular ones go by mean altitude.
+function getRegime(perigee, apogee, inclination) {
+    if (apogee < 2000) return 'leo';
+    if (perigee < 2000 && apogee > 30000 && apogee < 42000 && inclination < 35) return 'gto';
+
+    const ecc = (apogee - perigee) / (apogee + perigee + 2 * 6378.137);
+    if (ecc >= 0.25) return 'heo';
+
+    const mean = (perigee + apogee) / 2;
+    if (mean < 2000) return 'leo';
+    if (mean < 35000) return 'meo';
     return 'geo';
 }
 
@@ -30,77 +80,184 @@ function getRegime(altKm) {
 function getRegimeColor(regime) {
     if (regime === 'leo') return '#648FFF';  // blue
     if (regime === 'meo') return '#FFB000';  // gold
+    if (regime === 'heo') return '#785EF0';  // purple
+    if (regime === 'gto') return '#FE6100';  // orange
     return '#DC267F';                        // magenta
 }
 
+// "Color by" breakdowns continue the same palette with two Okabe–Ito hues;
+// categories past the last colour share the neutral "other" grey
+const CATEGORY_PALETTE = ['#648FFF', '#FFB000', '#DC267F', '#785EF0', '#FE6100', '#009E73', '#56B4E9'];
+const CATEGORY_OTHER_COLOR = '#6B7A90';
+
+const ALT_METRIC_LABELS = {
+    mean: 'Mean Altitude',
+    perigee: 'Perigee Altitude',
+    apogee: 'Apogee Altitude',
+    current: 'Altitude at Sim Time'
+};
+
+// Altitude (km) the altitude chart and heatmap bin by. 'current' reads the
+// propagated position at sim time; the rest come from the mean elements.
+function getSatAltitude(sat, metric = State.altMetric) {
+    if (metric === 'perigee') return sat.perigee;
+    if (metric === 'apogee') return sat.apogee;
+    if (metric === 'current') {
+        const pos = getSatPosition(sat);
+        return pos ? pos.alt : null;
+    }
+    return sat.meanAlt;
+}
+
+// With the 'current' metric, positions must be propagated to sim time before
+// `render` can bin them. Returns true (and re-runs `render` once they land)
+// when they are not.
+function awaitCurrentPositions(render) {
+    if (State.altMetric !== 'current' || isPropagatedAt(State.simTime)) return false;
+    requestPropagation(State.simTime, () => {
+        if (isPropagatedAt(State.simTime)) render();
+    });
+    return true;
+}
+
 // --- Insight text per view ---
 const insightText = {
-    globe: `<strong>Live Tracker</strong> — Real-time orbital positions of tracked debris. Drag to rotate (3D) or pan (2D). Hover objects for details. Use controls to filter by regime, search objects, or adjust time speed.`,
-    altitude: `<strong>Altitude Distribution</strong> — Density of tracked objects by orbital altitude. Toggle between LEO focus (0–2,000 km) and full range. Reference lines mark ISS (~408 km) and Sun-Synchronous Orbit (~800 km).`,
-    heatmap: `<strong>Orbital Regime Map</strong> — 2D density map showing congestion at the intersection of altitude and inclination. Bright cells indicate "bad neighborhoods" where satellite operators should avoid deploying. This view directly answers: which orbital regimes are most congested?`,
+    globe: `<strong>Live Tracker</strong> — Real-time orbital positions of tracked debris. Drag to rotate (3D) or pan (2D). Hover objects for a summary; click one for its catalog entry, mean elements and launch siblings. The night side is shaded, and objects in Earth's shadow are drawn dimmer (penumbra) or dimmest (umbra). The WebGL renderer places every filtered object at its true altitude around the Earth; scroll to zoom out to the GEO belt. Use controls to filter by regime, search objects, or adjust time speed.`,
+    altitude: `<strong>Altitude Distribution</strong> — Density of tracked objects by orbital altitude. Toggle between LEO focus (0–2,000 km) and full range, and bin by mean, perigee or apogee altitude from the mean elements, or by altitude at the simulated time. Reference lines mark ISS (~408 km) and Sun-Synchronous Orbit (~800 km). Drag across the chart to select an altitude range in every view. "Color by" stacks the bars by object type, country, RCS size or group; click legend entries to hide categories. Below, the catalog as spatial density per altitude shell (each object spread over the altitudes it passes through, by RCS size), with the annual collision probability for the spacecraft described in the controls.`,
+    heatmap: `<strong>Orbital Regime Map</strong> — 2D density map of the catalog over any two orbital elements, altitude × inclination by default. Bright cells indicate "bad neighborhoods" where satellite operators should avoid deploying. Switch the range to Full or Log to take in MEO and GEO, color cells by debris share or mean age instead of count, and use log or quantile colors when a few crowded cells drown out the rest. The largest constellations are labelled at their densest cell. Click cells to add them to the selection shared with the other views.`,
     timeline: `<strong>Debris Timeline</strong> — Objects grouped by parent object's launch year (not debris creation date). 
 The 1999 spike reflects Fengyun-1C debris from the 2007 Chinese ASAT test — debris inherits 
-the parent's launch year. Annotations mark the original launch year of major fragmentation event targets.`
+the parent's launch year. Annotations mark the original launch year of major fragmentation event targets. Drag across years to select them in every view. "Color by" stacks each year by object type, country, RCS size or group, and 100% mode compares their shares over time.`,
+    passes: `<strong>Pass Planner</strong> — Upcoming passes of the Live Tracker search target over your ground stations, starting at the simulated time. Click a pass to see its sky track (north up, zenith at center). Stations and the target's visibility footprint are also drawn on the globe and map.`,
+    reentry: `<strong>Reentry Watch</strong> — Drag-decay forecasts for low-perigee objects, from each TLE's observed decay rate (ṅ) or BSTAR and a static exponential atmosphere. Windows are ±20% of remaining lifetime; solar activity can move real reentries well outside them. Click an object to select it on the Live Tracker.`,
+    fragmentation: `<strong>Breakup Simulator</strong> — "What if" debris clouds from the NASA Standard Breakup Model. Pick a parent (or two objects for a collision) with the Live Tracker search and generate fragments at the simulated time. Simulated fragments are flagged, appear in every view, and can be removed per event.`,
+    snapshots: `<strong>Catalog History</strong> — Dated catalog snapshots (one file per date) played back in order. The histogram and regime map show each snapshot's population, split into objects carried over, new in the catalog and gone since the previous snapshot (matched by NORAD number) — when debris actually appeared, rather than its parent's launch year. Filters apply to every snapshot.`,
+    geobelt: `<strong>GEO Belt</strong> — Near-geosynchronous objects by subsatellite longitude at the simulated time, with inclination and longitude drift from the mean motion. Objects drifting faster than the threshold aren't holding a slot; those holding still but inclined past 1° are likely uncontrolled and librating about the stable points at 75°E and 105°W; graveyard objects sit above the GEO protected region. The strip below counts objects per degree of longitude. Click an object to find it on the Live Tracker.`,
+    quality: `<strong>Data Quality</strong> — Catalog records that were not loaded, with the reason (bad format, checksum failure, SGP4 error or decayed), and how old the loaded TLEs are at the simulated time. Positions propagated far from the element epoch are unreliable: objects past the staleness threshold are dimmed on the Live Tracker and GEO Belt and flagged in tooltips, or hidden from every view.`,
+    groups: `<strong>Groups</strong> — Constellations and programs counted as units. Objects are grouped by name (Starlink, OneWeb, Iridium, ...) and by your own rules: a name pattern, NORAD numbers or altitude and inclination ranges. Rocket bodies and debris join the group that launched most of the payloads on their launch. Each card lists the group's shells (inclination and altitude clusters) and the orbital planes in each. Hide a group to drop it from every view; groups color the Live Tracker and can stack the histograms ("Color by: Group").`,
+    conjunction: `<strong>Conjunction Screening</strong> — Close approaches between catalog objects over a time window, starting at the simulated time. Screen one primary (picked with the Live Tracker search) against the catalog, or all pairs within a regime. Click a row to jump the globe to the time of closest approach.`
 };
 
 // ============================================================
 //  DATA LOADING
 // ============================================================
-d3.csv("data/space_debris.csv").then(data => {
-    processData(data);
+// Without a catalog the dashboard still starts, empty, so one can be
+// loaded by hand (file picker, drag and drop or Live Refresh)
+loadStartupCatalog().then(({ rows, label }) => {
+    State.rejected = processData(rows);
+    startDashboard(catalogStatusText(label));
+}, err => {
+    console.error("Data load error:", err);
+    startDashboard(`No catalog loaded (${err.message}) — load one to begin`, true);
+});
+
+function startDashboard(status, isError) {
+    initPropagation(State.satellites);
+    loadGroundStations();
+    setCatalogStatus(status, isError);
     document.getElementById('loader').style.display = 'none';
 
-    // Initialize first view
-    initGlobe();
     startClock();
 
     // Attach all event listeners
     attachNavListeners();
     attachControlListeners();
+    attachDensityListeners();
+    attachHeatmapListeners();
+    attachDataSourceListeners();
+    attachConjunctionListeners();
+    attachPassPlannerListeners();
+    attachTimeBarListeners();
+    attachReentryListeners();
+    attachFragmentationListeners();
+    attachHistoryListeners();
+    attachGeoBeltListeners();
+    attachQualityListeners();
+    attachGroupListeners();
+    attachGlobeGLListeners();
+    attachFilterListeners();
+    attachRefreshListeners();
+    attachSelectionListeners();
+    attachBreakdownListeners();
+    attachExportListeners();
+    attachDetailListeners();
     window.addEventListener('resize', handleResize);
 
-}).catch(err => {
-    console.error("Data load error:", err);
-    document.getElementById('loader').innerHTML =
-        `<p style="color:#e74c3c;">Error loading data.<br>${err.message}</p>`;
-});
+    // Restore State from the URL and show its view (Live Tracker by default)
+    initURLState();
+}
+
+// The service worker (sw.js) caches the app, libraries and basemap so the
+// dashboard keeps working with no network. Not available from file://.
+if ('serviceWorker' in navigator && location.protocol !== 'file:') {
+    navigator.serviceWorker.register('sw.js').catch(err => {
+        console.warn('Service worker not registered:', err);
+    });
+}
 
 // ============================================================
 //  DATA PROCESSING
 // ============================================================
-function processData(data) {
-    const now = new Date();
+// Appends to `list` (the live catalog unless a snapshot is being built).
+// Returns the rows left out, [{ record, name, norad, reason, detail }],
+// with reasons from QUALITY_REASONS (quality.js).
+function processData(data, list = State.satellites) {
+    const rejected = [];
+    const reject = (row, i, reason, detail) => rejected.push({
+        record: i + 1,
+        name: (row.OBJECT_NAME || '').trim() || '—',
+        norad: normalizeNorad(row.NORAD_CAT_ID || (row.TLE_LINE1 || '').substring(2, 7)) || '—',
+        reason,
+        detail
+    });
 
-    data.forEach(row => {
-        const l1 = row.TLE_LINE1;
-        const l2 = row.TLE_LINE2;
-        if (!l1 || !l2) return;
+    data.forEach((row, i) => {
+        const l1 = row.TLE_LINE1 ? row.TLE_LINE1.trim() : null;
+        const l2 = row.TLE_LINE2 ? row.TLE_LINE2.trim() : null;
+        const bad = checkTLELines(l1, l2);
+        if (bad) {
+            reject(row, i, bad.reason, row.TLE_ERROR || bad.detail);
+            return;
+        }
+
+        // A past decay date (SATCAT / GP history) means the elements are the last before reentry
+        const decay = row.DECAY_DATE ? new Date(row.DECAY_DATE) : null;
+        if (decay && !isNaN(decay) && decay.getTime() <= Date.now()) {
+            reject(row, i, 'decayed', `Decayed ${row.DECAY_DATE}`);
+            return;
+        }
 
         try {
-            const satRec = satellite.twoline2satrec(l1.trim(), l2.trim());
-            const posVel = satellite.propagate(satRec, now);
-
-            let alt = 0;
-            if (posVel.position) {
-                const r = Math.sqrt(
-                    posVel.position.x ** 2 +
-                    posVel.position.y ** 2 +
-                    posVel.position.z ** 2
-                );
-                alt = r - 6371; // Earth radius
+            const satRec = satellite.twoline2satrec(l1, l2);
+            if (satRec.error) {
+                // Error 6: already below the surface at epoch
+                reject(row, i, satRec.error === 6 ? 'decayed' : 'sgp4', sgp4ErrorText(satRec.error));
+                return;
             }
 
-            // Extract inclination (degrees) — directly from CSV
-            const inclination = parseFloat(row.INCLINATION) || 0;
+            // Perigee/apogee from the mean elements (alta/altp are in Earth radii)
+            const perigee = satRec.altp * 6378.137;
+            const apogee = satRec.alta * 6378.137;
 
-            // Launch year
+            // Extract inclination (degrees) — from the catalog, else the TLE
+            const inclination = parseFloat(row.INCLINATION) || satRec.inclo * 180 / Math.PI;
+
+            // Launch year — from the launch date, else the international
+            // designator (TLE/OMM sources), else the epoch as a last resort
             let year = null;
+            const idYear = /^(\d{4})-/.exec(row.OBJECT_ID || '');
             const dStr = row.LAUNCH_DATE || row.EPOCH;
-            if (dStr) {
+            if (row.LAUNCH_DATE || !idYear) {
                 const d = new Date(dStr);
-                if (!isNaN(d)) year = d.getFullYear();
+                if (dStr && !isNaN(d)) year = d.getFullYear();
+            } else {
+                year = parseInt(idYear[1], 10);
             }
 
+            // NORAD catalog number and international designator (YYYY-NNNP)
+            const norad = normalizeNorad(row.NORAD_CAT_ID || satRec.satnum);
+            const intlDes = row.OBJECT_ID || parseIntlDesignator(l1);
+
             // Country code
             const country = row.COUNTRY_CODE || 'UNK';
 
@@ -110,23 +267,33 @@ function processData(data) {
             // RCS size
             const rcsSize = row.RCS_SIZE || 'UNKNOWN';
 
-            State.satellites.push({
+            list.push({
+                index: list.length, // Key into the propagation buffer
                 rec: satRec,
+                tle1: l1,
+                tle2: l2,
+                epoch: (satRec.jdsatepoch - 2440587.5) * 86400000, // ms since 1970
                 name: (row.OBJECT_NAME || 'UNKNOWN').trim(),
-                alt: alt,
+                norad: norad,
+                intlDes: intlDes,
+                perigee: perigee,
+                apogee: apogee,
+                meanAlt: (perigee + apogee) / 2,
+                period: 2 * Math.PI / satRec.no, // minutes
                 inclination: inclination,
                 year: year,
                 country: country,
                 type: objType,
                 rcs: rcsSize,
-                regime: getRegime(alt)
+                regime: getRegime(perigee, apogee, inclination)
             });
         } catch (e) {
-            // Skip invalid TLEs silently
+            reject(row, i, 'format', e.message);
         }
     });
 
-    console.log(`Processed ${State.satellites.length} satellites`);
+    console.log(`Processed ${list.length} satellites, rejected ${rejected.length}`);
+    return rejected;
 }
 
 // ============================================================
@@ -156,10 +323,35 @@ function switchViz(id) {
     State.currentViz = id;
 
     // Initialize viz if needed
-    if (id === 'globe') initGlobe();
-    if (id === 'altitude') renderAltitude();
+    if (id === 'globe') toggleProjection(); // 3D globe or 2D map, whichever is selected
+    if (id === 'altitude') {
+        renderAltitude();
+        renderDensity();
+    }
     if (id === 'heatmap') renderHeatmap();
     if (id === 'timeline') renderTimeline();
+    if (id === 'conjunction') renderConjunctionPanel();
+    if (id === 'passes') renderPassPlanner();
+    if (id === 'reentry') renderReentryWatch();
+    if (id === 'fragmentation') renderFragmentationPanel();
+    if (id === 'snapshots') renderHistory();
+    if (id === 'geobelt') renderGeoBelt();
+    if (id === 'quality') renderQuality();
+    if (id === 'groups') renderGroups();
+
+    writeURLState(true);
+}
+
+// Make `sat` the search target and bring the Live Tracker round to it
+function showOnTracker(sat) {
+    State.searchTarget = sat.name;
+    State.conjunctionPair = null;
+    document.getElementById('sat-search').value = sat.name;
+    syncTimeBarControls();
+
+    const pos = getSatPosition(sat);
+    if (pos) globeDragRotation = [-pos.lon, -pos.lat];
+    switchViz('globe');
 }
 
 // ============================================================
@@ -174,11 +366,6 @@ function attachControlListeners() {
         sliderLabel.textContent = State.satCount;
     });
 
-    // Time warp
-    document.getElementById('time-warp').addEventListener('change', (e) => {
-        State.timeWarp = parseInt(e.target.value);
-    });
-
     // Projection toggle (3D / 2D)
     document.querySelectorAll('.proj-btn').forEach(btn => {
         btn.addEventListener('click', () => {
@@ -192,21 +379,65 @@ function attachControlListeners() {
     // Regime filters
     document.getElementById('filter-leo').addEventListener('change', (e) => {
         State.showLEO = e.target.checked;
+        filtersChanged();
     });
     document.getElementById('filter-meo').addEventListener('change', (e) => {
         State.showMEO = e.target.checked;
+        filtersChanged();
     });
     document.getElementById('filter-geo').addEventListener('change', (e) => {
         State.showGEO = e.target.checked;
+        filtersChanged();
+    });
+    document.getElementById('filter-heo').addEventListener('change', (e) => {
+        State.showHEO = e.target.checked;
+        filtersChanged();
+    });
+    document.getElementById('filter-gto').addEventListener('change', (e) => {
+        State.showGTO = e.target.checked;
+        filtersChanged();
+    });
+
+    // Target ground track / orbit path
+    document.getElementById('show-ground-track').addEventListener('change', (e) => {
+        State.showGroundTrack = e.target.checked;
+    });
+    document.getElementById('show-orbit-path').addEventListener('change', (e) => {
+        State.showOrbitPath = e.target.checked;
+    });
+    document.getElementById('track-revs-back').addEventListener('change', (e) => {
+        State.trackRevsBack = Math.min(TRACK_REVS_MAX, Math.max(0, parseFloat(e.target.value) || 0));
+        e.target.value = State.trackRevsBack;
+    });
+    document.getElementById('track-revs-fwd').addEventListener('change', (e) => {
+        State.trackRevsFwd = Math.min(TRACK_REVS_MAX, Math.max(0, parseFloat(e.target.value) || 0));
+        e.target.value = State.trackRevsFwd;
+    });
+
+    // Sunlight: night-side shading and the illumination filter
+    document.getElementById('show-night-shade').addEventListener('change', (e) => {
+        State.showNightShade = e.target.checked;
+    });
+    document.getElementById('illum-filter').addEventListener('change', (e) => {
+        State.illumFilter = e.target.value;
     });
 
-    // Altitude range toggle
+    // Altitude range toggle (altitude chart and catalog history)
     document.querySelectorAll('.range-btn').forEach(btn => {
         btn.addEventListener('click', () => {
-            document.querySelectorAll('.range-btn').forEach(b => b.classList.remove('active'));
-            btn.classList.add('active');
             State.altRange = btn.dataset.range;
-            renderAltitude();
+            setActiveButton('.range-btn', 'range', State.altRange);
+            renderCurrentViz();
+        });
+    });
+
+    // Altitude measure (shared by the altitude chart and heatmap)
+    document.querySelectorAll('.alt-metric-select').forEach(sel => {
+        sel.addEventListener('change', () => {
+            State.altMetric = sel.value;
+            document.querySelectorAll('.alt-metric-select').forEach(s => { s.value = sel.value; });
+            renderSelectionBar(); // altitude parts of the selection follow the measure
+            renderCurrentViz();
         });
     });
 
@@ -220,6 +451,9 @@ function attachControlListeners() {
         });
     });
 
+    // Basemap: try the country outlines again after a failed load
+    document.getElementById('basemap-retry').addEventListener('click', loadBasemap);
+
     // Search
     const searchInput = document.getElementById('sat-search');
     const searchResults = document.getElementById('search-results');
@@ -248,8 +482,10 @@ function attachControlListeners() {
         searchResults.querySelectorAll('.search-item').forEach(item => {
             item.addEventListener('click', () => {
                 State.searchTarget = item.dataset.name;
+                State.conjunctionPair = null;
                 searchInput.value = item.dataset.name;
                 searchResults.style.display = 'none';
+                syncTimeBarControls(); // orbit steps need a target
             });
         });
     });
@@ -280,11 +516,34 @@ function updateSimTime() {
     State.lastFrameTime = now;
 
     // Advance simulated time by delta * warp factor
-    State.simTime = new Date(State.simTime.getTime() + delta * State.timeWarp);
+    if (!State.paused) {
+        State.simTime = new Date(State.simTime.getTime() + delta * State.timeWarp * State.timeDirection);
+    }
 
     const st = State.simTime;
     document.getElementById('sim-clock').textContent =
         st.toUTCString().split(' ').slice(1, 5).join(' ');
+    updateTimeBar();
+    updateStaleness();
+}
+
+// Every jump of the sim clock (scrubber, steps, date picker, TCA links)
+// goes through here so propagation and the views move together
+function setSimTime(date) {
+    State.simTime = new Date(date.getTime());
+    State.lastFrameTime = Date.now();
+    syncTimeBarControls();
+    updateTimeBar();
+    updateStaleness();
+
+    requestPropagation(State.simTime, () => {
+        // The 3D loop redraws on its own; the 2D map only ticks at 10 fps
+        if (State.currentViz === 'globe' && !State.projection3D) update2DMap();
+        if (State.altMetric === 'current' &&
+            (State.currentViz === 'altitude' || State.currentViz === 'heatmap')) {
+            renderCurrentViz();
+        }
+    });
 }
 
 // ============================================================
@@ -292,12 +551,29 @@ function updateSimTime() {
 // ============================================================
 function handleResize() {
     clearTimeout(window._resizeTimer);
-    window._resizeTimer = setTimeout(() => {
-        if (State.currentViz === 'globe') initGlobe();
-        if (State.currentViz === 'altitude') renderAltitude();
-        if (State.currentViz === 'heatmap') renderHeatmap();
-        if (State.currentViz === 'timeline') renderTimeline();
-    }, 150);
+    window._resizeTimer = setTimeout(renderCurrentViz, 150);
+}
+
+// Redraw whichever view is showing (resize, catalog reload)
+function renderCurrentViz() {
+    if (State.currentViz === 'globe') {
+        if (State.projection3D) initGlobe();
+        else init2DMap();
+    }
+    if (State.currentViz === 'altitude') {
+        renderAltitude();
+        renderDensity();
+    }
+    if (State.currentViz === 'heatmap') renderHeatmap();
+    if (State.currentViz === 'timeline') renderTimeline();
+    if (State.currentViz === 'conjunction') renderConjunctionPanel();
+    if (State.currentViz === 'passes') renderPassPlanner();
+    if (State.currentViz === 'reentry') renderReentryWatch();
+    if (State.currentViz === 'fragmentation') renderFragmentationPanel();
+    if (State.currentViz === 'snapshots') renderHistory();
+    if (State.currentViz === 'geobelt') renderGeoBelt();
+    if (State.currentViz === 'quality') renderQuality();
+    if (State.currentViz === 'groups') renderGroups();
 }
 
 // ============================================================
@@ -0,0 +1,191 @@
+// ============================================================
+//  PROPAGATION.JS — Worker-pool propagation service
+// ============================================================
+//  The catalog's TLE lines are sent to a pool of workers once per load.
+//  Each tick, every worker propagates its slice of the catalog and
+//  transfers back a Float32Array of [lat, lon, alt, illumination]. The
+//  slices are assembled into one buffer keyed by satellite index
+//  (sat.index), which the globe and 2D map draw from.
+
+const PROP_STRIDE = 4;          // lat, lon, alt, illumination (ILLUM_* code)
+const PROP_MAX_WORKERS = 4;
+
+let propWorkers = [];                        // { worker, start, end, buffer }
+let propPositions = new Float32Array(0);     // Last complete tick
+let propBackBuffer = new Float32Array(0);    // Tick being assembled
+let propTime = null;                         // Sim time of propPositions
+let propGeneration = 0;                      // Bumped on every catalog load
+let propPending = 0;                         // Workers still owed for this tick
+let propQueuedTime = null;                   // Latest time requested while busy
+let propCallbacks = [];
+let propUseFallback = false;                 // No Worker support → main thread
+
+// ============================================================
+//  INITIALIZATION
+// ============================================================
+function initPropagation(satellites) {
+    propWorkers.forEach(w => w.worker.terminate());
+    propWorkers = [];
+    propGeneration++;
+    propPending = 0;
+    propQueuedTime = null;
+    propTime = null;
+
+    const n = satellites.length;
+    propPositions = new Float32Array(n * PROP_STRIDE).fill(NaN);
+    propBackBuffer = new Float32Array(n * PROP_STRIDE).fill(NaN);
+
+    const poolSize = Math.min(
+        PROP_MAX_WORKERS,
+        Math.max(1, (navigator.hardwareConcurrency || 2) - 1),
+        Math.max(1, n)
+    );
+    const chunk = Math.ceil(n / poolSize);
+
+    try {
+        for (let start = 0; start < n; start += chunk) {
+            const end = Math.min(n, start + chunk);
+            const worker = new Worker('js/propagation.worker.js');
+            const entry = { worker, start, end, buffer: null };
+            worker.onmessage = (e) => handleWorkerPositions(entry, e.data);
+            worker.onerror = (e) => handleWorkerError(e);
+
+            worker.postMessage({
+                type: 'init',
+                generation: propGeneration,
+                tles: satellites.slice(start, end).map(s => [s.tle1, s.tle2])
+            });
+            propWorkers.push(entry);
+        }
+        propUseFallback = false;
+    } catch (e) {
+        // Workers unavailable (e.g. opened from file://) — propagate inline
+        console.warn('Propagation workers unavailable, using main thread:', e.message);
+        propWorkers.forEach(w => w.worker.terminate());
+        propWorkers = [];
+        propUseFallback = true;
+    }
+}
+
+// ============================================================
+//  TICK REQUEST
+// ============================================================
+// Non-blocking: renderers keep drawing from the previous buffer until the
+// new one arrives. Requests made while a tick is in flight collapse into
+// one follow-up tick at the latest requested time.
+function requestPropagation(simTime, callback) {
+    if (callback) propCallbacks.push(callback);
+
+    if (propUseFallback) {
+        propagateOnMainThread(simTime);
+        return;
+    }
+
+    if (propPending > 0) {
+        propQueuedTime = simTime;
+        return;
+    }
+
+    dispatchPropagation(simTime);
+}
+
+function dispatchPropagation(simTime) {
+    const time = simTime.getTime();
+    propPending = propWorkers.length;
+
+    if (propPending === 0) { // Empty catalog
+        propTime = new Date(time);
+        flushPropagationCallbacks();
+        return;
+    }
+
+    propWorkers.forEach(w => {
+        const buffer = w.buffer;
+        w.buffer = null;
+        w.worker.postMessage(
+            { type: 'propagate', generation: propGeneration, time, buffer },
+            buffer ? [buffer] : []
+        );
+    });
+}
+
+function handleWorkerPositions(entry, msg) {
+    if (msg.type !== 'positions' || msg.generation !== propGeneration) return;
+
+    propBackBuffer.set(new Float32Array(msg.buffer), entry.start * PROP_STRIDE);
+    entry.buffer = msg.buffer; // Hand it back on the next tick
+    propPending--;
+
+    if (propPending > 0) return;
+
+    // Swap buffers once every slice has arrived
+    const done = propPositions;
+    propPositions = propBackBuffer;
+    propBackBuffer = done;
+    propTime = new Date(msg.time);
+    flushPropagationCallbacks();
+
+    if (propQueuedTime) {
+        const next = propQueuedTime;
+        propQueuedTime = null;
+        dispatchPropagation(next);
+    }
+}
+
+// A worker that cannot load satellite.js would stall every tick; drop the
+// pool and let the next request propagate on the main thread instead.
+function handleWorkerError(e) {
+    console.error('Propagation worker error, using main thread:', e.message);
+    propWorkers.forEach(w => w.worker.terminate());
+    propWorkers = [];
+    propPending = 0;
+    propQueuedTime = null;
+    propUseFallback = true;
+}
+
+function flushPropagationCallbacks() {
+    const callbacks = propCallbacks;
+    propCallbacks = [];
+    callbacks.forEach(cb => cb(propTime));
+}
+
+// --- Fallback: same buffer layout, filled synchronously ---
+function propagateOnMainThread(simTime) {
+    const gmst = satellite.gstime(simTime);
+    const sun = sunPositionECI(simTime);
+
+    State.satellites.forEach((sat, i) => {
+        const o = i * PROP_STRIDE;
+        propPositions[o] = propPositions[o + 1] = propPositions[o + 2] = propPositions[o + 3] = NaN;
+        try {
+            const pv = satellite.propagate(sat.rec, simTime);
+            if (!pv.position) return;
+            const gd = satellite.eciToGeodetic(pv.position, gmst);
+            propPositions[o] = satellite.degreesLat(gd.latitude);
+            propPositions[o + 1] = satellite.degreesLong(gd.longitude);
+            propPositions[o + 2] = gd.height;
+            propPositions[o + 3] = illumination(pv.position, sun);
+        } catch (e) { /* leave as NaN */ }
+    });
+
+    propTime = new Date(simTime.getTime());
+    flushPropagationCallbacks();
+}
+
+// ============================================================
+//  LOOKUP
+// ============================================================
+// True once the buffer holds positions for exactly `simTime`
+function isPropagatedAt(simTime) {
+    return propTime !== null && propTime.getTime() === simTime.getTime();
+}
+
+// Latest propagated position for a satellite, or null if it has not been
+// propagated yet or SGP4 failed for it.
+function getSatPosition(sat) {
+    const o = sat.index * PROP_STRIDE;
+    if (o >= propPositions.length) return null;
+    const lat = propPositions[o];
+    if (Number.isNaN(lat)) return null;
+    return { lat, lon: propPositions[o + 1], alt: propPositions[o + 2], illum: propPositions[o + 3] };
+}
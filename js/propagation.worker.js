@@ -1,23 +1,79 @@
-importScripts('https://cdnjs.cloudflare.com/ajax/libs/satellite.js/4.0.0/satellite.min.js');
+// ============================================================
+//  PROPAGATION.WORKER.JS — SGP4 propagation off the main thread
+// ============================================================
+//  Messages in:
+//    { type: 'init', generation, tles: [[line1, line2], ...] }
+//    { type: 'propagate', generation, time, buffer }
+//  Messages out:
+//    { type: 'positions', generation, time, buffer }  (buffer transferred)
+//
+//  The buffer holds [lat, lon, alt, illumination] per satellite, in the
+//  same order the TLEs were sent. Objects that fail to propagate are
+//  written as NaN. Illumination codes come from solar.js.
+
+// The offline bundle's copy (tools/fetch-vendor.sh) first, else the CDN
+try {
+    importScripts('../vendor/satellite.min.js');
+} catch (e) {
+    importScripts('https://cdnjs.cloudflare.com/ajax/libs/satellite.js/4.0.0/satellite.min.js');
+}
+importScripts('solar.js');
+
+const STRIDE = 4;
+
+let satrecs = [];
+let generation = 0;
 
 self.onmessage = function(e) {
-    const { satellites, simTime } = e.data;
-    const time = new Date(simTime);
-    const gmst = satellite.gstime(time);
-    const results = [];
-
-    satellites.forEach((sat, i) => {
-        try {
-            const pv = satellite.propagate(sat.rec, time);
-            if (!pv.position) return;
-            const gd = satellite.eciToGeodetic(pv.position, gmst);
-            results.push({
-                index: i,
-                lat: satellite.degreesLat(gd.latitude),
-                lon: satellite.degreesLong(gd.longitude),
-            });
-        } catch(e) {}
-    });
-
-    self.postMessage(results);
-};
\ No newline at end of file
+    const msg = e.data;
+
+    if (msg.type === 'init') {
+        generation = msg.generation;
+        satrecs = msg.tles.map(([l1, l2]) => {
+            try {
+                return satellite.twoline2satrec(l1, l2);
+            } catch (err) {
+                return null;
+            }
+        });
+        return;
+    }
+
+    if (msg.type === 'propagate') {
+        // Stale request from before the last catalog reload
+        if (msg.generation !== generation) return;
+
+        const time = new Date(msg.time);
+        const gmst = satellite.gstime(time);
+        const sun = sunPositionECI(time);
+
+        let buffer = msg.buffer;
+        if (!buffer || buffer.byteLength !== satrecs.length * STRIDE * 4) {
+            buffer = new ArrayBuffer(satrecs.length * STRIDE * 4);
+        }
+        const out = new Float32Array(buffer);
+
+        for (let i = 0; i < satrecs.length; i++) {
+            const o = i * STRIDE;
+            out[o] = out[o + 1] = out[o + 2] = out[o + 3] = NaN;
+
+            const rec = satrecs[i];
+            if (!rec) continue;
+
+            try {
+                const pv = satellite.propagate(rec, time);
+                if (!pv.position) continue;
+                const gd = satellite.eciToGeodetic(pv.position, gmst);
+                out[o] = satellite.degreesLat(gd.latitude);
+                out[o + 1] = satellite.degreesLong(gd.longitude);
+                out[o + 2] = gd.height;
+                out[o + 3] = illumination(pv.position, sun);
+            } catch (err) { /* leave as NaN */ }
+        }
+
+        self.postMessage(
+            { type: 'positions', generation, time: msg.time, buffer },
+            [buffer]
+        );
+    }
+};
@@ -0,0 +1,295 @@
+// ============================================================
+//  QUALITY.JS — Catalog data quality: rejected rows and TLE age (Viz 11)
+// ============================================================
+//  processData checks every row before building a satrec and returns the
+//  ones it leaves out, each with a reason:
+//    format   — missing lines, wrong length or line numbers, lines of two
+//               different objects, or a record that couldn't be read
+//    checksum — the modulo-10 checksum in column 69 doesn't match
+//    sgp4     — SGP4 initialisation failed (error codes 1–5)
+//    decayed  — SGP4 error 6 (below the surface at epoch) or a decay date
+//               in the past
+//  Objects that load are judged by TLE age, the time between the element
+//  epoch and the sim time. Past the threshold their propagated positions
+//  are not to be trusted: they are dimmed on the globe, map and GEO belt
+//  and flagged in tooltips and the detail panel, or hidden from every view.
+
+const QUALITY_REASONS = {
+    format: { label: 'Bad format', color: '#FFB000' },
+    checksum: { label: 'Checksum failure', color: '#FE6100' },
+    sgp4: { label: 'SGP4 error', color: '#DC267F' },
+    decayed: { label: 'Decayed', color: '#785EF0' }
+};
+
+// satrec.error codes from satellite.js (Vallado's sgp4)
+const SGP4_ERRORS = {
+    1: 'mean eccentricity out of range',
+    2: 'mean motion below zero',
+    3: 'perturbed eccentricity out of range',
+    4: 'semi-latus rectum below zero',
+    5: 'epoch elements are sub-orbital',
+    6: 'satellite has decayed'
+};
+
+const STALE_ALPHA = 0.25;            // Opacity factor for stale objects when dimmed
+const STALE_RECHECK_MS = 3600000;    // Hidden stale objects are re-evaluated hourly (sim time)
+const QUALITY_MIN_AGE = 0.01;        // days; younger ages share the first histogram bin
+const QUALITY_TABLE_MAX = 500;
+
+let qualityReason = 'all';           // Rejected-rows table: 'all' or a QUALITY_REASONS key
+let staleBucket = null;
+
+// ============================================================
+//  TLE AGE
+// ============================================================
+function sgp4ErrorText(code) {
+    return `SGP4 error ${code}: ${SGP4_ERRORS[code] || 'unknown'}`;
+}
+
+// Days from the element epoch to `date` (negative: epoch is after it)
+function tleAgeDays(sat, date = State.simTime) {
+    return (date.getTime() - sat.epoch) / 86400000;
+}
+
+// Propagating backwards is no better than forwards, so the age is unsigned
+function isStale(sat) {
+    return Math.abs(tleAgeDays(sat)) > State.staleDays;
+}
+
+function isHiddenStale(sat) {
+    return State.staleMode === 'hide' && isStale(sat);
+}
+
+// Opacity factor for point views
+function staleAlpha(sat) {
+    return State.staleMode === 'dim' && isStale(sat) ? STALE_ALPHA : 1;
+}
+
+function formatTLEAge(days) {
+    const d = Math.abs(days);
+    if (d < 1) return `${(d * 24).toFixed(1)} h`;
+    if (d < 100) return `${d.toFixed(1)} d`;
+    return `${Math.round(d).toLocaleString()} d`;
+}
+
+// Tooltip line for stale objects, '' otherwise
+function staleNote(sat) {
+    if (!isStale(sat)) return '';
+    const age = tleAgeDays(sat);
+    return `\n⚠ Stale TLE: epoch ${formatTLEAge(age)} ${age >= 0 ? 'before' : 'after'} sim time`;
+}
+
+// With stale objects hidden, the filtered catalog depends on the clock:
+// re-filter whenever the sim time moves into another hour
+function updateStaleness() {
+    if (State.staleMode !== 'hide') return;
+    const bucket = Math.floor(State.simTime.getTime() / STALE_RECHECK_MS);
+    if (bucket === staleBucket) return;
+    staleBucket = bucket;
+    filtersChanged();
+}
+
+function staleSettingsChanged() {
+    staleBucket = Math.floor(State.simTime.getTime() / STALE_RECHECK_MS);
+    filtersChanged(); // redraws the current view, the quality panel included
+}
+
+// ============================================================
+//  VIEW
+// ============================================================
+function renderQuality() {
+    const sats = State.satellites.filter(s => passesFilters(s));
+    const stale = sats.filter(isStale).length;
+    const counts = d3.rollup(State.rejected, v => v.length, r => r.reason);
+
+    document.getElementById('quality-loaded').textContent = State.satellites.length.toLocaleString();
+    Object.keys(QUALITY_REASONS).forEach(reason => {
+        document.getElementById(`quality-count-${reason}`).textContent = (counts.get(reason) || 0).toLocaleString();
+    });
+    document.getElementById('quality-stale').textContent =
+        `${stale.toLocaleString()} of ${sats.length.toLocaleString()} filtered objects ` +
+        `(${sats.length ? (100 * stale / sats.length).toFixed(1) : 0}%) have a TLE more than ` +
+        `${State.staleDays} days from the sim time`;
+
+    renderQualityAges(sats);
+    renderQualityTable();
+}
+
+// --- Histogram of |sim time − epoch|, ten log bins per decade ---
+function renderQualityAges(sats) {
+    const container = document.getElementById('quality-ages');
+    container.innerHTML = '';
+    const margin = { top: 34, right: 30, bottom: 46, left: 64 };
+    const f = chartFrame('quality-ages', margin);
+    if (!f) return;
+    const { svg, width, height } = f;
+
+    const ages = sats.map(s => Math.max(QUALITY_MIN_AGE, Math.abs(tleAgeDays(s))));
+    if (ages.length === 0) {
+        svg.append('text')
+            .attr('class', 'chart-title')
+            .attr('x', width / 2)
+            .attr('y', height / 2)
+            .text('No objects pass the current filters');
+        return;
+    }
+
+    const lo = Math.floor(Math.log10(QUALITY_MIN_AGE) * 10);
+    const hi = Math.ceil(Math.log10(Math.max(d3.max(ages), State.staleDays) * 1.01) * 10);
+    const edges = d3.range(lo, hi + 1).map(k => Math.pow(10, k / 10));
+    const bins = d3.bin()
+        .domain([edges[0], edges[edges.length - 1]])
+        .thresholds(edges.slice(1, -1))(ages);
+
+    const x = d3.scaleLog().domain([edges[0], edges[edges.length - 1]]).range([0, width]);
+    const y = d3.scaleLinear().domain([0, d3.max(bins, b => b.length) || 1]).nice().range([height, 0]);
+
+    svg.append('text')
+        .attr('class', 'chart-title')
+        .attr('x', width / 2)
+        .attr('y', -14)
+        .text(`TLE Age at Sim Time — median ${formatTLEAge(d3.median(ages))}`);
+
+    svg.append('g')
+        .selectAll('rect')
+        .data(bins)
+        .enter().append('rect')
+        .attr('x', b => x(b.x0) + 0.5)
+        .attr('y', b => y(b.length))
+        .attr('width', b => Math.max(0, x(b.x1) - x(b.x0) - 1))
+        .attr('height', b => height - y(b.length))
+        .attr('fill', b => (b.x0 >= State.staleDays ? '#FE6100' : '#4facfe'))
+        .attr('opacity', 0.85)
+        .on('mouseover', (event, b) => showTooltip(
+            `<strong>${formatTLEAge(b.x0)} – ${formatTLEAge(b.x1)}</strong>\n` +
+            `${b.length.toLocaleString()} objects`,
+            event.pageX, event.pageY))
+        .on('mouseout', hideTooltip);
+
+    const tx = x(State.staleDays);
+    svg.append('line')
+        .attr('class', 'quality-threshold-line')
+        .attr('x1', tx).attr('x2', tx)
+        .attr('y1', 0).attr('y2', height);
+    svg.append('text')
+        .attr('class', 'quality-threshold-label')
+        .attr('x', tx + 4)
+        .attr('y', 10)
+        .text(`stale after ${State.staleDays} d`);
+
+    svg.append('g')
+        .attr('class', 'axis')
+        .attr('transform', `translate(0,${height})`)
+        .call(d3.axisBottom(x)
+            .tickValues([0.01, 0.1, 1, 7, 30, 365, 3650, 36500].filter(v => v <= x.domain()[1]))
+            .tickFormat(formatTLEAge));
+
+    svg.append('g')
+        .attr('class', 'axis')
+        .call(d3.axisLeft(y).ticks(5));
+
+    svg.append('text')
+        .attr('class', 'axis-label')
+        .attr('x', width / 2)
+        .attr('y', height + 38)
+        .text('Time between TLE epoch and sim time (log)');
+
+    svg.append('text')
+        .attr('class', 'axis-label')
+        .attr('transform', 'rotate(-90)')
+        .attr('y', -48)
+        .attr('x', -height / 2)
+        .text('Objects');
+}
+
+// --- Rejected rows, in file order ---
+function renderQualityTable() {
+    const container = document.getElementById('quality-table');
+    const rows = State.rejected.filter(r => qualityReason === 'all' || r.reason === qualityReason);
+
+    if (rows.length === 0) {
+        container.innerHTML = `<p class="table-empty">${State.rejected.length
+            ? 'No rejected records for this reason.'
+            : 'Every record in the catalog loaded.'}</p>`;
+        return;
+    }
+
+    const table = d3.select(container).html('').append('table').attr('class', 'data-table');
+
+    table.append('thead').append('tr')
+        .selectAll('th')
+        .data(['Record', 'Object', 'NORAD', 'Reason', 'Detail'])
+        .enter().append('th')
+        .text(d => d);
+
+    table.append('tbody')
+        .selectAll('tr')
+        .data(rows.slice(0, QUALITY_TABLE_MAX))
+        .enter().append('tr')
+        .selectAll('td')
+        .data(r => [
+            r.record.toLocaleString(),
+            r.name,
+            r.norad,
+            { text: QUALITY_REASONS[r.reason].label, color: QUALITY_REASONS[r.reason].color },
+            r.detail
+        ])
+        .enter().append('td')
+        .style('color', d => (d && d.color) || null)
+        .text(d => (d && d.text) || d);
+
+    if (rows.length > QUALITY_TABLE_MAX) {
+        d3.select(container).append('p')
+            .attr('class', 'table-empty')
+            .text(`Showing the first ${QUALITY_TABLE_MAX} of ${rows.length.toLocaleString()} rejected records.`);
+    }
+}
+
+function attachQualityListeners() {
+    document.getElementById('stale-days').addEventListener('change', (e) => {
+        const v = parseFloat(e.target.value);
+        if (!(v > 0)) {
+            e.target.value = State.staleDays;
+            return;
+        }
+        State.staleDays = v;
+        staleSettingsChanged();
+    });
+
+    document.querySelectorAll('.stale-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            State.staleMode = btn.dataset.mode;
+            setActiveButton('.stale-btn', 'mode', State.staleMode);
+            staleSettingsChanged();
+        });
+    });
+
+    document.getElementById('quality-reason').addEventListener('change', (e) => {
+        qualityReason = e.target.value;
+        renderQualityTable();
+    });
+}
+
+URL_FIELDS.push(
+    {
+        key: 'stale',
+        get: () => String(State.staleDays),
+        set: v => {
+            const d = parseFloat(v);
+            if (!(d > 0)) return;
+            State.staleDays = d;
+            document.getElementById('stale-days').value = d;
+            filterVersion++;
+        }
+    },
+    {
+        key: 'stalemode',
+        get: () => State.staleMode,
+        set: v => {
+            State.staleMode = ['hide', 'show'].includes(v) ? v : 'dim';
+            setActiveButton('.stale-btn', 'mode', State.staleMode);
+            staleBucket = null;
+            filterVersion++;
+        }
+    }
+);
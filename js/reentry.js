@@ -0,0 +1,391 @@
+// ============================================================
+//  REENTRY.JS — Orbital decay + reentry forecasting (Viz 7)
+// ============================================================
+//  Orbit-averaged drag decay (King-Hele) through a static exponential
+//  atmosphere. The ballistic coefficient comes from the observed decay
+//  rate (ṅ) when the TLE has one, else from BSTAR. Windows are the usual
+//  ±20 % of remaining lifetime — solar activity swamps anything finer.
+
+const REENTRY_MU = 398600.4418e9;     // m³/s²
+const REENTRY_RE = 6378137;           // m
+const REENTRY_ALT_M = 120e3;          // perigee height treated as reentry
+const REENTRY_MAX_PERIGEE_KM = 1000;  // above this drag lifetimes exceed the cap
+const REENTRY_MAX_YEARS = 25;
+const REENTRY_BSTAR_RHO0 = 0.15696615; // kg/m²/ER, SGP4 reference density
+const REENTRY_WINDOW_FRAC = 0.2;
+const REENTRY_BATCH_MS = 30;
+
+// Vallado, Fundamentals of Astrodynamics, table 8-4:
+// [base altitude km, nominal density kg/m³, scale height km]
+const ATMOSPHERE_TABLE = [
+    [0, 1.225, 7.249], [25, 3.899e-2, 6.349], [30, 1.774e-2, 6.682],
+    [40, 3.972e-3, 7.554], [50, 1.057e-3, 8.382], [60, 3.206e-4, 7.714],
+    [70, 8.770e-5, 6.549], [80, 1.905e-5, 5.799], [90, 3.396e-6, 5.382],
+    [100, 5.297e-7, 5.877], [110, 9.661e-8, 7.263], [120, 2.438e-8, 9.473],
+    [130, 8.484e-9, 12.636], [140, 3.845e-9, 16.149], [150, 2.070e-9, 22.523],
+    [180, 5.464e-10, 29.740], [200, 2.789e-10, 37.105], [250, 7.248e-11, 45.546],
+    [300, 2.418e-11, 53.628], [350, 9.518e-12, 53.298], [400, 3.725e-12, 58.515],
+    [450, 1.585e-12, 60.828], [500, 6.967e-13, 63.822], [600, 1.454e-13, 71.835],
+    [700, 3.614e-14, 88.667], [800, 1.170e-14, 124.64], [900, 5.245e-15, 181.05],
+    [1000, 3.019e-15, 268.00]
+];
+
+let reentryForecasts = null;  // [{ sat, B, source, epochMs, reentryMs, earlyMs, lateMs }]
+let reentryCatalog = null;    // State.satellites the forecasts belong to
+let reentryRun = null;
+let reentryHorizonDays = 365;
+
+// ============================================================
+//  ATMOSPHERE + DECAY MODEL
+// ============================================================
+// Density (kg/m³) and scale height (m) at height h (m)
+function atmosphere(h) {
+    const km = h / 1000;
+    let row = ATMOSPHERE_TABLE[0];
+    for (let i = ATMOSPHERE_TABLE.length - 1; i >= 0; i--) {
+        if (km >= ATMOSPHERE_TABLE[i][0]) { row = ATMOSPHERE_TABLE[i]; break; }
+    }
+    return { rho: row[1] * Math.exp(-(km - row[0]) / row[2]), H: row[2] * 1000 };
+}
+
+// exp(-c)·Iₙ(c) for n ≤ 2 — series for small c, asymptotic form beyond
+function scaledBesselI(n, c) {
+    if (c > 30) return (1 - (4 * n * n - 1) / (8 * c)) / Math.sqrt(2 * Math.PI * c);
+    let term = Math.pow(c / 2, n) / [1, 1, 2][n];
+    let sum = term;
+    for (let k = 1; k < 60; k++) {
+        term *= (c * c / 4) / (k * (k + n));
+        sum += term;
+        if (term < sum * 1e-12) break;
+    }
+    return sum * Math.exp(-c);
+}
+
+// Orbit-averaged da/dt and de/dt (per second) for ballistic coefficient
+// B = Cd·A/m (m²/kg), density taken at perigee.
+function decayRates(a, e, B) {
+    const { rho, H } = atmosphere(a * (1 - e) - REENTRY_RE);
+    const c = a * e / H;
+    const i0 = scaledBesselI(0, c);
+    const i1 = scaledBesselI(1, c);
+    const i2 = scaledBesselI(2, c);
+    const period = 2 * Math.PI * Math.sqrt(a * a * a / REENTRY_MU);
+    const k = 2 * Math.PI * B * a * rho / period;
+    return {
+        dadt: -k * a * (i0 + 2 * e * i1),
+        dedt: e > 0 ? -k * (i1 + e / 2 * (i0 + i2)) : 0,
+        H
+    };
+}
+
+// Seconds until perigee drops to REENTRY_ALT_M, or Infinity past the cap
+function integrateLifetime(a, e, B) {
+    const maxT = REENTRY_MAX_YEARS * 365.25 * 86400;
+    let t = 0;
+    for (let step = 0; step < 5000; step++) {
+        if (a * (1 - e) - REENTRY_RE <= REENTRY_ALT_M) return t;
+        if (t > maxT) return Infinity;
+
+        const r = decayRates(a, e, B);
+        const dhp = Math.abs(r.dadt * (1 - e) - r.dedt * a);
+        // Let perigee fall a fraction of a scale height per step
+        const dt = Math.max(60, Math.min(30 * 86400, 0.05 * r.H / Math.max(dhp, 1e-12)));
+        a += r.dadt * dt;
+        e = Math.max(0, e + r.dedt * dt);
+        t += dt;
+    }
+    return t;
+}
+
+// Ballistic coefficient from ṅ (satrec.ndot is ṅ/2 in rad/min²), else BSTAR
+function ballisticCoefficient(rec, a, e) {
+    const n = rec.no / 60;                     // rad/s
+    const nDot = 2 * rec.ndot / 3600;          // rad/s²
+    if (nDot > 0) {
+        const observed = -2 / 3 * a * nDot / n;
+        const B = observed / decayRates(a, e, 1).dadt;
+        if (B > 1e-4 && B < 1) return { B, source: 'ṅ' };
+    }
+    const B = 2 * rec.bstar / REENTRY_BSTAR_RHO0;
+    if (B > 1e-4 && B < 1) return { B, source: 'B*' };
+    return null;
+}
+
+function forecastReentry(sat) {
+    const rec = sat.rec;
+    const n = rec.no / 60;
+    const a = Math.cbrt(REENTRY_MU / (n * n));
+    const coeff = ballisticCoefficient(rec, a, rec.ecco);
+    if (!coeff) return null;
+
+    const epochMs = (rec.jdsatepoch - 2440587.5) * 86400000;
+    const life = integrateLifetime(a, rec.ecco, coeff.B) * 1000;
+    if (!isFinite(life)) return null;
+
+    return {
+        sat,
+        B: coeff.B,
+        source: coeff.source,
+        epochMs,
+        reentryMs: epochMs + life,
+        earlyMs: epochMs + life * (1 - REENTRY_WINDOW_FRAC),
+        lateMs: epochMs + life * (1 + REENTRY_WINDOW_FRAC)
+    };
+}
+
+// Forecasts every object low enough to decay within the cap, yielding to
+// the browser between batches. Resolves with the forecast list.
+function computeReentryForecasts(onProgress) {
+    if (reentryRun) reentryRun.cancelled = true;
+    const run = { cancelled: false };
+    reentryRun = run;
+
+    const catalog = State.satellites;
+    const objects = catalog.filter(s => s.perigee < REENTRY_MAX_PERIGEE_KM);
+    const results = [];
+
+    return new Promise(resolve => {
+        let i = 0;
+
+        function slice() {
+            if (run.cancelled) { resolve(null); return; }
+
+            const sliceEnd = performance.now() + REENTRY_BATCH_MS;
+            while (i < objects.length && performance.now() < sliceEnd) {
+                const f = forecastReentry(objects[i++]);
+                if (f) results.push(f);
+            }
+
+            if (onProgress) onProgress(i / Math.max(1, objects.length), objects.length);
+
+            if (i < objects.length) {
+                setTimeout(slice, 0);
+                return;
+            }
+
+            reentryRun = null;
+            reentryForecasts = results;
+            reentryCatalog = catalog;
+            resolve(results);
+        }
+
+        setTimeout(slice, 0);
+    });
+}
+
+// ============================================================
+//  PANEL
+// ============================================================
+function renderReentryWatch() {
+    const status = document.getElementById('reentry-status');
+
+    if (reentryCatalog !== State.satellites) {
+        reentryForecasts = null;
+        reentryCatalog = State.satellites;
+        computeReentryForecasts((frac, n) => {
+            status.textContent = `Forecasting ${n.toLocaleString()} low-perigee objects… ${Math.round(frac * 100)}%`;
+        }).then(results => {
+            if (!results) return;
+            status.textContent = `${results.length.toLocaleString()} objects decay within ${REENTRY_MAX_YEARS} years.`;
+            if (State.currentViz === 'reentry') renderReentryWatch();
+        });
+    }
+
+    renderReentryTable();
+    renderLifetimeScatter();
+    renderPopulationDecline();
+}
+
+function renderReentryTable() {
+    const container = document.getElementById('reentry-table');
+
+    if (!reentryForecasts) {
+        container.innerHTML = '<p class="table-empty">Computing decay forecasts…</p>';
+        return;
+    }
+
+    const now = State.simTime.getTime();
+    const horizon = now + reentryHorizonDays * 86400000;
+    const rows = reentryForecasts
+        .filter(f => f.reentryMs <= horizon)
+        .sort((x, y) => x.reentryMs - y.reentryMs);
+
+    if (rows.length === 0) {
+        container.innerHTML = `<p class="table-empty">No predicted reentries within ${reentryHorizonDays} days of the simulated time.</p>`;
+        return;
+    }
+
+    const fmt = ms => new Date(ms).toISOString().slice(0, 10);
+    const table = d3.select(container).html('').append('table').attr('class', 'data-table');
+
+    table.append('thead').append('tr')
+        .selectAll('th')
+        .data(['Object', 'Type', 'Perigee', 'Apogee', 'B (m²/kg)', 'From', 'Reentry (UTC)', 'Window', 'Days left'])
+        .enter().append('th')
+        .text(d => d);
+
+    table.append('tbody')
+        .selectAll('tr')
+        .data(rows)
+        .enter().append('tr')
+        .classed('overdue', f => f.reentryMs < now)
+        .on('click', (event, f) => showOnTracker(f.sat))
+        .selectAll('td')
+        .data(f => [
+            f.sat.name,
+            f.sat.type,
+            Math.round(f.sat.perigee) + ' km',
+            Math.round(f.sat.apogee) + ' km',
+            f.B.toFixed(4),
+            f.source,
+            fmt(f.reentryMs),
+            `${fmt(f.earlyMs)} – ${fmt(f.lateMs)}`,
+            f.reentryMs < now ? 'overdue' : ((f.reentryMs - now) / 86400000).toFixed(1)
+        ])
+        .enter().append('td')
+        .text(d => d);
+}
+
+// --- Remaining lifetime (log) against perigee altitude ---
+function renderLifetimeScatter() {
+    const container = document.getElementById('reentry-scatter');
+    container.innerHTML = '';
+    if (!reentryForecasts) return;
+
+    const W = container.clientWidth;
+    const H = container.clientHeight;
+    const margin = { top: 34, right: 20, bottom: 44, left: 60 };
+    const width = W - margin.left - margin.right;
+    const height = H - margin.top - margin.bottom;
+    if (width <= 0 || height <= 0) return;
+
+    const now = State.simTime.getTime();
+    const points = reentryForecasts
+        .map(f => ({ f, days: (f.reentryMs - now) / 86400000 }))
+        .filter(p => p.days > 0.01);
+
+    const svg = d3.select(container).append('svg')
+        .attr('width', W)
+        .attr('height', H)
+        .append('g')
+        .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    const x = d3.scaleLinear().domain([100, REENTRY_MAX_PERIGEE_KM]).range([0, width]);
+    const y = d3.scaleLog().domain([0.01, REENTRY_MAX_YEARS * 365.25]).range([height, 0]).clamp(true);
+
+    svg.append('text')
+        .attr('class', 'chart-title')
+        .attr('x', width / 2)
+        .attr('y', -14)
+        .text('Remaining Lifetime vs. Perigee Altitude');
+
+    svg.append('g')
+        .selectAll('circle')
+        .data(points)
+        .enter().append('circle')
+        .attr('cx', p => x(p.f.sat.perigee))
+        .attr('cy', p => y(p.days))
+        .attr('r', 2)
+        .attr('fill', p => getRegimeColor(p.f.sat.regime))
+        .attr('opacity', 0.7)
+        .style('cursor', 'pointer')
+        .on('mouseover', (event, p) => showTooltip(
+            `<strong>${p.f.sat.name}</strong>\n` +
+            `Perigee: ${Math.round(p.f.sat.perigee)} km\n` +
+            `Lifetime: ${p.days < 365 ? p.days.toFixed(1) + ' days' : (p.days / 365.25).toFixed(1) + ' years'}`,
+            event.pageX, event.pageY))
+        .on('mouseout', hideTooltip)
+        .on('click', (event, p) => showOnTracker(p.f.sat));
+
+    svg.append('g')
+        .attr('class', 'axis')
+        .attr('transform', `translate(0,${height})`)
+        .call(d3.axisBottom(x).ticks(8));
+
+    svg.append('g')
+        .attr('class', 'axis')
+        .call(d3.axisLeft(y)
+            .tickValues([0.1, 1, 7, 30, 365.25, 3652.5])
+            .tickFormat(d => ({ 0.1: '2.4 h', 1: '1 d', 7: '1 wk', 30: '1 mo', 365.25: '1 yr', 3652.5: '10 yr' })[d]));
+
+    svg.append('text')
+        .attr('class', 'axis-label')
+        .attr('x', width / 2)
+        .attr('y', height + 36)
+        .text('Perigee altitude (km)');
+}
+
+// --- LEO objects still in orbit over the coming years (no new launches) ---
+function renderPopulationDecline() {
+    const container = document.getElementById('reentry-decline');
+    container.innerHTML = '';
+    if (!reentryForecasts) return;
+
+    const W = container.clientWidth;
+    const H = container.clientHeight;
+    const margin = { top: 34, right: 20, bottom: 44, left: 60 };
+    const width = W - margin.left - margin.right;
+    const height = H - margin.top - margin.bottom;
+    if (width <= 0 || height <= 0) return;
+
+    const now = State.simTime.getTime();
+    const leo = State.satellites.filter(s => s.regime === 'leo');
+    const leoReentries = reentryForecasts
+        .filter(f => f.sat.regime === 'leo' && f.reentryMs > now)
+        .map(f => (f.reentryMs - now) / (365.25 * 86400000))
+        .sort((a, b) => a - b);
+    const alreadyDown = reentryForecasts.filter(f => f.sat.regime === 'leo' && f.reentryMs <= now).length;
+    const start = leo.length - alreadyDown;
+
+    const series = d3.range(0, REENTRY_MAX_YEARS + 0.001, 0.25).map(yr => ({
+        yr,
+        count: start - d3.bisectRight(leoReentries, yr)
+    }));
+
+    const svg = d3.select(container).append('svg')
+        .attr('width', W)
+        .attr('height', H)
+        .append('g')
+        .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    const x = d3.scaleLinear().domain([0, REENTRY_MAX_YEARS]).range([0, width]);
+    const y = d3.scaleLinear().domain([0, Math.max(1, start)]).nice().range([height, 0]);
+
+    svg.append('text')
+        .attr('class', 'chart-title')
+        .attr('x', width / 2)
+        .attr('y', -14)
+        .text('Projected LEO Population (no new launches)');
+
+    svg.append('path')
+        .datum(series)
+        .attr('class', 'decline-area')
+        .attr('d', d3.area().x(d => x(d.yr)).y0(height).y1(d => y(d.count)));
+
+    svg.append('path')
+        .datum(series)
+        .attr('class', 'decline-line')
+        .attr('d', d3.line().x(d => x(d.yr)).y(d => y(d.count)));
+
+    svg.append('g')
+        .attr('class', 'axis')
+        .attr('transform', `translate(0,${height})`)
+        .call(d3.axisBottom(x).ticks(10).tickFormat(d => `+${d} yr`));
+
+    svg.append('g')
+        .attr('class', 'axis')
+        .call(d3.axisLeft(y).ticks(6));
+
+    svg.append('text')
+        .attr('class', 'axis-label')
+        .attr('x', width / 2)
+        .attr('y', height + 36)
+        .text('Years after simulated time');
+}
+
+function attachReentryListeners() {
+    document.getElementById('reentry-horizon').addEventListener('change', (e) => {
+        reentryHorizonDays = parseInt(e.target.value, 10);
+        renderReentryTable();
+    });
+}
@@ -0,0 +1,276 @@
+// ============================================================
+//  REFRESH.JS — Live catalog refresh from an HTTP endpoint
+// ============================================================
+//  Polls a catalog URL (any format datasource.js reads) every few minutes
+//  and merges the records into State.satellites by NORAD number, without
+//  a reload:
+//    new number          → added
+//    different TLE lines → updated in place, so open panels, the search
+//                          target and conjunction results keep their object
+//    reported decayed    → removed (past DECAY_DATE, or SGP4 error 6)
+//    not in the feed     → kept, unless the feed is marked as the full
+//                          catalog; then removed as well
+//  Numbers are compared normalised (normalizeNorad), so a TLE feed merges
+//  into a CSV catalog and the other way round. Simulated breakup fragments
+//  are never touched. Filters and the selection are State settings, so
+//  they carry over. Each refresh that changes something is added to the
+//  change log in the drawer, with the feed records that were rejected.
+//  Those only replace the startup report on the Data Quality panel when
+//  the feed is the full catalog.
+//
+//  tools/tle-standin.py serves a catalog that changes on every request,
+//  for trying this out without the real service.
+
+const REFRESH_STORAGE_KEY = 'orbital-graveyard.refresh';
+const REFRESH_LOG_MAX = 20;          // Refreshes kept in the change log
+const REFRESH_LIST_MAX = 50;         // Names listed per category and refresh
+
+let refreshConfig = { url: '', minutes: 60, full: false, enabled: false };
+let refreshTimer = null;
+let refreshBusy = false;
+let refreshLast = null;              // Date of the last successful refresh
+let refreshLog = [];                 // Newest first: { time, added, updated, removed, rejected }
+
+// ============================================================
+//  CONFIG
+// ============================================================
+function loadRefreshConfig() {
+    try {
+        refreshConfig = { ...refreshConfig, ...JSON.parse(localStorage.getItem(REFRESH_STORAGE_KEY)) };
+    } catch (e) { /* keep the defaults */ }
+}
+
+function saveRefreshConfig() {
+    try {
+        localStorage.setItem(REFRESH_STORAGE_KEY, JSON.stringify(refreshConfig));
+    } catch (e) { /* storage disabled — settings live for this session only */ }
+}
+
+// ============================================================
+//  MERGE
+// ============================================================
+// Newest element set per NORAD number
+function latestByNorad(sats) {
+    const map = new Map();
+    sats.forEach(s => {
+        const prev = map.get(s.norad);
+        if (!prev || s.epoch > prev.epoch) map.set(s.norad, s);
+    });
+    return map;
+}
+
+// Merge freshly parsed rows into the live catalog; returns the change
+// record (also when nothing changed)
+function mergeCatalog(rows, full) {
+    const parsed = [];
+    const rejected = processData(rows, parsed);
+    const fresh = latestByNorad(parsed);
+    const decayed = new Set(rejected.filter(r => r.reason === 'decayed').map(r => r.norad));
+
+    const change = { time: new Date(), added: [], updated: [], removed: [], rejected };
+    const merged = [];
+
+    State.satellites.forEach(sat => {
+        if (sat.simulated) {
+            merged.push(sat);
+            return;
+        }
+        const next = fresh.get(sat.norad);
+        if (next) {
+            fresh.delete(sat.norad);
+            if (next.tle1 !== sat.tle1 || next.tle2 !== sat.tle2) {
+                change.updated.push({ sat, shiftDays: (next.epoch - sat.epoch) / 86400000 });
+                Object.assign(sat, next);
+            }
+            merged.push(sat);
+        } else if (decayed.has(sat.norad)) {
+            change.removed.push({ sat, why: 'decayed' });
+        } else if (full) {
+            change.removed.push({ sat, why: 'no longer listed' });
+        } else {
+            merged.push(sat);
+        }
+    });
+
+    // Whatever is left in the feed is new to the catalog
+    fresh.forEach(sat => {
+        merged.push(sat);
+        change.added.push({ sat });
+    });
+
+    // A partial feed says nothing about the records it doesn't carry
+    if (full) State.rejected = rejected;
+    if (change.added.length || change.updated.length || change.removed.length) {
+        merged.forEach((s, i) => { s.index = i; });
+        State.satellites = merged;
+        catalogChanged();
+        if (detailSat && change.updated.some(u => u.sat === detailSat)) renderSatDetail();
+    } else if (full && State.currentViz === 'quality') {
+        renderQuality();
+    }
+    return change;
+}
+
+// ============================================================
+//  POLLING
+// ============================================================
+function refreshCatalog() {
+    if (refreshBusy || !refreshConfig.url) return Promise.resolve();
+    refreshBusy = true;
+    setRefreshStatus('Refreshing…');
+
+    // no-store: straight from the endpoint, past the HTTP cache and the service worker
+    return loadCatalogFromURL(refreshConfig.url, { cache: 'no-store' }).then(({ rows }) => {
+        const change = mergeCatalog(rows, refreshConfig.full);
+        refreshLast = change.time;
+        if (change.added.length || change.updated.length || change.removed.length) {
+            refreshLog = [change].concat(refreshLog).slice(0, REFRESH_LOG_MAX);
+        }
+        setCatalogStatus(catalogStatusText(`Live feed, ${formatRefreshTime(refreshLast)}`));
+        setRefreshStatus(refreshSummary(change));
+    }).catch(err => {
+        console.error('Catalog refresh error:', err);
+        setRefreshStatus(`Refresh failed: ${err.message}`, true);
+    }).finally(() => {
+        refreshBusy = false;
+        renderRefreshLog();
+    });
+}
+
+// (Re)arm the timer from the current config; refreshes once right away
+function scheduleRefresh() {
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+    if (!refreshConfig.enabled || !refreshConfig.url) return;
+    refreshTimer = setInterval(refreshCatalog, refreshConfig.minutes * 60000);
+    refreshCatalog();
+}
+
+// ============================================================
+//  DRAWER
+// ============================================================
+function formatRefreshTime(date) {
+    return date.toISOString().slice(11, 16) + ' UTC';
+}
+
+function refreshSummary(change) {
+    const parts = [`+${change.added.length} new`, `${change.updated.length} updated`, `−${change.removed.length} removed`];
+    if (change.rejected.length) parts.push(`${change.rejected.length} rejected`);
+    return `${formatRefreshTime(change.time)} · ${parts.join(' · ')}`;
+}
+
+function setRefreshStatus(text, isError) {
+    const el = document.getElementById('refresh-status');
+    el.textContent = text;
+    el.classList.toggle('error', !!isError);
+}
+
+function renderRefreshControls() {
+    document.getElementById('refresh-url').value = refreshConfig.url;
+    document.getElementById('refresh-minutes').value = refreshConfig.minutes;
+    document.getElementById('refresh-full').checked = refreshConfig.full;
+    document.getElementById('refresh-toggle').textContent = refreshConfig.enabled ? 'Stop' : 'Start';
+    document.getElementById('refresh-btn').classList.toggle('live', refreshConfig.enabled);
+}
+
+function renderRefreshLog() {
+    const log = d3.select('#refresh-log').html('');
+    if (refreshLog.length === 0) {
+        log.append('p').attr('class', 'status-text')
+            .text(refreshLast ? 'No changes since the catalog was loaded.' : 'No refreshes yet.');
+        return;
+    }
+
+    refreshLog.forEach(change => {
+        const entry = log.append('div').attr('class', 'refresh-entry');
+        entry.append('div').attr('class', 'refresh-entry-head').text(refreshSummary(change));
+
+        [
+            ['added', 'New objects', () => ''],
+            ['updated', 'New element sets', c => ` (epoch ${c.shiftDays >= 0 ? '+' : '−'}${formatTLEAge(c.shiftDays)})`],
+            ['removed', 'Removed', c => ` (${c.why})`]
+        ].forEach(([key, label, note]) => {
+            const items = change[key];
+            if (!items.length) return;
+            const group = entry.append('details');
+            group.append('summary').text(`${label} (${items.length.toLocaleString()})`);
+            group.append('ul')
+                .selectAll('li')
+                .data(items.slice(0, REFRESH_LIST_MAX))
+                .enter().append('li')
+                .classed('gone', c => !State.satellites.includes(c.sat))
+                .text(c => `${c.sat.name} · ${c.sat.norad}${note(c)}`)
+                .on('click', (event, c) => {
+                    if (State.satellites.includes(c.sat)) showOnTracker(c.sat);
+                });
+            if (items.length > REFRESH_LIST_MAX) {
+                group.append('p').attr('class', 'status-text')
+                    .text(`…and ${(items.length - REFRESH_LIST_MAX).toLocaleString()} more`);
+            }
+        });
+
+        if (!change.rejected.length) return;
+        const group = entry.append('details');
+        group.append('summary').text(`Rejected records (${change.rejected.length.toLocaleString()})`);
+        group.append('ul')
+            .selectAll('li')
+            .data(change.rejected.slice(0, REFRESH_LIST_MAX))
+            .enter().append('li')
+            .attr('class', 'rejected')
+            .text(r => `${r.name} · ${r.norad} (${QUALITY_REASONS[r.reason].label.toLowerCase()}: ${r.detail})`);
+        if (change.rejected.length > REFRESH_LIST_MAX) {
+            group.append('p').attr('class', 'status-text')
+                .text(`…and ${(change.rejected.length - REFRESH_LIST_MAX).toLocaleString()} more`);
+        }
+    });
+}
+
+function attachRefreshListeners() {
+    loadRefreshConfig();
+    renderRefreshControls();
+    renderRefreshLog();
+
+    const drawer = document.getElementById('refresh-drawer');
+    document.getElementById('refresh-btn').addEventListener('click', () => {
+        drawer.classList.toggle('open');
+        document.getElementById('filter-drawer').classList.remove('open');
+    });
+    document.getElementById('refresh-close').addEventListener('click', () => drawer.classList.remove('open'));
+
+    document.getElementById('refresh-url').addEventListener('change', (e) => {
+        refreshConfig.url = e.target.value.trim();
+        saveRefreshConfig();
+        scheduleRefresh();
+    });
+    document.getElementById('refresh-minutes').addEventListener('change', (e) => {
+        const v = parseFloat(e.target.value);
+        if (!(v > 0)) {
+            e.target.value = refreshConfig.minutes;
+            return;
+        }
+        refreshConfig.minutes = v;
+        saveRefreshConfig();
+        scheduleRefresh();
+    });
+    document.getElementById('refresh-full').addEventListener('change', (e) => {
+        refreshConfig.full = e.target.checked;
+        saveRefreshConfig();
+    });
+    document.getElementById('refresh-toggle').addEventListener('click', () => {
+        if (!refreshConfig.enabled && !refreshConfig.url) {
+            setRefreshStatus('Enter the endpoint URL first', true);
+            return;
+        }
+        refreshConfig.enabled = !refreshConfig.enabled;
+        saveRefreshConfig();
+        renderRefreshControls();
+        if (!refreshConfig.enabled) setRefreshStatus('Stopped');
+        scheduleRefresh();
+    });
+    document.getElementById('refresh-now').addEventListener('click', () => {
+        if (!refreshConfig.url) setRefreshStatus('Enter the endpoint URL first', true);
+        else refreshCatalog();
+    });
+
+    scheduleRefresh();
+}
@@ -0,0 +1,180 @@
+// ============================================================
+//  SELECTION.JS — Linked brushing across the catalog views
+// ============================================================
+//  The charts build one shared selection: an altitude range brushed on the
+//  histogram, cells clicked on the heatmap (on whichever two axes it shows)
+//  and a span of launch years dragged on the timeline. An object is
+//  selected when it meets every part that is set (clicked cells count as
+//  one part, any cell will do). Selected objects are highlighted in every
+//  view and the rest dimmed. Altitudes are read with the current altitude
+//  measure, so with "at sim time" the selection follows the clock. The
+//  selection is kept in the URL ("sel") with the rest of the view state.
+
+let selectionVersion = 0;
+let selectionCache = null;   // { version, filters, catalog, metric, time, list, set }
+
+function emptySelection() {
+    return { alt: null, cells: [], years: null };
+}
+
+function isSelectionActive() {
+    const sel = State.selection;
+    return !!(sel.alt || sel.cells.length || sel.years);
+}
+
+function matchesSelection(sat) {
+    const sel = State.selection;
+    if (sel.years && !(sat.year >= sel.years[0] && sat.year <= sel.years[1])) return false;
+    if (sel.alt) {
+        const alt = getSatAltitude(sat);
+        if (alt === null || alt < sel.alt[0] || alt > sel.alt[1]) return false;
+    }
+    if (sel.cells.length && !sel.cells.some(c => inSelectionCell(sat, c))) return false;
+    return true;
+}
+
+// A cell is { <heatmap axis key>: [lo, hi], ... }, e.g. { alt: [400, 450], inc: [50, 55] }
+function inSelectionCell(sat, cell) {
+    return Object.entries(cell).every(([key, [lo, hi]]) => {
+        const v = heatmapAxisValue(sat, key);
+        return v !== null && v >= lo && v < hi;
+    });
+}
+
+function sameSelectionCell(a, b) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length &&
+        keys.every(k => b[k] && a[k][0] === b[k][0] && a[k][1] === b[k][1]);
+}
+
+// Filtered objects inside the selection, cached like filteredSatellites()
+// (and per propagation tick when altitudes come from the sim time)
+function selectedSatellites() {
+    const time = State.altMetric === 'current' ? propTime : null;
+    const c = selectionCache;
+    if (!c || c.version !== selectionVersion || c.filters !== filterVersion ||
+        c.catalog !== State.satellites || c.metric !== State.altMetric || c.time !== time) {
+        const list = isSelectionActive() ? filteredSatellites().filter(matchesSelection) : [];
+        selectionCache = {
+            version: selectionVersion,
+            filters: filterVersion,
+            catalog: State.satellites,
+            metric: State.altMetric,
+            time,
+            list,
+            set: new Set(list)
+        };
+    }
+    return selectionCache.list;
+}
+
+function isSelected(sat) {
+    selectedSatellites();
+    return selectionCache.set.has(sat);
+}
+
+// Set one part of the selection (null / [] clears it) and redraw
+function setSelection(part, value) {
+    State.selection[part] = value;
+    selectionChanged();
+}
+
+function selectionChanged() {
+    selectionVersion++;
+    renderSelectionBar();
+    if (State.currentViz !== 'globe') renderCurrentViz(); // the globe redraws every frame
+}
+
+// Heatmap cells toggle in and out of the selection
+function toggleSelectionCell(cell) {
+    const cells = State.selection.cells;
+    const i = cells.findIndex(c => sameSelectionCell(c, cell));
+    setSelection('cells', i >= 0 ? cells.filter((c, j) => j !== i) : cells.concat(cell));
+}
+
+function isSelectionCell(cell) {
+    return State.selection.cells.some(c => sameSelectionCell(c, cell));
+}
+
+// ============================================================
+//  SELECTION BAR
+// ============================================================
+function renderSelectionBar() {
+    const bar = document.getElementById('selection-bar');
+    const active = isSelectionActive();
+    bar.classList.toggle('active', active);
+    if (!active) return;
+
+    const sel = State.selection;
+    const parts = [];
+    if (sel.alt) {
+        parts.push(`${Math.round(sel.alt[0]).toLocaleString()}–${Math.round(sel.alt[1]).toLocaleString()} km ` +
+            ALT_METRIC_LABELS[State.altMetric].toLowerCase());
+    }
+    if (sel.cells.length) parts.push(`${sel.cells.length} heatmap cell${sel.cells.length > 1 ? 's' : ''}`);
+    if (sel.years) {
+        parts.push(sel.years[0] === sel.years[1]
+            ? `launched ${sel.years[0]}`
+            : `launched ${sel.years[0]}–${sel.years[1]}`);
+    }
+
+    document.getElementById('selection-summary').textContent =
+        `Selection: ${parts.join(' · ')} — ${selectedSatellites().length.toLocaleString()} objects`;
+}
+
+function attachSelectionListeners() {
+    document.getElementById('selection-clear').addEventListener('click', () => {
+        State.selection = emptySelection();
+        selectionChanged();
+    });
+    renderSelectionBar();
+}
+
+// ============================================================
+//  URL
+// ============================================================
+// "alt:400,450;years:1999,1999;cell:alt:400,450:inc:50,55" — one part per
+// set piece of the selection, one "cell:" part per heatmap cell
+function formatSelectionParam(sel) {
+    const parts = [];
+    if (sel.alt) parts.push(`alt:${sel.alt.join(',')}`);
+    if (sel.years) parts.push(`years:${sel.years.join(',')}`);
+    sel.cells.forEach(cell => {
+        parts.push('cell:' + Object.entries(cell).map(([key, range]) => `${key}:${range.join(',')}`).join(':'));
+    });
+    return parts.join(';');
+}
+
+// [lo, hi] from "lo,hi", null unless both are numbers in order
+function parseSelectionRange(text) {
+    const range = (text || '').split(',').map(parseFloat);
+    return range.length === 2 && range.every(isFinite) && range[0] <= range[1] ? range : null;
+}
+
+function parseSelectionParam(v) {
+    const sel = emptySelection();
+    (v || '').split(';').filter(Boolean).forEach(part => {
+        const [kind, ...rest] = part.split(':');
+        if (kind === 'alt' || kind === 'years') {
+            sel[kind] = parseSelectionRange(rest[0]);
+        } else if (kind === 'cell' && rest.length >= 2 && rest.length % 2 === 0) {
+            const cell = {};
+            for (let i = 0; i < rest.length; i += 2) {
+                const range = parseSelectionRange(rest[i + 1]);
+                if (!Object.hasOwn(HEATMAP_AXES, rest[i]) || !range) return;
+                cell[rest[i]] = range;
+            }
+            sel.cells.push(cell);
+        }
+    });
+    return sel;
+}
+
+URL_FIELDS.push({
+    key: 'sel',
+    get: () => formatSelectionParam(State.selection),
+    set: v => {
+        State.selection = parseSelectionParam(v);
+        selectionVersion++;
+    }
+});
@@ -0,0 +1,73 @@
+// ============================================================
+//  SOLAR.JS — Low-precision solar position model
+// ============================================================
+//  Astronomical Almanac low-precision formulae (~0.01° over 1950–2050),
+//  plenty for day/night shading at dashboard scale. Also loaded by the
+//  propagation worker, so nothing here may touch the DOM or d3 at load.
+
+const AU_KM = 149597870.7;
+const SUN_RADIUS_KM = 695700;
+const SOLAR_EARTH_RADIUS_KM = 6378.137;
+
+// Illumination codes, as stored in the propagation buffer
+const ILLUM_UMBRA = 0;
+const ILLUM_PENUMBRA = 1;
+const ILLUM_SUNLIT = 2;
+const ILLUM_LABELS = ['Umbra', 'Penumbra', 'Sunlit'];
+
+// --- Sun position in ECI (TEME-compatible for our purposes), km ---
+function sunPositionECI(date) {
+    const n = date.getTime() / 86400000 + 2440587.5 - 2451545.0; // days since J2000
+    const rad = Math.PI / 180;
+
+    const L = (280.460 + 0.9856474 * n) * rad;          // mean longitude
+    const g = (357.528 + 0.9856003 * n) * rad;          // mean anomaly
+    const lambda = L + (1.915 * Math.sin(g) + 0.020 * Math.sin(2 * g)) * rad;
+    const eps = (23.439 - 0.0000004 * n) * rad;         // obliquity
+    const R = (1.00014 - 0.01671 * Math.cos(g) - 0.00014 * Math.cos(2 * g)) * AU_KM;
+
+    return {
+        x: R * Math.cos(lambda),
+        y: R * Math.cos(eps) * Math.sin(lambda),
+        z: R * Math.sin(eps) * Math.sin(lambda)
+    };
+}
+
+// --- Point on Earth with the Sun at zenith, [lon, lat] degrees ---
+function subsolarPoint(date) {
+    const s = sunPositionECI(date);
+    const ra = Math.atan2(s.y, s.x);
+    const dec = Math.atan2(s.z, Math.hypot(s.x, s.y));
+    const lon = (ra - satellite.gstime(date)) * 180 / Math.PI;
+    return [((lon + 540) % 360) - 180, dec * 180 / Math.PI];
+}
+
+// --- Illumination of an object at ECI position `r` (km), Sun at `sun` ---
+// Conical shadow: compares the apparent radii of the Sun and the Earth as
+// seen from the object with the angle between their centres.
+function illumination(r, sun) {
+    const dx = sun.x - r.x, dy = sun.y - r.y, dz = sun.z - r.z;
+    const dSun = Math.hypot(dx, dy, dz);
+    const dEarth = Math.hypot(r.x, r.y, r.z);
+    if (dEarth <= SOLAR_EARTH_RADIUS_KM) return ILLUM_UMBRA;
+
+    const a = Math.asin(SUN_RADIUS_KM / dSun);               // Sun
+    const b = Math.asin(SOLAR_EARTH_RADIUS_KM / dEarth);     // Earth
+    const cosC = -(r.x * dx + r.y * dy + r.z * dz) / (dEarth * dSun);
+    const c = Math.acos(Math.max(-1, Math.min(1, cosC)));
+
+    if (c >= a + b) return ILLUM_SUNLIT;
+    if (c <= b - a) return ILLUM_UMBRA;
+    return ILLUM_PENUMBRA;
+}
+
+// --- Night hemisphere as a GeoJSON polygon (antisolar cap of 90°) ---
+function nightHemisphere(date) {
+    const [lon, lat] = subsolarPoint(date);
+    return d3.geoCircle().center([lon + 180, -lat]).radius(90)();
+}
+
+// --- Is the ground point [lon, lat] on the day side? ---
+function isDaylight(lon, lat, date, subsolar) {
+    return d3.geoDistance(subsolar || subsolarPoint(date), [lon, lat]) < Math.PI / 2;
+}
@@ -0,0 +1,117 @@
+// ============================================================
+//  TIMEBAR.JS — Simulation clock scrubber under the Live Tracker
+// ============================================================
+
+const SCRUB_HALF_SPAN_MS = 12 * 3600000; // scrubber covers ±12 h around its anchor
+const SCRUB_STEPS = 1000;
+
+let scrubAnchorMs = Date.now();  // sim time at the scrubber's midpoint
+let scrubDragging = false;
+
+// One orbital period of the search target, or null without a target
+function targetPeriodMs() {
+    const sat = State.searchTarget
+        ? State.satellites.find(s => s.name === State.searchTarget)
+        : null;
+    return sat ? (2 * Math.PI / sat.rec.no) * 60000 : null;
+}
+
+// `2024-01-01T12:00:00` ↔ Date, both read as UTC
+function toUTCInputValue(date) {
+    return date.toISOString().slice(0, 19);
+}
+
+function fromUTCInputValue(value) {
+    const d = new Date(value.length === 16 ? value + ':00Z' : value + 'Z');
+    return isNaN(d) ? null : d;
+}
+
+// Re-centres the scrubber when sim time runs off either end of it
+function recenterScrubber(force) {
+    const offset = State.simTime.getTime() - scrubAnchorMs;
+    if (!force && Math.abs(offset) < SCRUB_HALF_SPAN_MS) return;
+    scrubAnchorMs = State.simTime.getTime();
+    document.getElementById('time-scrub-start').textContent =
+        toUTCInputValue(new Date(scrubAnchorMs - SCRUB_HALF_SPAN_MS)).replace('T', ' ').slice(0, 16);
+    document.getElementById('time-scrub-end').textContent =
+        toUTCInputValue(new Date(scrubAnchorMs + SCRUB_HALF_SPAN_MS)).replace('T', ' ').slice(0, 16);
+}
+
+// Called every frame from updateSimTime(), and after every jump
+function updateTimeBar() {
+    if (scrubDragging) return;
+    recenterScrubber(false);
+    const offset = State.simTime.getTime() - scrubAnchorMs;
+    document.getElementById('time-scrub').value =
+        Math.round((offset / SCRUB_HALF_SPAN_MS + 1) / 2 * SCRUB_STEPS);
+}
+
+function syncTimeBarControls() {
+    document.getElementById('time-play').textContent = State.paused ? '▶' : '❚❚';
+    document.getElementById('time-play').title = State.paused ? 'Play' : 'Pause';
+    document.getElementById('time-reverse').classList.toggle('active', State.timeDirection < 0);
+    document.getElementById('time-warp').value = State.timeWarp;
+    document.getElementById('time-jump').value = toUTCInputValue(State.simTime);
+    document.querySelectorAll('.time-step[data-unit="orbit"]').forEach(btn => {
+        btn.disabled = !targetPeriodMs();
+    });
+}
+
+function stepSimTime(unit, sign) {
+    const ms = unit === 'orbit' ? targetPeriodMs()
+        : unit === 'hour' ? 3600000
+        : 86400000;
+    if (!ms) return;
+    setSimTime(new Date(State.simTime.getTime() + sign * ms));
+}
+
+function attachTimeBarListeners() {
+    document.getElementById('time-play').addEventListener('click', () => {
+        State.paused = !State.paused;
+        State.lastFrameTime = Date.now();
+        syncTimeBarControls();
+    });
+
+    document.getElementById('time-reverse').addEventListener('click', () => {
+        State.timeDirection = -State.timeDirection;
+        syncTimeBarControls();
+    });
+
+    document.getElementById('time-warp').addEventListener('change', (e) => {
+        const warp = parseFloat(e.target.value);
+        if (warp > 0) State.timeWarp = warp;
+        syncTimeBarControls();
+    });
+
+    document.getElementById('time-now').addEventListener('click', () => {
+        State.timeDirection = 1;
+        setSimTime(new Date());
+    });
+
+    document.querySelectorAll('.time-step').forEach(btn => {
+        btn.addEventListener('click', () => stepSimTime(btn.dataset.unit, +btn.dataset.sign));
+    });
+
+    document.getElementById('time-jump-go').addEventListener('click', () => {
+        const date = fromUTCInputValue(document.getElementById('time-jump').value);
+        if (date) setSimTime(date);
+    });
+
+    const scrub = document.getElementById('time-scrub');
+    scrub.addEventListener('pointerdown', () => { scrubDragging = true; });
+    scrub.addEventListener('input', () => {
+        const offset = (scrub.value / SCRUB_STEPS * 2 - 1) * SCRUB_HALF_SPAN_MS;
+        setSimTime(new Date(scrubAnchorMs + offset));
+    });
+    // A press without a move fires no change, so every way a drag can end
+    // hands the scrubber back to the clock
+    ['change', 'pointerup', 'pointercancel', 'lostpointercapture'].forEach(type => {
+        scrub.addEventListener(type, () => {
+            scrubDragging = false;
+            updateTimeBar();
+        });
+    });
+
+    recenterScrubber(true);
+    syncTimeBarControls();
+}
@@ -8,6 +8,8 @@ const SHOCK_EVENTS = [
 ];
 
 function renderTimeline() {
+    renderBreakdownLegend();
+
     const container = document.getElementById('timeline-chart');
     container.innerHTML = '';
 
@@ -24,25 +26,42 @@ function renderTimeline() {
         .attr('transform', `translate(${margin.left},${margin.top})`);
 
     // --- Data ---
-    const yearData = d3.rollups(
-        State.satellites.filter(d => d.year && d.year >= 1957 && d.year <= 2025),
-        v => v.length,
+    const inTimeline = d => !d.simulated && d.year && d.year >= 1957 && d.year <= 2025;
+    const yearGroups = d3.groups(
+        filteredSatellites().filter(inTimeline),
         d => d.year
     ).sort((a, b) => a[0] - b[0]);
 
+    // Selected objects per year are drawn over the dimmed totals; with
+    // "Color by" both are also split into category counts
+    const selActive = isSelectionActive();
+    const stacked = isBreakdownActive();
+    const share = stacked && State.stackMode === 'share';
+    const noCounts = new Map();
+
     const isCumulative = State.timelineMode === 'cumulative';
 
     // Build cumulative if needed
-    let plotData;
-    if (isCumulative) {
-        let running = 0;
-        plotData = yearData.map(([year, count]) => {
-            running += count;
-            return { year, count: running, raw: count };
-        });
-    } else {
-        plotData = yearData.map(([year, count]) => ({ year, count, raw: count }));
-    }
+    let running = 0;
+    let selRunning = 0;
+    let catRunning = noCounts;
+    let selCatRunning = noCounts;
+    const plotData = yearGroups.map(([year, items]) => {
+        const selItems = selActive ? items.filter(isSelected) : [];
+        const cats = stacked ? countByCategory(items) : noCounts;
+        const selCats = stacked && selActive ? countByCategory(selItems) : noCounts;
+        running += items.length;
+        selRunning += selItems.length;
+        if (stacked && isCumulative) {
+            catRunning = addCategoryCounts(catRunning, cats);
+            selCatRunning = addCategoryCounts(selCatRunning, selCats);
+        }
+        return isCumulative
+            ? { year, count: running, raw: items.length, sel: selRunning, selRaw: selItems.length,
+                cats: catRunning, selCats: selCatRunning }
+            : { year, count: items.length, raw: items.length, sel: selItems.length, selRaw: selItems.length,
+                cats, selCats };
+    });
 
     // --- Scales ---
     const x = d3.scaleBand()
@@ -50,9 +69,11 @@ function renderTimeline() {
         .range([0, width])
         .padding(0.15);
 
-    const yMax = d3.max(plotData, d => d.count);
+    const yMax = stacked
+        ? d3.max(plotData, d => visibleTotal(d.cats))
+        : d3.max(plotData, d => d.count);
     const y = d3.scaleLinear()
-        .domain([0, yMax * 1.05])
+        .domain([0, share ? 1 : yMax * 1.05])
         .range([height, 0]);
 
     // --- Title ---
@@ -60,12 +81,73 @@ function renderTimeline() {
         .attr('class', 'chart-title')
         .attr('x', width / 2)
         .attr('y', -margin.top / 2 + 5)
-        .text(isCumulative
+        .text((isCumulative
             ? 'Cumulative Debris Accumulation by Launch Year'
-            : 'Currently Tracked Objects by Launch Year');
+            : 'Currently Tracked Objects by Launch Year') +
+            (stacked ? ` and ${BREAKDOWN_FIELDS[State.colorBy].label}` : ''));
 
     // --- Draw bars or area ---
-    if (isCumulative) {
+    // `highlight(d)` marks the hovered year (null clears it)
+    let highlight;
+    if (stacked && isCumulative) {
+        // Stacked areas, one per visible category; a selection is stacked
+        // over the dimmed totals in the same colours
+        const drawAreas = (stacks, dimmed) => {
+            visibleCategories().forEach((category, k) => {
+                svg.append('path')
+                    .datum(stacks)
+                    .attr('class', 'bar-segment')
+                    .classed('dimmed', dimmed)
+                    .attr('fill', getCategoryColor(category))
+                    .attr('d', d3.area()
+                        .x((s, i) => x(plotData[i].year) + x.bandwidth() / 2)
+                        .y0(s => y(s[k].y0))
+                        .y1(s => y(s[k].y1))
+                        .curve(d3.curveMonotoneX));
+            });
+        };
+        drawAreas(plotData.map(d => stackCategoryCounts(d.cats)), selActive);
+        if (selActive) drawAreas(plotData.map(d => stackCategoryCounts(d.selCats, d.cats)), false);
+
+        const guide = svg.append('line')
+            .attr('class', 'ref-line')
+            .attr('y1', 0).attr('y2', height)
+            .style('display', 'none');
+        highlight = d => {
+            const xPos = d ? x(d.year) + x.bandwidth() / 2 : 0;
+            guide.attr('x1', xPos).attr('x2', xPos).style('display', d ? null : 'none');
+        };
+
+    } else if (stacked) {
+        // One rect per year × category
+        const segments = (key, base) => plotData.flatMap(d =>
+            stackCategoryCounts(d[key], d[base]).map(s => ({ ...s, year: d.year })));
+
+        const marks = svg.selectAll('.bar-segment')
+            .data(segments('cats', 'cats'))
+            .enter().append('rect')
+            .attr('class', 'bar-segment')
+            .classed('dimmed', selActive)
+            .attr('x', d => x(d.year))
+            .attr('y', d => y(d.y1))
+            .attr('width', x.bandwidth())
+            .attr('height', d => y(d.y0) - y(d.y1))
+            .attr('fill', d => getCategoryColor(d.category));
+
+        if (selActive) {
+            svg.selectAll('.bar-segment-selected')
+                .data(segments('selCats', 'cats'))
+                .enter().append('rect')
+                .attr('class', 'bar-segment')
+                .attr('x', d => x(d.year))
+                .attr('y', d => y(d.y1))
+                .attr('width', x.bandwidth())
+                .attr('height', d => y(d.y0) - y(d.y1))
+                .attr('fill', d => getCategoryColor(d.category));
+        }
+        highlight = d => marks.classed('hover', m => !!d && m.year === d.year);
+
+    } else if (isCumulative) {
         // Area + line for cumulative view
         const lineGen = d3.line()
             .x(d => x(d.year) + x.bandwidth() / 2)
@@ -89,64 +171,54 @@ function renderTimeline() {
         svg.append('path')
             .datum(plotData)
             .attr('d', lineGen)
-            .attr('class', 'cumulative-line');
+            .attr('class', 'cumulative-line')
+            .classed('dimmed', selActive);
 
-        // Dots for hover
-        svg.selectAll('.cum-dot')
+        if (selActive) {
+            svg.append('path')
+                .datum(plotData)
+                .attr('d', lineGen.y(d => y(d.sel)))
+                .attr('class', 'cumulative-line selected');
+        }
+
+        // Dots, enlarged on hover
+        const marks = svg.selectAll('.cum-dot')
             .data(plotData)
             .enter().append('circle')
+            .attr('class', 'cum-dot')
             .attr('cx', d => x(d.year) + x.bandwidth() / 2)
             .attr('cy', d => y(d.count))
             .attr('r', 3)
-            .attr('fill', '#4facfe')
+            .attr('fill', selActive ? '#2a3550' : '#4facfe')
             .attr('stroke', '#0d1525')
-            .attr('stroke-width', 1)
-            .style('cursor', 'pointer')
-            .on('mouseover', function (event, d) {
-                d3.select(this).attr('r', 6).attr('stroke', '#fff');
-                showTooltip(
-                    `<strong>Year: ${d.year}</strong>\n` +
-                    `Launched that year: ${d.raw}\n` +
-                    `Cumulative total: ${d.count}`,
-                    event.pageX, event.pageY
-                );
-            })
-            .on('mousemove', (event) => {
-                const tt = document.getElementById('tooltip');
-                tt.style.left = (event.pageX + 15) + 'px';
-                tt.style.top = (event.pageY - 10) + 'px';
-            })
-            .on('mouseout', function () {
-                d3.select(this).attr('r', 3).attr('stroke', '#0d1525');
-                hideTooltip();
-            });
+            .attr('stroke-width', 1);
+        highlight = d => marks
+            .attr('r', m => (m === d ? 6 : 3))
+            .attr('stroke', m => (m === d ? '#fff' : '#0d1525'));
 
     } else {
         // Bar chart for yearly view
-        svg.selectAll('.bar-year')
+        const marks = svg.selectAll('.bar-year')
             .data(plotData)
             .enter().append('rect')
             .attr('class', 'bar-year')
+            .classed('dimmed', selActive)
             .attr('x', d => x(d.year))
             .attr('y', d => y(d.count))
             .attr('width', x.bandwidth())
-            .attr('height', d => height - y(d.count))
-            .on('mouseover', function (event, d) {
-                d3.select(this).style('fill', '#e8705f');
-                showTooltip(
-                    `<strong>Year: ${d.year}</strong>\n\nObjects launched: ${d.count}`,
-                    event.pageX, event.pageY
-                );
-            })
-            .on('mousemove', (event) => {
-                const tt = document.getElementById('tooltip');
-                tt.style.left = (event.pageX + 15) + 'px';
-                tt.style.top = (event.pageY - 10) + 'px';
-            })
-            .on('mouseout', function () {
-                d3.select(this).style('fill', null);
-                hideTooltip();
-            });
+            .attr('height', d => height - y(d.count));
+
+        if (selActive) {
+            svg.selectAll('.bar-selected')
+                .data(plotData)
+                .enter().append('rect')
+                .attr('class', 'bar-selected')
+                .attr('x', d => x(d.year))
+                .attr('y', d => y(d.sel))
+                .attr('width', x.bandwidth())
+                .attr('height', d => height - y(d.sel));
+        }
+        highlight = d => marks.classed('hover', m => m === d);
     }
 
     // --- Axes ---
@@ -164,7 +236,9 @@ function renderTimeline() {
 
     svg.append('g')
         .attr('class', 'axis')
-        .call(d3.axisLeft(y).ticks(8));
+        .call(share
+            ? d3.axisLeft(y).ticks(5).tickFormat(d3.format('.0%'))
+            : d3.axisLeft(y).ticks(8));
 
     // --- Axis Labels ---
     svg.append('text')
@@ -178,7 +252,8 @@ function renderTimeline() {
         .attr('transform', 'rotate(-90)')
         .attr('y', -margin.left + 18)
         .attr('x', -height / 2)
-        .text(isCumulative ? 'Cumulative Object Count' : 'Object Count');
+        .text(share ? 'Share of Objects'
+            : isCumulative ? 'Cumulative Object Count' : 'Object Count');
 
     // --- Shock Event Annotations ---
     SHOCK_EVENTS.forEach(evt => {
@@ -214,4 +289,56 @@ function renderTimeline() {
                 .text(line);
         });
     });
-}
\ No newline at end of file
+
+    // --- Brush: drag across years to select them in every view ---
+    // It sits over the marks, so tooltips are looked up from the pointer.
+    const yearAt = px => plotData[Math.max(0, Math.min(plotData.length - 1, Math.floor(px / x.step())))];
+
+    const brush = d3.brushX()
+        .extent([[0, 0], [width, height]])
+        .on('end', (event) => {
+            if (!event.sourceEvent) return; // the programmatic move below
+            const [x0, x1] = event.selection || [0, 0];
+            const years = plotData
+                .map(d => d.year)
+                .filter(year => {
+                    const mid = x(year) + x.bandwidth() / 2;
+                    return mid >= x0 && mid <= x1;
+                });
+            setSelection('years', years.length ? [years[0], years[years.length - 1]] : null);
+        });
+
+    const brushG = svg.append('g')
+        .attr('class', 'brush')
+        .call(brush);
+
+    const shownYears = State.selection.years
+        ? plotData.filter(d => d.year >= State.selection.years[0] && d.year <= State.selection.years[1])
+        : [];
+    if (shownYears.length) {
+        brushG.call(brush.move, [
+            x(shownYears[0].year),
+            x(shownYears[shownYears.length - 1].year) + x.bandwidth()
+        ]);
+    }
+
+    brushG
+        .on('mousemove.tip', (event) => {
+            if (!plotData.length) return;
+            const d = yearAt(d3.pointer(event)[0]);
+            highlight(d);
+            showTooltip(
+                `<strong>Year: ${d.year}</strong>\n` +
+                (isCumulative
+                    ? `Launched that year: ${d.raw}\nCumulative total: ${d.count}`
+                    : `\nObjects launched: ${d.count}`) +
+                (selActive ? `\nSelected: ${d.selRaw}` : '') +
+                (stacked ? '\n\n' + breakdownTooltip(d.cats) : ''),
+                event.pageX, event.pageY
+            );
+        })
+        .on('mouseleave.tip', () => {
+            highlight(null);
+            hideTooltip();
+        });
+}
@@ -0,0 +1,168 @@
+// ============================================================
+//  TLE.JS — Two-Line Element formatting helpers
+// ============================================================
+//  satellite.js only builds satrecs from TLE lines, so every catalog
+//  format is turned into TLE lines before it reaches processData.
+
+const ALPHA5_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ'; // I and O are skipped
+
+// --- Modulo-10 checksum over the first 68 columns ---
+function tleChecksum(line) {
+    let sum = 0;
+    for (let i = 0; i < 68 && i < line.length; i++) {
+        const c = line[i];
+        if (c >= '0' && c <= '9') sum += +c;
+        else if (c === '-') sum += 1;
+    }
+    return sum % 10;
+}
+
+// --- Any catalog number → canonical string: "00005" → "5", "T0000" → "270000" ---
+// TLE text carries zero-padded or Alpha-5 numbers, CSV and OMM plain ones;
+// every comparison of catalog numbers goes through here.
+function normalizeNorad(noradId) {
+    const s = String(noradId === null || noradId === undefined ? '' : noradId).trim().toUpperCase();
+    const alpha5 = /^([A-HJ-NP-Z])(\d{4})$/.exec(s);
+    if (alpha5) return String((ALPHA5_LETTERS.indexOf(alpha5[1]) + 10) * 10000 + +alpha5[2]);
+    return /^\d+$/.test(s) ? String(parseInt(s, 10)) : s;
+}
+
+// --- Catalog number, Alpha-5 encoded above 99999 ---
+function formatSatnum(noradId) {
+    const n = parseInt(normalizeNorad(noradId), 10) || 0;
+    if (n < 100000) return String(n).padStart(5, '0');
+    return ALPHA5_LETTERS[Math.floor(n / 10000) - 10] + String(n % 10000).padStart(4, '0');
+}
+
+// --- "1998-067A" → "98067A  " ---
+function formatIntlDesignator(objectId) {
+    const m = /^(\d{4})-(\d{3})([A-Z]{0,3})/.exec((objectId || '').trim());
+    if (!m) return '        ';
+    return (m[1].slice(2) + m[2] + m[3]).padEnd(8, ' ');
+}
+
+// --- "98067A" (TLE columns 10–17) → "1998-067A" ---
+function parseIntlDesignator(line1) {
+    const raw = line1.substring(9, 17).trim();
+    const m = /^(\d{2})(\d{3})([A-Z]*)$/.exec(raw);
+    if (!m) return null;
+    const yy = parseInt(m[1], 10);
+    return `${yy < 57 ? 2000 + yy : 1900 + yy}-${m[2]}${m[3]}`;
+}
+
+// --- Epoch (Date) → "YYDDD.DDDDDDDD" ---
+function formatTLEEpoch(date) {
+    const year = date.getUTCFullYear();
+    const dayOfYear = (date.getTime() - Date.UTC(year, 0, 1)) / 86400000 + 1;
+    const [whole, frac] = dayOfYear.toFixed(8).split('.');
+    return String(year % 100).padStart(2, '0') + whole.padStart(3, '0') + '.' + frac;
+}
+
+// --- TLE epoch field (line 1, columns 19–32) → Date ---
+function parseTLEEpoch(line1) {
+    const yy = parseInt(line1.substring(18, 20), 10);
+    const day = parseFloat(line1.substring(20, 32));
+    if (isNaN(yy) || isNaN(day)) return null;
+    const year = yy < 57 ? 2000 + yy : 1900 + yy;
+    return new Date(Date.UTC(year, 0, 1) + (day - 1) * 86400000);
+}
+
+// --- OMM epoch string → Date (always UTC, microseconds tolerated) ---
+function parseOMMEpoch(str) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2}):(\d{2}(?:\.\d+)?)/.exec((str || '').trim());
+    if (!m) return null;
+    const secs = parseFloat(m[6]);
+    return new Date(Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], 0) + secs * 1000);
+}
+
+// --- ".00001234" style field: sign + decimal with implied leading zero ---
+function formatTLEDecimal(value) {
+    const v = Math.min(Math.abs(value), 0.99999999);
+    return (value < 0 ? '-' : ' ') + v.toFixed(8).slice(1);
+}
+
+// --- "12345-4" style field: sign + 5-digit mantissa + exponent ---
+function formatTLEExponent(value) {
+    if (!value) return ' 00000-0';
+    let exp = Math.floor(Math.log10(Math.abs(value))) + 1;
+    let digits = Math.round(Math.abs(value) / Math.pow(10, exp) * 1e5);
+    if (digits >= 1e5) { digits = 1e4; exp++; }
+    exp = Math.max(-9, Math.min(9, exp));
+    return (value < 0 ? '-' : ' ') + String(digits).padStart(5, '0') +
+        (exp < 0 ? '-' : '+') + Math.abs(exp);
+}
+
+function formatAngle(deg) {
+    const d = ((deg % 360) + 360) % 360;
+    return d.toFixed(4).padStart(8, ' ');
+}
+
+// ============================================================
+//  ELEMENTS → TLE LINES
+// ============================================================
+// `el` uses OMM field names: NORAD_CAT_ID, OBJECT_ID, EPOCH (Date or
+// string), MEAN_MOTION (rev/day), ECCENTRICITY, INCLINATION, RA_OF_ASC_NODE,
+// ARG_OF_PERICENTER, MEAN_ANOMALY (deg), BSTAR, MEAN_MOTION_DOT,
+// MEAN_MOTION_DDOT, CLASSIFICATION_TYPE, ELEMENT_SET_NO, REV_AT_EPOCH.
+function formatTLE(el) {
+    const epoch = el.EPOCH instanceof Date ? el.EPOCH : parseOMMEpoch(el.EPOCH);
+    if (!epoch || isNaN(epoch)) throw new Error('Missing or invalid EPOCH');
+
+    const meanMotion = parseFloat(el.MEAN_MOTION);
+    if (!(meanMotion > 0)) throw new Error('Missing or invalid MEAN_MOTION');
+
+    const satnum = formatSatnum(el.NORAD_CAT_ID);
+    const cls = (el.CLASSIFICATION_TYPE || 'U').toString().charAt(0);
+    const ecc = Math.min(Math.max(parseFloat(el.ECCENTRICITY) || 0, 0), 0.9999999);
+
+    let line1 = '1 ' + satnum + cls + ' ' +
+        formatIntlDesignator(el.OBJECT_ID) + ' ' +
+        formatTLEEpoch(epoch) + ' ' +
+        formatTLEDecimal(parseFloat(el.MEAN_MOTION_DOT) || 0) + ' ' +
+        formatTLEExponent(parseFloat(el.MEAN_MOTION_DDOT) || 0) + ' ' +
+        formatTLEExponent(parseFloat(el.BSTAR) || 0) + ' ' +
+        '0 ' +
+        String((parseInt(el.ELEMENT_SET_NO, 10) || 999) % 10000).padStart(4, ' ');
+    line1 += tleChecksum(line1);
+
+    let line2 = '2 ' + satnum + ' ' +
+        formatAngle(parseFloat(el.INCLINATION) || 0) + ' ' +
+        formatAngle(parseFloat(el.RA_OF_ASC_NODE) || 0) + ' ' +
+        ecc.toFixed(7).slice(2) + ' ' +
+        formatAngle(parseFloat(el.ARG_OF_PERICENTER) || 0) + ' ' +
+        formatAngle(parseFloat(el.MEAN_ANOMALY) || 0) + ' ' +
+        meanMotion.toFixed(8).padStart(11, ' ') +
+        String((parseInt(el.REV_AT_EPOCH, 10) || 0) % 100000).padStart(5, ' ');
+    line2 += tleChecksum(line2);
+
+    return [line1, line2];
+}
+
+// ============================================================
+//  VALIDATION
+// ============================================================
+// Column layout and checksums of a line pair, before satellite.js sees it
+// (it reads fixed columns and ignores the checksum). Returns null when the
+// pair looks sound, else { reason: 'format' | 'checksum', detail }.
+function checkTLELines(line1, line2) {
+    if (!line1 || !line2) return { reason: 'format', detail: 'Missing TLE line' };
+    if (line1.length !== 69 || line2.length !== 69) {
+        return { reason: 'format', detail: `Lines are ${line1.length} and ${line2.length} characters, not 69` };
+    }
+    if (!line1.startsWith('1 ') || !line2.startsWith('2 ')) {
+        return { reason: 'format', detail: 'Lines do not start with "1 " and "2 "' };
+    }
+    if (line1.substring(2, 7) !== line2.substring(2, 7)) {
+        return {
+            reason: 'format',
+            detail: `Catalog numbers differ (${line1.substring(2, 7).trim()} / ${line2.substring(2, 7).trim()})`
+        };
+    }
+    for (const [n, line] of [[1, line1], [2, line2]]) {
+        const sum = tleChecksum(line);
+        if (line[68] !== String(sum)) {
+            return { reason: 'checksum', detail: `Line ${n} checksum is ${line[68]}, computed ${sum}` };
+        }
+    }
+    return null;
+}
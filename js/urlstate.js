@@ -0,0 +1,228 @@
+// ============================================================
+//  URLSTATE.JS — Two-way sync between State and the query string
+// ============================================================
+//  Each field maps one URL parameter onto State and the control that shows
+//  it. Parameters equal to their startup default are left out. View changes
+//  made through switchViz push a history entry; everything else (including
+//  the running sim clock) rewrites the current one.
+
+const URL_SYNC_MS = 1000;
+
+let urlDefaults = {};
+let urlRestoring = false;   // true while applying a URL, so switchViz doesn't push
+
+// Mark the button whose data-<attr> equals `value` as active
+function setActiveButton(selector, attr, value) {
+    document.querySelectorAll(selector).forEach(b => {
+        b.classList.toggle('active', b.dataset[attr] === value);
+    });
+}
+
+const REGIME_FLAGS = { leo: 'showLEO', meo: 'showMEO', geo: 'showGEO', heo: 'showHEO', gto: 'showGTO' };
+
+// key: URL parameter · get(): State as a string · set(str): State + control
+const URL_FIELDS = [
+    {
+        key: 'proj',
+        get: () => (State.projection3D ? '3d' : '2d'),
+        set: v => {
+            State.projection3D = v !== '2d';
+            setActiveButton('.proj-btn', 'proj', State.projection3D ? '3d' : '2d');
+        }
+    },
+    {
+        key: 'n',
+        get: () => String(State.satCount),
+        set: v => {
+            const n = parseInt(v, 10);
+            if (!(n > 0)) return;
+            State.satCount = n;
+            document.getElementById('sat-count-slider').value = n;
+            document.getElementById('sat-count-label').textContent = n;
+        }
+    },
+    {
+        key: 'regimes',
+        get: () => Object.keys(REGIME_FLAGS).filter(r => State[REGIME_FLAGS[r]]).join(','),
+        set: v => {
+            const shown = v.split(',');
+            Object.entries(REGIME_FLAGS).forEach(([r, flag]) => {
+                State[flag] = shown.includes(r);
+                document.getElementById(`filter-${r}`).checked = State[flag];
+            });
+            filterVersion++;
+        }
+    },
+    {
+        key: 'target',
+        get: () => State.searchTarget || '',
+        set: v => {
+            State.searchTarget = v && State.satellites.some(s => s.name === v) ? v : null;
+            document.getElementById('sat-search').value = State.searchTarget || '';
+        }
+    },
+    {
+        key: 'track',
+        get: () => (State.showGroundTrack ? 'g' : '') + (State.showOrbitPath ? 'o' : ''),
+        set: v => {
+            State.showGroundTrack = v.includes('g');
+            State.showOrbitPath = v.includes('o');
+            document.getElementById('show-ground-track').checked = State.showGroundTrack;
+            document.getElementById('show-orbit-path').checked = State.showOrbitPath;
+        }
+    },
+    {
+        key: 'revs',
+        get: () => `${State.trackRevsBack},${State.trackRevsFwd}`,
+        set: v => {
+            const [back, fwd] = v.split(',').map(parseFloat);
+            if (back >= 0) State.trackRevsBack = Math.min(TRACK_REVS_MAX, back);
+            if (fwd >= 0) State.trackRevsFwd = Math.min(TRACK_REVS_MAX, fwd);
+            document.getElementById('track-revs-back').value = State.trackRevsBack;
+            document.getElementById('track-revs-fwd').value = State.trackRevsFwd;
+        }
+    },
+    {
+        key: 'shade',
+        get: () => (State.showNightShade ? '1' : '0'),
+        set: v => {
+            State.showNightShade = v !== '0';
+            document.getElementById('show-night-shade').checked = State.showNightShade;
+        }
+    },
+    {
+        key: 'illum',
+        get: () => State.illumFilter,
+        set: v => {
+            State.illumFilter = ['sunlit', 'shadow', 'umbra'].includes(v) ? v : 'all';
+            document.getElementById('illum-filter').value = State.illumFilter;
+        }
+    },
+    {
+        key: 'rot',
+        get: () => globeDragRotation.map(x => x.toFixed(1)).join(','),
+        set: v => {
+            const [lambda, phi] = v.split(',').map(parseFloat);
+            if (isNaN(lambda) || isNaN(phi)) return;
+            globeDragRotation = [lambda, Math.max(-90, Math.min(90, phi))];
+            if (globeProjection) globeProjection.rotate(globeDragRotation);
+        }
+    },
+    {
+        key: 'warp',
+        get: () => String(State.timeWarp),
+        set: v => {
+            const warp = parseFloat(v);
+            if (warp > 0) State.timeWarp = warp;
+        }
+    },
+    {
+        key: 'dir',
+        get: () => (State.timeDirection < 0 ? 'rev' : 'fwd'),
+        set: v => { State.timeDirection = v === 'rev' ? -1 : 1; }
+    },
+    {
+        key: 'paused',
+        get: () => (State.paused ? '1' : '0'),
+        set: v => {
+            State.paused = v === '1';
+            State.lastFrameTime = Date.now();
+        }
+    },
+    {
+        key: 't',
+        always: true, // the sim clock never sits at its default
+        get: () => State.simTime.toISOString().slice(0, 19) + 'Z',
+        set: v => {
+            const d = new Date(v);
+            if (!isNaN(d)) setSimTime(d);
+        }
+    },
+    {
+        key: 'alt',
+        get: () => State.altRange,
+        set: v => {
+            State.altRange = v === 'full' ? 'full' : 'leo';
+            setActiveButton('.range-btn', 'range', State.altRange);
+        }
+    },
+    {
+        key: 'altm',
+        get: () => State.altMetric,
+        set: v => {
+            if (!Object.hasOwn(ALT_METRIC_LABELS, v)) return;
+            State.altMetric = v;
+            document.querySelectorAll('.alt-metric-select').forEach(s => { s.value = v; });
+        }
+    },
+    {
+        key: 'tl',
+        get: () => State.timelineMode,
+        set: v => {
+            State.timelineMode = v === 'cumulative' ? 'cumulative' : 'yearly';
+            setActiveButton('.tl-btn', 'mode', State.timelineMode);
+        }
+    },
+    {
+        key: 'conj',
+        get: () => State.conjMode,
+        set: v => {
+            State.conjMode = v === 'pairs' ? 'pairs' : 'primary';
+            setActiveButton('.conj-mode-btn', 'mode', State.conjMode);
+        }
+    }
+];
+
+// ============================================================
+//  READ / WRITE
+// ============================================================
+function buildURLSearch() {
+    const params = new URLSearchParams();
+    if (State.currentViz !== urlDefaults.view) params.set('view', State.currentViz);
+    URL_FIELDS.forEach(f => {
+        const value = f.get();
+        if (f.always || value !== urlDefaults[f.key]) params.set(f.key, value);
+    });
+    const search = params.toString();
+    return search ? '?' + search : '';
+}
+
+// push: add a history entry (view changes) instead of replacing the current one
+function writeURLState(push) {
+    if (urlRestoring) return;
+    const search = buildURLSearch();
+    if (search === location.search) return;
+    const url = location.pathname + search + location.hash;
+    if (push) history.pushState(null, '', url);
+    else history.replaceState(null, '', url);
+}
+
+// Apply the current URL to State and the controls, then show its view
+function applyURLState() {
+    const params = new URLSearchParams(location.search);
+    urlRestoring = true;
+
+    URL_FIELDS.forEach(f => f.set(params.has(f.key) ? params.get(f.key) : urlDefaults[f.key] || ''));
+    syncTimeBarControls();
+    renderFilterPanel();
+    renderSelectionBar();
+
+    const view = params.get('view');
+    const valid = view && document.querySelector(`.tab-btn[data-viz="${view}"]`);
+    switchViz(valid ? view : urlDefaults.view);
+
+    urlRestoring = false;
+}
+
+// Called once the catalog is loaded and the clock started
+function initURLState() {
+    urlDefaults = { view: State.currentViz };
+    URL_FIELDS.forEach(f => { urlDefaults[f.key] = f.get(); });
+    delete urlDefaults.t; // "now" at load time is not a default worth keeping
+
+    applyURLState();
+    writeURLState(false);
+
+    window.addEventListener('popstate', applyURLState);
+    setInterval(() => writeURLState(false), URL_SYNC_MS);
+}
@@ -0,0 +1,99 @@
+// ============================================================
+//  SW.JS — Service worker: offline copy of the dashboard
+// ============================================================
+//  Network first, cache as fallback: online the dashboard always gets the
+//  current files, and every successful GET (app, vendor libraries, basemap,
+//  the bundled catalog, CDN fallbacks) refreshes its cached copy. With no
+//  network the cached copies are served.
+//
+//  Bump SW_CACHE when the file list changes.
+
+const SW_CACHE = 'orbital-graveyard-v7';
+const LAST_CATALOG_CACHE = 'orbital-graveyard-catalog';   // written by datasource.js
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'css/styles.css',
+    'js/tle.js',
+    'js/datasource.js',
+    'js/main.js',
+    'js/propagation.js',
+    'js/propagation.worker.js',
+    'js/solar.js',
+    'js/groundtrack.js',
+    'js/timebar.js',
+    'js/urlstate.js',
+    'js/filters.js',
+    'js/selection.js',
+    'js/breakdown.js',
+    'js/groups.js',
+    'js/globe.js',
+    'js/globegl.js',
+    'js/altitude.js',
+    'js/density.js',
+    'js/heatmap.js',
+    'js/timeline.js',
+    'js/conjunction.js',
+    'js/groundstations.js',
+    'js/reentry.js',
+    'js/fragmentation.js',
+    'js/history.js',
+    'js/geobelt.js',
+    'js/quality.js',
+    'js/refresh.js',
+    'js/export.js',
+    'js/details.js'
+];
+
+// Present only once tools/fetch-vendor.sh has run (or the catalog is in
+// place), so a missing one doesn't fail the install
+const OPTIONAL_ASSETS = [
+    'vendor/d3.v7.min.js',
+    'vendor/topojson-client.min.js',
+    'vendor/satellite.min.js',
+    'vendor/world-atlas/countries-110m.json',
+    'vendor/fonts/InterVariable.woff2',
+    'data/space_debris.csv'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SW_CACHE).then(cache =>
+            cache.addAll(APP_SHELL).then(() => Promise.all(
+                OPTIONAL_ASSETS.map(url => cache.add(url).catch(() => {}))
+            ))
+        ).then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys().then(keys => Promise.all(
+            keys.filter(k => k !== SW_CACHE && k !== LAST_CATALOG_CACHE).map(k => caches.delete(k))
+        )).then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const req = event.request;
+    // no-store requests (live catalog refreshes) want the network or nothing
+    if (req.method !== 'GET' || !req.url.startsWith('http') || req.cache === 'no-store') return;
+
+    event.respondWith(
+        fetch(req).then(res => {
+            // Opaque (no-cors CDN script) responses are fine to keep too
+            if (res.ok || res.type === 'opaque') {
+                const copy = res.clone();
+                caches.open(SW_CACHE).then(cache => cache.put(req, copy));
+            }
+            return res;
+        }).catch(() =>
+            // The page URL carries the view state in its query string
+            caches.match(req, { ignoreSearch: req.mode === 'navigate' }).then(hit => {
+                if (hit) return hit;
+                throw new Error(`Offline and not cached: ${req.url}`);
+            })
+        )
+    );
+});
@@ -0,0 +1,58 @@
+#!/usr/bin/env bash
+# ============================================================
+#  FETCH-VENDOR.SH — Download the offline bundle's third-party files
+# ============================================================
+#  Run once on a machine with network access, then copy the whole
+#  directory to the air-gapped host. index.html, the propagation worker and
+#  the globe load these local copies first and only fall back to the CDNs
+#  when they are missing. Versions match the CDN URLs the pages fall back to.
+#
+#  Usage: tools/fetch-vendor.sh [--catalog]
+#    --catalog  also fetch a sample catalog (CelesTrak debris groups, OMM
+#               CSV) into data/space_debris.csv if that file is missing
+
+set -euo pipefail
+
+ROOT="$(cd "$(dirname "$0")/.." && pwd)"
+VENDOR="$ROOT/vendor"
+
+fetch() {
+    local url="$1" dest="$2"
+    mkdir -p "$(dirname "$dest")"
+    echo "  $url"
+    curl -fsSL --retry 2 -o "$dest.part" "$url"
+    mv "$dest.part" "$dest"
+}
+
+echo "Libraries → vendor/"
+fetch "https://cdn.jsdelivr.net/npm/d3@7.9.0/dist/d3.min.js" "$VENDOR/d3.v7.min.js"
+fetch "https://cdn.jsdelivr.net/npm/topojson-client@3.1.0/dist/topojson-client.min.js" "$VENDOR/topojson-client.min.js"
+fetch "https://cdnjs.cloudflare.com/ajax/libs/satellite.js/4.0.0/satellite.min.js" "$VENDOR/satellite.min.js"
+
+echo "Basemap → vendor/world-atlas/"
+fetch "https://cdn.jsdelivr.net/npm/world-atlas@2.0.2/countries-110m.json" "$VENDOR/world-atlas/countries-110m.json"
+
+echo "Fonts → vendor/fonts/"
+fetch "https://rsms.me/inter/font-files/InterVariable.woff2" "$VENDOR/fonts/InterVariable.woff2"
+
+if [ "${1:-}" = "--catalog" ]; then
+    CATALOG="$ROOT/data/space_debris.csv"
+    if [ -e "$CATALOG" ]; then
+        echo "Catalog: $CATALOG already present, left alone"
+    else
+        echo "Sample catalog → data/space_debris.csv"
+        TMP="$(mktemp)"
+        first=1
+        for group in fengyun-1c-debris cosmos-2251-debris iridium-33-debris cosmos-1408-debris; do
+            url="https://celestrak.org/NORAD/elements/gp.php?GROUP=$group&FORMAT=csv"
+            echo "  $url"
+            # Header row from the first group only; awk also ends every line
+            curl -fsSL --retry 2 "$url" | awk -v skip=$((1 - first)) 'NR > skip' >> "$TMP"
+            first=0
+        done
+        mkdir -p "$ROOT/data"
+        mv "$TMP" "$CATALOG"
+    fi
+fi
+
+echo "Done. Serve the directory over HTTP (the service worker needs http:// or https://)."
@@ -0,0 +1,178 @@
+#!/usr/bin/env python3
+# ============================================================
+#  TLE-STANDIN.PY — Local stand-in for a live TLE publishing service
+# ============================================================
+#  Serves a catalog CSV that changes on every request, for trying the
+#  dashboard's Live Refresh without the real service. Each request is a new
+#  "publication": some objects get a new element set (epoch moved to now),
+#  a few are reported decayed (DECAY_DATE set, then dropped from the next
+#  publication) and a few new objects appear (copies of existing ones under
+#  fresh NORAD numbers). Reads CSVs with TLE_LINE1/TLE_LINE2 columns or OMM
+#  mean-element columns, like data/space_debris.csv.
+#
+#  Usage: tools/tle-standin.py [--catalog data/space_debris.csv] [--port 8765]
+#                              [--update 0.05] [--decay 3] [--add 3] [--seed N]
+#  Then point Live Refresh at http://localhost:8765/catalog.csv
+
+import argparse
+import copy
+import csv
+import io
+import random
+import re
+import sys
+from datetime import datetime, timedelta, timezone
+from http.server import BaseHTTPRequestHandler, HTTPServer
+from pathlib import Path
+
+ROOT = Path(__file__).resolve().parent.parent
+NEW_NORAD_START = 300000  # Alpha-5 range ("W0000"), clear of real catalog numbers
+
+
+# --- TLE columns (same layout as js/tle.js) ---
+def tle_checksum(line):
+    total = 0
+    for c in line[:68]:
+        if c.isdigit():
+            total += int(c)
+        elif c == '-':
+            total += 1
+    return str(total % 10)
+
+
+def with_checksum(line):
+    return line[:68] + tle_checksum(line)
+
+
+def tle_epoch(date):
+    day = (date - datetime(date.year, 1, 1, tzinfo=timezone.utc)).total_seconds() / 86400 + 1
+    return f'{date.year % 100:02d}{day:012.8f}'
+
+
+def format_satnum(norad):
+    if norad < 100000:
+        return f'{norad:05d}'
+    return 'ABCDEFGHJKLMNPQRSTUVWXYZ'[norad // 10000 - 10] + f'{norad % 10000:04d}'
+
+
+def parse_tle_epoch(line1):
+    yy = int(line1[18:20])
+    day = float(line1[20:32])
+    year = 2000 + yy if yy < 57 else 1900 + yy
+    return datetime(year, 1, 1, tzinfo=timezone.utc) + timedelta(days=day - 1)
+
+
+def parse_omm_epoch(text):
+    m = re.match(r'(\d{4})-(\d\d)-(\d\d)[T ](\d\d):(\d\d):(\d\d(?:\.\d+)?)', text.strip())
+    date = datetime(*map(int, m.groups()[:5]), tzinfo=timezone.utc)
+    return date + timedelta(seconds=float(m.group(6)))
+
+
+# --- Moving a record to a new epoch: mean anomaly advances with the mean motion ---
+def advance_row(row, now):
+    if row.get('TLE_LINE1'):
+        l1, l2 = row['TLE_LINE1'], row['TLE_LINE2']
+        dt_days = (now - parse_tle_epoch(l1)).total_seconds() / 86400
+        mean_motion = float(l2[52:63])
+        anomaly = (float(l2[43:51]) + 360 * mean_motion * dt_days) % 360
+        row['TLE_LINE1'] = with_checksum(l1[:18] + tle_epoch(now) + l1[32:])
+        row['TLE_LINE2'] = with_checksum(l2[:43] + f'{anomaly:8.4f}' + l2[51:])
+    if row.get('MEAN_MOTION'):
+        dt_days = (now - parse_omm_epoch(row['EPOCH'])).total_seconds() / 86400
+        anomaly = float(row.get('MEAN_ANOMALY') or 0) + 360 * float(row['MEAN_MOTION']) * dt_days
+        row['MEAN_ANOMALY'] = f'{anomaly % 360:.4f}'
+    if row.get('EPOCH') or row.get('MEAN_MOTION'):
+        row['EPOCH'] = now.strftime('%Y-%m-%dT%H:%M:%S.%f')
+
+
+def renumber_row(row, norad):
+    row['NORAD_CAT_ID'] = str(norad)
+    row['OBJECT_NAME'] = (row.get('OBJECT_NAME') or 'OBJECT') + ' [STAND-IN]'
+    if row.get('TLE_LINE1'):
+        satnum = format_satnum(norad)
+        row['TLE_LINE1'] = with_checksum(row['TLE_LINE1'][:2] + satnum + row['TLE_LINE1'][7:])
+        row['TLE_LINE2'] = with_checksum(row['TLE_LINE2'][:2] + satnum + row['TLE_LINE2'][7:])
+
+
+class Publisher:
+    def __init__(self, rows, columns, args):
+        self.rows = rows
+        self.columns = columns if 'DECAY_DATE' in columns else columns + ['DECAY_DATE']
+        self.args = args
+        self.rng = random.Random(args.seed)
+        self.next_norad = NEW_NORAD_START
+        self.count = 0
+
+    def publish(self):
+        now = datetime.now(timezone.utc)
+        self.count += 1
+
+        # Last publication's decayed objects are gone now
+        self.rows = [r for r in self.rows if not r.get('DECAY_DATE')]
+
+        if self.count > 1:
+            n_update = int(len(self.rows) * self.args.update)
+            for row in self.rng.sample(self.rows, min(n_update, len(self.rows))):
+                advance_row(row, now)
+            for row in self.rng.sample(self.rows, min(self.args.decay, len(self.rows))):
+                row['DECAY_DATE'] = now.strftime('%Y-%m-%d')
+            for parent in self.rng.sample(self.rows, min(self.args.add, len(self.rows))):
+                row = copy.deepcopy(parent)
+                row['DECAY_DATE'] = ''
+                renumber_row(row, self.next_norad)
+                advance_row(row, now)
+                self.next_norad += 1
+                self.rows.append(row)
+
+        out = io.StringIO()
+        writer = csv.DictWriter(out, fieldnames=self.columns, extrasaction='ignore', lineterminator='\n')
+        writer.writeheader()
+        writer.writerows(self.rows)
+        print(f'publication {self.count}: {len(self.rows)} records', file=sys.stderr)
+        return out.getvalue().encode('utf-8')
+
+
+def make_handler(publisher):
+    class Handler(BaseHTTPRequestHandler):
+        def do_GET(self):
+            body = publisher.publish()
+            self.send_response(200)
+            self.send_header('Content-Type', 'text/csv; charset=utf-8')
+            self.send_header('Content-Length', str(len(body)))
+            self.send_header('Cache-Control', 'no-store')
+            # The dashboard is usually served from another port
+            self.send_header('Access-Control-Allow-Origin', '*')
+            self.end_headers()
+            self.wfile.write(body)
+
+    return Handler
+
+
+def main():
+    parser = argparse.ArgumentParser(description='Serve a catalog CSV that changes on every request.')
+    parser.add_argument('--catalog', default=str(ROOT / 'data' / 'space_debris.csv'))
+    parser.add_argument('--port', type=int, default=8765)
+    parser.add_argument('--update', type=float, default=0.05, help='share of objects given a new element set')
+    parser.add_argument('--decay', type=int, default=3, help='objects reported decayed per publication')
+    parser.add_argument('--add', type=int, default=3, help='new objects per publication')
+    parser.add_argument('--seed', type=int, default=None)
+    args = parser.parse_args()
+
+    with open(args.catalog, newline='', encoding='utf-8') as f:
+        reader = csv.DictReader(f)
+        rows = list(reader)
+        columns = list(reader.fieldnames or [])
+    if 'TLE_LINE1' not in columns and 'MEAN_MOTION' not in columns:
+        sys.exit(f'{args.catalog}: needs TLE_LINE1/TLE_LINE2 or OMM mean-element columns')
+
+    server = HTTPServer(('', args.port), make_handler(Publisher(rows, columns, args)))
+    print(f'Serving {len(rows)} records from {args.catalog} at http://localhost:{args.port}/catalog.csv',
+          file=sys.stderr)
+    try:
+        server.serve_forever()
+    except KeyboardInterrupt:
+        pass
+
+
+if __name__ == '__main__':
+    main()